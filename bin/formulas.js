@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// Linha de comando: lê fórmulas dos argumentos (ou da entrada padrão, uma por linha)
+// e imprime as formas normais pedidas em LaTeX, texto ou JSON.
+import { readFileSync } from 'node:fs';
+import { parse, toNNF, miniscope, toPrenex, skolemize, toCNF, toDNF, clauses, formatDiagnosticText, resolveDialect, runPipeline, PIPELINE_STAGES, PIPELINE_PRESETS, PRENEX_STRATEGIES, FREE_VARIABLE_POLICIES, CNF_MODES, DIALECTS, QUANTIFIER_SCOPES } from '../core/index.js';
+
+const FORMS = {
+    nnf: { label: 'FNN', compute: toNNF },
+    miniscope: { label: 'Miniscopada', compute: miniscope },
+    prenex: { label: 'Prenex', compute: toPrenex },
+    skolem: { label: 'Skolem', compute: skolemize },
+    cnf: { label: 'FNC', compute: toCNF },
+    dnf: { label: 'FND', compute: toDNF },
+    clauses: { label: 'Cláusulas', compute: clauses }
+};
+
+const USAGE = `Uso: formulas [opções] [fórmula ...]
+
+Sem fórmulas nos argumentos, lê uma fórmula por linha da entrada padrão.
+
+Opções:
+  -f, --form LISTA      formas a imprimir, separadas por vírgula:
+                        ${Object.keys(FORMS).join(', ')} (padrão: todas)
+  -o, --format FORMATO  latex, text ou json (padrão: text)
+  -d, --dialect NOME    auto, latex, unicode, ascii ou tptp (padrão: auto)
+      --scope ESCOPO    escopo dos quantificadores: wide ou narrow (padrão: wide)
+      --free POLÍTICA   variáveis livres: universal, existential ou constant (padrão: universal)
+      --prenex ORDEM    left-to-right, exists-first ou forall-first (padrão: left-to-right)
+      --miniscope       Skolemiza a forma miniscopada em vez da prenex
+      --cnf-mode MODO   distributive ou tseitin (padrão: distributive)
+      --simplify        simplifica FNC e FND (idempotência, complemento, absorção)
+  -p, --pipeline LISTA  em vez das formas, imprime o resultado de cada etapa da sequência dada,
+                        separada por vírgula, ou de uma sequência pronta:
+                        ${Object.keys(PIPELINE_PRESETS).join(', ')}
+                        etapas: ${Object.keys(PIPELINE_STAGES).join(', ')}
+  -h, --help            mostra esta ajuda`;
+
+function parseArguments(argv) {
+    const options = { forms: Object.keys(FORMS), format: 'text', dialect: 'auto', quantifierScope: 'wide', freeVariables: 'universal', prenexStrategy: 'left-to-right', cnfMode: 'distributive' };
+    const formulas = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`a opção ${arg} precisa de um valor`);
+            return argv[++i];
+        };
+        switch(arg) {
+            case '-h':
+            case '--help': options.help = true; break;
+            case '-f':
+            case '--form': options.forms = value().split(',').map(f => f.trim()); break;
+            case '-o':
+            case '--format': options.format = value(); break;
+            case '-d':
+            case '--dialect': options.dialect = value(); break;
+            case '--scope': options.quantifierScope = value(); break;
+            case '--free': options.freeVariables = value(); break;
+            case '--prenex': options.prenexStrategy = value(); break;
+            case '--miniscope': options.miniscope = true; break;
+            case '--cnf-mode': options.cnfMode = value(); break;
+            case '--simplify': options.simplify = true; break;
+            case '-p':
+            case '--pipeline': {
+                const list = value();
+                options.pipeline = PIPELINE_PRESETS[list] || list.split(',').map(s => s.trim());
+                break;
+            }
+            default:
+                if (arg.startsWith('-') && arg.length > 1) throw new Error(`opção desconhecida: ${arg}`);
+                formulas.push(arg);
+        }
+    }
+    const unknown = options.forms.find(f => !FORMS[f]);
+    if (unknown) throw new Error(`forma desconhecida: ${unknown}`);
+    if (!['auto', ...Object.keys(DIALECTS)].includes(options.dialect)) throw new Error(`dialeto desconhecido: ${options.dialect}`);
+    if (!QUANTIFIER_SCOPES.includes(options.quantifierScope)) throw new Error(`escopo dos quantificadores desconhecido: ${options.quantifierScope}`);
+    if (!FREE_VARIABLE_POLICIES.includes(options.freeVariables)) throw new Error(`política de variáveis livres desconhecida: ${options.freeVariables}`);
+    if (!PRENEX_STRATEGIES.includes(options.prenexStrategy)) throw new Error(`ordem de prenex desconhecida: ${options.prenexStrategy}`);
+    if (!CNF_MODES.includes(options.cnfMode)) throw new Error(`modo de FNC desconhecido: ${options.cnfMode}`);
+    if (!['latex', 'text', 'json'].includes(options.format)) throw new Error(`formato desconhecido: ${options.format}`);
+    return { options, formulas };
+}
+
+function render(value, format) {
+    if (Array.isArray(value)) {
+        return value.map(c => `  ${format === 'latex' ? c.toString() : c.toText()}`).join('\n');
+    }
+    return format === 'latex' ? value.toString() : value.toText();
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArguments(process.argv.slice(2));
+    } catch (e) {
+        console.error(`erro: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { options, formulas } = parsed;
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const inputs = formulas.length > 0
+        ? formulas
+        : readFileSync(0, 'utf8').split('\n').map(l => l.trim()).filter(l => l !== '');
+
+    let status = 0;
+    const results = [];
+    inputs.forEach(input => {
+        let formula;
+        try {
+            formula = parse(input, options);
+        } catch (e) {
+            console.error(formatDiagnosticText(input, e, resolveDialect(input, options)));
+            status = 1;
+            return;
+        }
+        if (options.pipeline) {
+            let result;
+            try {
+                result = runPipeline(formula, options.pipeline, options);
+            } catch (e) {
+                console.error(`erro em ${input}: ${e.message}`);
+                status = 1;
+                return;
+            }
+            const stages = result.steps.slice(1);
+            if (options.format === 'json') {
+                results.push({ input, formula, stages: Object.fromEntries(stages.map(s => [s.stage, s.formula])) });
+            } else {
+                if (inputs.length > 1) console.log(`# ${input}`);
+                stages.forEach(s => console.log(`${s.stage}: ${render(s.formula, options.format)}`));
+            }
+            return;
+        }
+        const forms = Object.fromEntries(options.forms.map(f => [f, FORMS[f].compute(formula, options)]));
+        if (options.format === 'json') {
+            results.push({ input, formula, ...Object.fromEntries(Object.entries(forms).map(([k, v]) => [k, Array.isArray(v) ? v.map(c => c.literals) : v])) });
+        } else {
+            if (inputs.length > 1) console.log(`# ${input}`);
+            Object.entries(forms).forEach(([k, v]) => {
+                console.log(Array.isArray(v) ? `${FORMS[k].label}:\n${render(v, options.format)}` : `${FORMS[k].label}: ${render(v, options.format)}`);
+            });
+        }
+    });
+    if (options.format === 'json') console.log(JSON.stringify(results, null, 2));
+    return status;
+}
+
+process.exitCode = main();
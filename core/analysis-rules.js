@@ -0,0 +1,689 @@
+// Regras das análises (verificação, Horn e SLD, Herbrand, resolução, tableau, tabela-verdade, DPLL,
+// Quine–McCluskey, unificação, comparação, avaliação em estruturas e erros). Ao contrário das regras
+// de reescrita, não mudam a fórmula: cada registro guarda em `params` só dados serializáveis (LaTeX,
+// números, listas), e o texto sai no idioma pedido.
+import { diagnosticHtml, escapeHtml } from './diagnostics.js';
+import { DIALECTS } from './parser.js';
+import { Structure } from './semantics.js';
+
+// Títulos das etapas em inglês; em português vale o título gravado no passo
+export const STAGE_TITLES_EN = {
+    'original': 'Original formula',
+    'relativize': 'Relativizing Bounded Quantifiers',
+    'free-variables': 'Free Variables',
+    'eliminate': 'Eliminating Implications and Biconditionals',
+    'nnf': 'Negation Normal Form',
+    'standardize': 'Standardizing Bound Variables (α-renaming)',
+    'prenex': 'Moving Quantifiers to Prenex Form',
+    'miniscope': 'Miniscoping (Quantifiers Inward)',
+    'skolem': 'Skolemization',
+    'universal-prefix': 'Universal Quantifiers to the Front',
+    'dnf': 'Conversion to Disjunctive Normal Form (DNF)',
+    'dnf-simplify': 'Simplifying the DNF',
+    'cnf': 'Conversion to Conjunctive Normal Form (CNF)',
+    'tseitin': 'Conversion to Conjunctive Normal Form (CNF) by Tseitin Definitions',
+    'cnf-simplify': 'Simplifying the CNF',
+    'clausal': 'Clausal Form (quantifiers removed)',
+    'horn': 'Horn Clauses and Logic Program',
+    'sld': 'SLD Resolution',
+    'herbrand': 'Herbrand Universe and Ground Instances (Gilmore)',
+    'resolution': 'Resolution Refutation',
+    'tableau': 'Semantic Tableau (Validity)',
+    'truth-table': 'Truth Table',
+    'dpll': 'Satisfiability (DPLL)',
+    'minimize': 'Minimization (Quine–McCluskey)',
+    'model-check': 'Evaluation in the Finite Structure',
+    'unification': 'Unification (Martelli–Montanari)',
+    'equivalence-question': 'Question: equivalence',
+    'entailment-question': 'Question: logical consequence',
+    'comparison-truth-table': 'Compared Truth Table',
+    'comparison-dpll': 'Satisfiability of the Target (DPLL)',
+    'comparison-reduction': 'Reduction to Refutation',
+    'countermodel': 'Finite Countermodel Search',
+    'conclusion': 'Conclusion',
+    'derivation-diff': 'Differences Between Derivations',
+    'replay': 'Replay of the Imported Derivation',
+    'error': 'Error',
+    'query-error': 'Error in the SLD Query',
+    'structure-error': 'Error in the Structure',
+    'pipeline-error': 'Pipeline Stopped',
+    'first-term-error': 'Error in the first term',
+    'second-term-error': 'Error in the second term',
+    'formula-a-error': 'Error in formula A',
+    'formula-b-error': 'Error in formula B'
+};
+
+const TRUTH = { pt: ['F', 'V'], en: ['F', 'T'] };
+const value = (language, b) => TRUTH[language][b ? 1 : 0];
+const plural = (n, one, many) => n === 1 ? one : many;
+const math = items => items.map(i => `$${i}$`).join(', ');
+
+// Valoração gravada como pares [átomo, valor]
+const valuation = (language, pairs) => pairs.map(([a, v]) => `${a} = ${value(language, v)}`).join(', ');
+
+// Lista cortada para exibição: `items` são os primeiros dos `total` itens
+function preview(language, items, total) {
+    const list = math(items);
+    if (total <= items.length) return list;
+    return `${list}, … (${total} ${language === 'en' ? 'in total' : 'no total'})`;
+}
+
+const structure = (language, spec) => Structure.fromJSON(spec).describe(language);
+
+const HORN_KINDS = { fato: 'fact', regra: 'rule', objetivo: 'goal', 'não-Horn': 'non-Horn' };
+const kind = (language, k) => language === 'en' ? HORN_KINDS[k] : k;
+
+const RESOLUTION_STRATEGY_NAMES = {
+    pt: { 'saturation': 'saturação em largura', 'set-of-support': 'conjunto de suporte', 'unit-preference': 'preferência por unitárias' },
+    en: { 'saturation': 'breadth-first saturation', 'set-of-support': 'set of support', 'unit-preference': 'unit preference' }
+};
+
+// Árvores do tableau e da resolução SLD, com o mesmo leiaute
+const TREE_TEXT = {
+    pt: {
+        hypothesis: 'hipótese', from: 'de', fresh: c => `$${c}$ nova`,
+        contradictory: n => `✗ fecha: ${n} é contraditória`, clash: (a, b) => `✗ fecha: ${a} e ${b}`,
+        limit: '○ aberto (limite atingido)', saturated: '○ aberto (saturado)',
+        success: 'sucesso', failure: 'falha', cut: 'limite atingido', unification: 'unificação', clause: 'cláusula'
+    },
+    en: {
+        hypothesis: 'hypothesis', from: 'from', fresh: c => `new $${c}$`,
+        contradictory: n => `✗ closed: ${n} is contradictory`, clash: (a, b) => `✗ closed: ${a} and ${b}`,
+        limit: '○ open (limit reached)', saturated: '○ open (saturated)',
+        success: 'success', failure: 'failure', cut: 'limit reached', unification: 'unification', clause: 'clause'
+    }
+};
+
+function branches(children, render) {
+    if (children.length === 1) return render(children[0]);
+    if (children.length > 1) return `<div class="tree-split">${children.map(c => `<div class="tree-branch">${render(c)}</div>`).join('')}</div>`;
+    return '';
+}
+
+// Nó: { id, formula, origin: { rule, from, constant?, variable?, term? }|null, closed?, open?, children }
+function tableauTree(language, root) {
+    const text = TREE_TEXT[language];
+    const origin = o => {
+        if (!o) return text.hypothesis;
+        const base = `${o.rule} ${text.from} ${o.from}`;
+        if (o.constant) return `${base}, ${text.fresh(o.constant)}`;
+        return o.variable ? `${base}, $${o.variable} := ${o.term}$` : base;
+    };
+    const render = (node) => {
+        let html = `<div class="tree-node"><span class="tree-id">${node.id}.</span> $${node.formula}$ <span class="tree-note">(${origin(node.origin)})</span></div>`;
+        if (node.closed) html += `<div class="tree-closed">${node.closed.length === 1 ? text.contradictory(node.closed[0]) : text.clash(node.closed[0], node.closed[1])}</div>`;
+        if (node.open) html += `<div class="tree-open">${node.open === 'limit' ? text.limit : text.saturated}</div>`;
+        return html + branches(node.children, render);
+    };
+    return `<div class="tree">${render(root)}</div>`;
+}
+
+// Nó: { goals, success: string|null, failure?, cut?, children: [{ clause, mgu, node }] }
+function sldTree(language, root) {
+    const text = TREE_TEXT[language];
+    const render = (node, edge) => {
+        let html = `<div class="tree-node">${edge ? `<span class="tree-note">(${edge})</span> ` : ''}$\\leftarrow ${node.goals}$</div>`;
+        if (node.success !== null) html += `<div class="tree-open">✔ ${text.success}${node.success ? `: $${node.success}$` : ''}</div>`;
+        if (node.failure) html += `<div class="tree-closed">✗ ${text.failure}</div>`;
+        if (node.cut) html += `<div class="tree-note">… ${text.cut}</div>`;
+        const edgeLabel = c => `${c.clause === null ? text.unification : `${text.clause} ${c.clause}`}${c.mgu ? `, $${c.mgu}$` : ''}`;
+        return html + branches(node.children, c => render(c.node, edgeLabel(c)));
+    };
+    return `<div class="tree">${render(root, null)}</div>`;
+}
+
+// `marked` são os índices das linhas destacadas (contra-exemplos)
+function truthTable(language, { headers, rows, marked = [] }) {
+    const head = headers.map(h => `<th>$${h}$</th>`).join('');
+    const body = rows.map((row, i) => `<tr${marked.includes(i) ? ' class="counterexample"' : ''}>${row.map(v => `<td class="${v ? 'true' : 'false'}">${value(language, v)}</td>`).join('')}</tr>`).join('');
+    return `<table class="truth-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// Conjunto de equações da unificação, já em LaTeX
+const equations = (language, list) => list.length > 0
+    ? `$$\\{${list.join(',\\ ')}\\}$$`
+    : (language === 'en' ? 'no pending equations' : 'nenhuma equação pendente');
+
+// Só as partes da estrutura que interpretam os símbolos dados
+const interpretation = (language, spec, symbols) => structure(language, spec).split('; ')
+    .filter(part => symbols.some(n => part.startsWith(`$${n} =`))).join('; ');
+
+// Variáveis livres da subfórmula avaliada, com os seus valores
+const context = (language, pairs) => pairs.length > 0
+    ? `${language === 'en' ? 'with' : 'com'} $${pairs.map(([x, v]) => `${x} = ${v}`).join(', ')}$, `
+    : '';
+const indent = depth => '&nbsp;&nbsp;'.repeat(depth);
+const bold = (language, b) => `<b>${value(language, b)}</b>`;
+
+// Propriedades exigidas pelas etapas do pipeline; cada texto completa a frase "exige uma fórmula ..."
+export const PROPERTY_DESCRIPTIONS = {
+    pt: {
+        'closed': 'fechada (sem variáveis livres)', 'implication-free': 'sem →, ↔, ⊕, ↑ nem ↓', 'nnf': 'em forma normal negativa',
+        'standardized': 'com variáveis ligadas distintas entre si e das livres', 'prenex': 'em forma prenex',
+        'universal': 'sem quantificadores existenciais', 'cnf': 'em forma prenex com matriz em FNC', 'dnf': 'em forma prenex com matriz em FND'
+    },
+    en: {
+        'closed': 'closed (no free variables)', 'implication-free': 'without →, ↔, ⊕, ↑ or ↓', 'nnf': 'in negation normal form',
+        'standardized': 'with bound variables distinct from each other and from the free ones', 'prenex': 'in prenex form',
+        'universal': 'without existential quantifiers', 'cnf': 'in prenex form with a CNF matrix', 'dnf': 'in prenex form with a DNF matrix'
+    }
+};
+
+const COMPARISON_FORMS = {
+    pt: { 'implication-free': 'Sem implicações', 'nnf': 'FNN padronizada', 'prenex': 'Prenex', 'skolem': 'Skolemizada' },
+    en: { 'implication-free': 'Without implications', 'nnf': 'Standardized NNF', 'prenex': 'Prenex', 'skolem': 'Skolemized' }
+};
+
+// Evidência da conclusão de uma comparação
+function evidence(language, r) {
+    const en = language === 'en';
+    switch (r.params.evidence) {
+        case 'no-valuation': return en ? 'no valuation separates the formulas' : 'nenhuma valoração separa as fórmulas';
+        case 'counterexample': return `${en ? 'counterexample' : 'contra-exemplo'}: $${valuation(language, r.params.valuation)}$`;
+        case 'refuted': return en ? 'resolution derives the empty clause (proof above)' : 'a resolução deriva a cláusula vazia (prova acima)';
+        case 'countermodel': return en
+            ? `countermodel with ${r.params.size} ${plural(r.params.size, 'element', 'elements')}`
+            : `contra-modelo com ${r.params.size} ${plural(r.params.size, 'elemento', 'elementos')}`;
+        case 'saturated': return en
+            ? 'resolution saturated without the empty clause, so the target is satisfiable (the countermodel may be infinite)'
+            : 'a resolução saturou sem a cláusula vazia, então o alvo é satisfatível (o contra-modelo pode ser infinito)';
+        default: return en ? 'neither proof nor countermodel within the limits' : 'nem prova nem contra-modelo dentro dos limites';
+    }
+}
+
+// Etapa citada num relatório: o título gravado, ou o inglês da etapa
+const stageTitle = (language, r) => language === 'en' && STAGE_TITLES_EN[r.params.stage] ? STAGE_TITLES_EN[r.params.stage] : r.params.title;
+
+const implicants = list => list.map(([term, bits]) => `$${term}$ (<code>${bits}</code>)`).join(', ');
+const codes = list => list.map(t => `<code>${t}</code>`).join(' ');
+
+export const ANALYSIS_RULES = {
+    // Texto livre, para passos sem regras próprias (e derivações antigas)
+    'note': { pt: r => r.params.text, en: r => r.params.text },
+
+    'dialect': {
+        pt: r => `Dialeto de entrada: ${DIALECTS[r.params.dialect].name}${r.params.detected ? ' (detectado automaticamente)' : ''}`,
+        en: r => `Input dialect: ${DIALECTS[r.params.dialect].name}${r.params.detected ? ' (detected automatically)' : ''}`
+    },
+    'full-parenthesization': {
+        pt: r => `Leitura totalmente parentesada (escopo dos quantificadores: ${r.params.scope === 'narrow' ? 'estreito' : 'até o fim da subfórmula'}): $$${r.params.formula}$$`,
+        en: r => `Fully parenthesized reading (quantifier scope: ${r.params.scope === 'narrow' ? 'narrow' : 'to the end of the subformula'}): $$${r.params.formula}$$`
+    },
+
+    // Verificação semântica de um passo
+    'verify-skipped': {
+        pt: r => `? Verificação não realizada: ${r.params.atoms} átomos excedem o limite de ${r.params.limit}`,
+        en: r => `? Not verified: ${r.params.atoms} atoms exceed the limit of ${r.params.limit}`
+    },
+    'verify-valuation': {
+        pt: r => `✘ <b>Passo incorreto:</b> na valoração $${valuation('pt', r.params.valuation) || '\\emptyset'}$ a entrada vale ${value('pt', r.params.input)} e a saída vale ${value('pt', r.params.output)}`,
+        en: r => `✘ <b>Incorrect step:</b> under the valuation $${valuation('en', r.params.valuation) || '\\emptyset'}$ the input is ${value('en', r.params.input)} and the output is ${value('en', r.params.output)}`
+    },
+    'verify-truth-table': {
+        pt: r => `✔ Verificado: equivalente à entrada na tabela-verdade completa (${r.params.rows} valorações)`,
+        en: r => `✔ Verified: equivalent to the input over the full truth table (${r.params.rows} valuations)`
+    },
+    'verify-satisfiable-side': {
+        pt: r => r.params.side === 'input'
+            ? `✘ <b>Passo incorreto:</b> a entrada é satisfeita por $${valuation('pt', r.params.valuation) || '\\emptyset'}$, mas a saída é insatisfatível`
+            : `✘ <b>Passo incorreto:</b> a entrada é insatisfatível, mas a saída é satisfeita por $${valuation('pt', r.params.valuation) || '\\emptyset'}$`,
+        en: r => r.params.side === 'input'
+            ? `✘ <b>Incorrect step:</b> the input is satisfied by $${valuation('en', r.params.valuation) || '\\emptyset'}$, but the output is unsatisfiable`
+            : `✘ <b>Incorrect step:</b> the input is unsatisfiable, but the output is satisfied by $${valuation('en', r.params.valuation) || '\\emptyset'}$`
+    },
+    'verify-equisatisfiable': {
+        pt: r => `✔ Verificado: equissatisfatível à entrada (ambas ${r.params.satisfiable ? 'satisfatíveis' : 'insatisfatíveis'})`,
+        en: r => `✔ Verified: equisatisfiable with the input (both ${r.params.satisfiable ? 'satisfiable' : 'unsatisfiable'})`
+    },
+    'verify-countermodel': {
+        pt: r => `✘ <b>Passo incorreto:</b> contra-modelo com ${structure('pt', r.params.structure)} — a entrada vale ${value('pt', r.params.input)} e a saída vale ${value('pt', r.params.output)}`,
+        en: r => `✘ <b>Incorrect step:</b> countermodel with ${structure('en', r.params.structure)} — the input is ${value('en', r.params.input)} and the output is ${value('en', r.params.output)}`
+    },
+    'verify-model-size': {
+        pt: r => r.params.side === 'input'
+            ? `✘ <b>Passo incorreto:</b> com domínio de tamanho ${r.params.size} a entrada tem o modelo ${structure('pt', r.params.structure)}, mas a saída não tem modelo desse tamanho`
+            : `✘ <b>Passo incorreto:</b> com domínio de tamanho ${r.params.size} a saída tem o modelo ${structure('pt', r.params.structure)}, mas a entrada não tem modelo desse tamanho`,
+        en: r => `✘ <b>Incorrect step:</b> with a domain of size ${r.params.size} the ${r.params.side} has the model ${structure('en', r.params.structure)}, but the ${r.params.side === 'input' ? 'output' : 'input'} has no model of that size`
+    },
+    'verify-signature-too-large': {
+        pt: () => '? Verificação inconclusiva: a assinatura é grande demais para enumerar estruturas',
+        en: () => '? Inconclusive verification: the signature is too large to enumerate structures'
+    },
+    'verify-domains': {
+        pt: r => `✔ Verificado em domínios de tamanho 1 a ${r.params.largest}: ${r.params.relation === 'equivalent' ? 'nenhum contra-modelo' : 'entrada e saída têm modelo exatamente nos mesmos tamanhos'} (${r.params.checked} estruturas)${r.params.limit ? `; domínios maiores não verificados (limite de ${r.params.limit} estruturas)` : ''}`,
+        en: r => `✔ Verified on domains of size 1 to ${r.params.largest}: ${r.params.relation === 'equivalent' ? 'no countermodel' : 'input and output have models in exactly the same sizes'} (${r.params.checked} structures)${r.params.limit ? `; larger domains not checked (limit of ${r.params.limit} structures)` : ''}`
+    },
+
+    // Cláusulas de Horn e resolução SLD
+    'horn-clause': {
+        pt: r => `Cláusula ${r.params.index}: $${r.params.clause}$ → ${r.params.positives} ${plural(r.params.positives, 'literal positivo', 'literais positivos')} → <b>${r.params.kind}</b> → ${r.params.prolog ? `<code>${r.params.prolog}</code>` : `Kowalski: $${r.params.kowalski}$`}`,
+        en: r => `Clause ${r.params.index}: $${r.params.clause}$ → ${r.params.positives} ${plural(r.params.positives, 'positive literal', 'positive literals')} → <b>${kind('en', r.params.kind)}</b> → ${r.params.prolog ? `<code>${r.params.prolog}</code>` : `Kowalski: $${r.params.kowalski}$`}`
+    },
+    'horn-equality-head': {
+        pt: () => '⚠ Há igualdades como cabeça de cláusula: em Prolog, <code>=/2</code> é predefinido e não pode ser definido por fatos ou regras. Na resolução SLD, objetivos $s = t$ são resolvidos por unificação, e essas cláusulas não são usadas para eles.',
+        en: () => '⚠ Some clauses have an equality as their head: in Prolog, <code>=/2</code> is built in and cannot be defined by facts or rules. In SLD resolution, goals $s = t$ are solved by unification, and those clauses are not used for them.'
+    },
+    'horn-yes': {
+        pt: () => '<b>Resultado final:</b> Sim, todas as cláusulas são Horn',
+        en: () => '<b>Final result:</b> Yes, every clause is a Horn clause'
+    },
+    'horn-program': {
+        pt: r => `Programa lógico: <pre>${r.params.program.join('\n')}</pre>`,
+        en: r => `Logic program: <pre>${r.params.program.join('\n')}</pre>`
+    },
+    'horn-no': {
+        pt: r => `<b>Resultado final:</b> Não — ${plural(r.params.clauses.length, 'a cláusula', 'as cláusulas')} ${r.params.clauses.join(', ')} ${plural(r.params.clauses.length, 'tem', 'têm')} mais de um literal positivo`,
+        en: r => `<b>Final result:</b> No — ${plural(r.params.clauses.length, 'clause', 'clauses')} ${r.params.clauses.join(', ')} ${plural(r.params.clauses.length, 'has', 'have')} more than one positive literal`
+    },
+    'horn-renaming': {
+        pt: r => `Renomeação sugerida: trocar ${math(r.params.predicates)} por ${math(r.params.predicates.map(p => `\\neg\\overline{${p}}`))} torna o conjunto Horn:`,
+        en: r => `Suggested renaming: replacing ${math(r.params.predicates)} by ${math(r.params.predicates.map(p => `\\neg\\overline{${p}}`))} makes the set Horn:`
+    },
+    'horn-renamed-clause': {
+        pt: r => `Cláusula ${r.params.index}: $${r.params.clause}$ → <b>${r.params.kind}</b>`,
+        en: r => `Clause ${r.params.index}: $${r.params.clause}$ → <b>${kind('en', r.params.kind)}</b>`
+    },
+    'horn-no-renaming': {
+        pt: () => 'Nenhuma renomeação de predicados torna o conjunto Horn.',
+        en: () => 'No renaming of predicates makes the set Horn.'
+    },
+    'sld-invalid-query': {
+        pt: () => 'A consulta deve ser uma conjunção de átomos, como $P(x) \\land Q(x)$.',
+        en: () => 'The query must be a conjunction of atoms, such as $P(x) \\land Q(x)$.'
+    },
+    'sld-query': {
+        pt: r => `Consulta informada: $?- ${r.params.goals}$`,
+        en: r => `Given query: $?- ${r.params.goals}$`
+    },
+    'sld-goal-clause': {
+        pt: r => `Sem consulta informada: usamos a cláusula objetivo $${r.params.clause}$ como consulta $?- ${r.params.goals}$`,
+        en: r => `No query given: the goal clause $${r.params.clause}$ is used as the query $?- ${r.params.goals}$`
+    },
+    'sld-selection': {
+        pt: r => `Regra de seleção: átomo mais à esquerda; busca em profundidade até ${r.params.maxDepth} níveis.`,
+        en: r => `Selection rule: leftmost atom; depth-first search up to ${r.params.maxDepth} levels.`
+    },
+    'sld-tree': { pt: r => sldTree('pt', r.params.tree), en: r => sldTree('en', r.params.tree) },
+    'sld-answers': {
+        pt: r => `<b>Respostas (${r.params.answers.length}):</b> ${r.params.answers.map(a => a ? `$${a}$` : 'sim').join('; ')}${r.params.exhausted ? '' : ' — a busca foi interrompida no limite, pode haver outras'}`,
+        en: r => `<b>Answers (${r.params.answers.length}):</b> ${r.params.answers.map(a => a ? `$${a}$` : 'yes').join('; ')}${r.params.exhausted ? '' : ' — the search stopped at the limit, there may be others'}`
+    },
+    'sld-failure': {
+        pt: () => '<b>Resultado:</b> falha finita — nenhum ramo leva à cláusula vazia, a consulta não é consequência do programa.',
+        en: () => '<b>Result:</b> finite failure — no branch reaches the empty clause, so the query does not follow from the program.'
+    },
+    'sld-inconclusive': {
+        pt: () => '<b>Resultado:</b> nenhuma resposta até o limite de profundidade (inconclusivo).',
+        en: () => '<b>Result:</b> no answer up to the depth limit (inconclusive).'
+    },
+    'sld-skipped': {
+        pt: r => `⚠ Resolução SLD omitida: a consulta $?- ${r.params.query}$ não foi executada porque o conjunto de cláusulas não é Horn (ver a etapa anterior).`,
+        en: r => `⚠ SLD resolution skipped: the query $?- ${r.params.query}$ was not run because the clause set is not Horn (see the previous stage).`
+    },
+
+    // Universo de Herbrand e procedimento de Gilmore
+    'herbrand-symbols': {
+        pt: r => `Símbolos: ${r.params.symbols.length > 0 ? math(r.params.symbols) : 'nenhum'}${r.params.added ? ` (sem constantes: acrescentamos $${r.params.added}$)` : ''}`,
+        en: r => `Symbols: ${r.params.symbols.length > 0 ? math(r.params.symbols) : 'none'}${r.params.added ? ` (no constants: we add $${r.params.added}$)` : ''}`
+    },
+    'herbrand-level': {
+        pt: r => `$H_{${r.params.depth}}$ (termos de profundidade ${r.params.depth}): ${r.params.total > 0 ? preview('pt', r.params.terms, r.params.total) : 'nenhum termo novo'}`,
+        en: r => `$H_{${r.params.depth}}$ (terms of depth ${r.params.depth}): ${r.params.total > 0 ? preview('en', r.params.terms, r.params.total) : 'no new terms'}`
+    },
+    'herbrand-finite': {
+        pt: () => 'Não há símbolos de função: o universo de Herbrand é finito e já está completo.',
+        en: () => 'There are no function symbols: the Herbrand universe is finite and already complete.'
+    },
+    'herbrand-truncated': {
+        pt: r => `⚠ Universo cortado em ${r.params.limit} termos.`,
+        en: r => `⚠ Universe cut at ${r.params.limit} terms.`
+    },
+    'herbrand-equality': {
+        pt: r => `A igualdade é tratada pelos seus ${r.params.axioms} axiomas (reflexividade, simetria, transitividade e substitutividade), instanciados como as demais cláusulas.`,
+        en: r => `Equality is handled by its ${r.params.axioms} axioms (reflexivity, symmetry, transitivity and substitutivity), instantiated like the other clauses.`
+    },
+    'herbrand-base': {
+        pt: r => `Base de Herbrand sobre esses termos (${r.params.total} átomos): ${preview('pt', r.params.atoms, r.params.total)}`,
+        en: r => `Herbrand base over these terms (${r.params.total} atoms): ${preview('en', r.params.atoms, r.params.total)}`
+    },
+    'herbrand-too-many': {
+        pt: r => `Profundidade ${r.params.depth}: ${r.params.count} instâncias excedem o limite de ${r.params.limit}; paramos aqui.`,
+        en: r => `Depth ${r.params.depth}: ${r.params.count} instances exceed the limit of ${r.params.limit}; stopping here.`
+    },
+    'herbrand-depth': {
+        pt: r => `Profundidade ${r.params.depth}: ${r.params.instances} ${plural(r.params.instances, 'instância básica', 'instâncias básicas')} sobre ${r.params.terms} ${plural(r.params.terms, 'termo', 'termos')}; DPLL com ${r.params.decisions} decisões — ${r.params.satisfiable ? 'satisfatível' : '<b>insatisfatível</b>'}`,
+        en: r => `Depth ${r.params.depth}: ${r.params.instances} ground ${plural(r.params.instances, 'instance', 'instances')} over ${r.params.terms} ${plural(r.params.terms, 'term', 'terms')}; DPLL with ${r.params.decisions} decisions — ${r.params.satisfiable ? 'satisfiable' : '<b>unsatisfiable</b>'}`
+    },
+    'herbrand-instance': { pt: r => `$$${r.params.clause}$$`, en: r => `$$${r.params.clause}$$` },
+    'herbrand-unsatisfiable': {
+        pt: () => '<b>Resultado:</b> um conjunto finito de instâncias básicas é contraditório; pelo teorema de Herbrand, as cláusulas são insatisfatíveis.',
+        en: () => '<b>Result:</b> a finite set of ground instances is contradictory; by Herbrand\'s theorem, the clauses are unsatisfiable.'
+    },
+    'herbrand-model': {
+        pt: r => `<b>Resultado:</b> todas as instâncias básicas são satisfeitas; modelo de Herbrand: ${r.params.total > 0 ? `átomos verdadeiros ${preview('pt', r.params.atoms, r.params.total)}` : 'todos os átomos falsos'}.`,
+        en: r => `<b>Result:</b> every ground instance is satisfied; Herbrand model: ${r.params.total > 0 ? `true atoms ${preview('en', r.params.atoms, r.params.total)}` : 'every atom false'}.`
+    },
+    'herbrand-inconclusive': {
+        pt: r => `<b>Resultado:</b> nenhuma contradição até a profundidade ${r.params.depth}; o universo é infinito, então isso não prova satisfatibilidade (inconclusivo).`,
+        en: r => `<b>Result:</b> no contradiction up to depth ${r.params.depth}; the universe is infinite, so this does not prove satisfiability (inconclusive).`
+    },
+
+    // Refutação por resolução
+    'resolution-strategy': {
+        pt: r => `Estratégia: ${RESOLUTION_STRATEGY_NAMES.pt[r.params.strategy]}; limite de ${r.params.maxSteps} passos`,
+        en: r => `Strategy: ${RESOLUTION_STRATEGY_NAMES.en[r.params.strategy]}; limit of ${r.params.maxSteps} steps`
+    },
+    'resolution-equality': {
+        pt: r => `A igualdade entra como predicado comum, com ${r.params.axioms} axiomas de igualdade (reflexividade, simetria, transitividade e substitutividade) acrescentados às cláusulas.`,
+        en: r => `Equality is treated as an ordinary predicate, with ${r.params.axioms} equality axioms (reflexivity, symmetry, transitivity and substitutivity) added to the clauses.`
+    },
+    'resolution-equality-hint': {
+        pt: () => 'Com esses axiomas a saturação em largura cresce depressa; a estratégia do conjunto de suporte costuma chegar à refutação em bem menos passos.',
+        en: () => 'With these axioms breadth-first saturation grows quickly; the set-of-support strategy usually reaches the refutation in far fewer steps.'
+    },
+    'resolution-clause': {
+        pt: r => {
+            const { number, clause, origin, parents, substitution } = r.params;
+            const from = origin === 'input' ? 'cláusula de entrada'
+                : origin === 'equality' ? 'axioma de igualdade'
+                : `${origin === 'factor' ? 'fator de' : 'resolvente de'} ${parents.map(p => `(${p})`).join(' e ')}${substitution ? `, com $${substitution}$` : ''}`;
+            return `(${number}) $$${clause}$$ ${from}`;
+        },
+        en: r => {
+            const { number, clause, origin, parents, substitution } = r.params;
+            const from = origin === 'input' ? 'input clause'
+                : origin === 'equality' ? 'equality axiom'
+                : `${origin === 'factor' ? 'factor of' : 'resolvent of'} ${parents.map(p => `(${p})`).join(' and ')}${substitution ? `, with $${substitution}$` : ''}`;
+            return `(${number}) $$${clause}$$ ${from}`;
+        }
+    },
+    'resolution-refuted': {
+        pt: r => `<b>Resultado:</b> cláusula vazia derivada após ${r.params.steps} passos — o conjunto de cláusulas é insatisfatível`,
+        en: r => `<b>Result:</b> empty clause derived after ${r.params.steps} steps — the clause set is unsatisfiable`
+    },
+    'resolution-saturated': {
+        pt: r => `<b>Resultado:</b> saturação após ${r.params.steps} passos sem a cláusula vazia — o conjunto de cláusulas é satisfatível`,
+        en: r => `<b>Result:</b> saturated after ${r.params.steps} steps without the empty clause — the clause set is satisfiable`
+    },
+    'resolution-gave-up': {
+        pt: r => `<b>Resultado:</b> desistimos após ${r.params.steps} passos sem encontrar a cláusula vazia (inconclusivo)`,
+        en: r => `<b>Result:</b> gave up after ${r.params.steps} steps without finding the empty clause (inconclusive)`
+    },
+
+    // Tableau semântico
+    'tableau-start': {
+        pt: r => `Partimos da negação da fórmula; se todos os ramos fecharem, a fórmula é válida. Limite γ: ${r.params.gammaLimit} instâncias por fórmula.`,
+        en: r => `We start from the negation of the formula; if every branch closes, the formula is valid. γ limit: ${r.params.gammaLimit} instances per formula.`
+    },
+    'tableau-tree': { pt: r => tableauTree('pt', r.params.tree), en: r => tableauTree('en', r.params.tree) },
+    'tableau-closed': {
+        pt: r => `<b>Resultado:</b> todos os ramos fecham (${r.params.nodes} nós) — a fórmula é <b>válida</b>.`,
+        en: r => `<b>Result:</b> every branch closes (${r.params.nodes} nodes) — the formula is <b>valid</b>.`
+    },
+    'tableau-equality': {
+        pt: () => '<b>Resultado:</b> inconclusivo — há um ramo aberto e saturado, mas o tableau trata a igualdade só pela reflexividade, então o ramo pode não corresponder a um contra-modelo.',
+        en: () => '<b>Result:</b> inconclusive — there is an open saturated branch, but the tableau handles equality only through reflexivity, so the branch may not correspond to a countermodel.'
+    },
+    'tableau-open': {
+        pt: () => '<b>Resultado:</b> há um ramo aberto e saturado — a fórmula <b>não é válida</b>.',
+        en: () => '<b>Result:</b> there is an open saturated branch — the formula is <b>not valid</b>.'
+    },
+    'tableau-countermodel': {
+        pt: r => `Contra-modelo lido do ramo: verdadeiros ${math(r.params.trueAtoms) || '—'}; falsos ${math(r.params.falseAtoms) || '—'} (os demais átomos podem ter qualquer valor).`,
+        en: r => `Countermodel read from the branch: true ${math(r.params.trueAtoms) || '—'}; false ${math(r.params.falseAtoms) || '—'} (the other atoms may take any value).`
+    },
+    'tableau-limit': {
+        pt: r => `<b>Resultado:</b> inconclusivo — algum ramo continua aberto após atingir o limite de instâncias γ ou de ${r.params.maxNodes} nós.`,
+        en: r => `<b>Result:</b> inconclusive — some branch is still open after reaching the γ-instance limit or the limit of ${r.params.maxNodes} nodes.`
+    },
+
+    // Tabela-verdade, DPLL e Quine–McCluskey
+    'truth-table': { pt: r => truthTable('pt', r.params), en: r => truthTable('en', r.params) },
+    'truth-table-classification': {
+        pt: r => `<b>Classificação:</b> a fórmula é ${r.params.trueRows === r.params.total ? 'tautologia (verdadeira em todas as linhas)'
+            : r.params.trueRows === 0 ? 'contradição (falsa em todas as linhas)'
+            : `contingente (verdadeira em ${r.params.trueRows} de ${r.params.total} linhas)`}`,
+        en: r => `<b>Classification:</b> the formula is ${r.params.trueRows === r.params.total ? 'a tautology (true in every row)'
+            : r.params.trueRows === 0 ? 'a contradiction (false in every row)'
+            : `contingent (true in ${r.params.trueRows} of ${r.params.total} rows)`}`
+    },
+    'dpll-stats': {
+        pt: r => `DPLL sobre ${r.params.clauses} cláusulas da FNC: ${r.params.decisions} decisões, ${r.params.propagations} propagações unitárias`,
+        en: r => `DPLL on ${r.params.clauses} CNF clauses: ${r.params.decisions} decisions, ${r.params.propagations} unit propagations`
+    },
+    'dpll-sat': {
+        pt: r => `<b>SAT:</b> valoração que satisfaz a fórmula: $${valuation('pt', r.params.valuation)}$`,
+        en: r => `<b>SAT:</b> valuation satisfying the formula: $${valuation('en', r.params.valuation)}$`
+    },
+    'dpll-unsat': {
+        pt: () => '<b>UNSAT:</b> nenhuma valoração satisfaz a fórmula (contradição)',
+        en: () => '<b>UNSAT:</b> no valuation satisfies the formula (contradiction)'
+    },
+    'dpll-contingent': {
+        pt: r => `<b>Classificação:</b> contingente — a valoração $${valuation('pt', r.params.valuation)}$ torna a fórmula falsa`,
+        en: r => `<b>Classification:</b> contingent — the valuation $${valuation('en', r.params.valuation)}$ makes the formula false`
+    },
+    'dpll-tautology': {
+        pt: () => '<b>Classificação:</b> tautologia — a negação da fórmula é insatisfatível',
+        en: () => '<b>Classification:</b> tautology — the negation of the formula is unsatisfiable'
+    },
+    'dpll-contradiction': {
+        pt: () => '<b>Classificação:</b> contradição',
+        en: () => '<b>Classification:</b> contradiction'
+    },
+    'qm-terms': {
+        pt: r => `<b>${r.params.form === 'dnf' ? 'FND mínima' : 'FNC mínima (implicantes primos da negação, com De Morgan)'}</b> — ${r.params.form === 'dnf' ? 'mintermos' : 'maxtermos'} (${r.params.atoms.join('')}): ${r.params.terms.length > 0 ? codes(r.params.terms) : 'nenhum'}`,
+        en: r => `<b>${r.params.form === 'dnf' ? 'Minimal DNF' : 'Minimal CNF (prime implicants of the negation, with De Morgan)'}</b> — ${r.params.form === 'dnf' ? 'minterms' : 'maxterms'} (${r.params.atoms.join('')}): ${r.params.terms.length > 0 ? codes(r.params.terms) : 'none'}`
+    },
+    'qm-round': {
+        pt: r => `Rodada ${r.params.round}: ${r.params.implicants.length} ${plural(r.params.implicants.length, 'implicante combinado', 'implicantes combinados')} — ${codes(r.params.implicants)}`,
+        en: r => `Round ${r.params.round}: ${r.params.implicants.length} combined ${plural(r.params.implicants.length, 'implicant', 'implicants')} — ${codes(r.params.implicants)}`
+    },
+    'qm-primes': {
+        pt: r => `Implicantes primos: ${implicants(r.params.implicants)}`,
+        en: r => `Prime implicants: ${implicants(r.params.implicants)}`
+    },
+    'qm-essential': {
+        pt: r => `Implicantes essenciais: ${implicants(r.params.implicants)}`,
+        en: r => `Essential implicants: ${implicants(r.params.implicants)}`
+    },
+    'qm-cover': {
+        pt: r => `Cobertura mínima dos mintermos restantes: ${implicants(r.params.implicants)}`,
+        en: r => `Minimal cover of the remaining minterms: ${implicants(r.params.implicants)}`
+    },
+    'qm-greedy': {
+        pt: () => 'Muitos implicantes restantes: cobertura escolhida de forma gulosa.',
+        en: () => 'Too many implicants left: the cover was chosen greedily.'
+    },
+    'qm-result': {
+        pt: r => `${r.params.form === 'dnf' ? 'FND mínima' : 'FNC mínima'}: $$${r.after.toString()}$$`,
+        en: r => `${r.params.form === 'dnf' ? 'Minimal DNF' : 'Minimal CNF'}: $$${r.after.toString()}$$`
+    },
+    'qm-skipped': {
+        pt: r => `Minimização omitida: a fórmula tem mais de ${r.params.limit} átomos.`,
+        en: r => `Minimization skipped: the formula has more than ${r.params.limit} atoms.`
+    },
+
+    // Unificação de Martelli–Montanari
+    'unify-problem': {
+        pt: r => `Problema inicial: ${equations('pt', r.params.equations)}`,
+        en: r => `Initial problem: ${equations('en', r.params.equations)}`
+    },
+    'unify-delete': {
+        pt: r => `<b>Remoção</b>: a equação $$${r.params.equation}$$ é trivial e é descartada. Restam: ${equations('pt', r.params.pending)}`,
+        en: r => `<b>Delete</b>: the equation $$${r.params.equation}$$ is trivial and is dropped. Remaining: ${equations('en', r.params.pending)}`
+    },
+    'unify-swap': {
+        pt: r => `<b>Troca</b>: $$${r.params.equation}$$ vira $$${r.params.swapped}$$`,
+        en: r => `<b>Swap</b>: $$${r.params.equation}$$ becomes $$${r.params.swapped}$$`
+    },
+    'unify-occurs': {
+        pt: r => `<b>Verificação de ocorrência</b>: $$${r.params.equation}$$ — a variável $${r.params.variable}$ ocorre em $${r.params.term}$, logo não há unificador`,
+        en: r => `<b>Occurs check</b>: $$${r.params.equation}$$ — the variable $${r.params.variable}$ occurs in $${r.params.term}$, so there is no unifier`
+    },
+    'unify-eliminate': {
+        pt: r => `<b>Eliminação</b>: $$${r.params.equation}$$ — substituímos $${r.params.variable}$ por $${r.params.term}$ nas demais equações. Restam: ${equations('pt', r.params.pending)}`,
+        en: r => `<b>Eliminate</b>: $$${r.params.equation}$$ — we replace $${r.params.variable}$ by $${r.params.term}$ in the other equations. Remaining: ${equations('en', r.params.pending)}`
+    },
+    'unify-clash': {
+        pt: r => `<b>Conflito</b>: $$${r.params.equation}$$ — símbolos $${r.params.symbols[0]}$ e $${r.params.symbols[1]}$ diferentes, logo não há unificador`,
+        en: r => `<b>Clash</b>: $$${r.params.equation}$$ — different symbols $${r.params.symbols[0]}$ and $${r.params.symbols[1]}$, so there is no unifier`
+    },
+    'unify-decompose': {
+        pt: r => `<b>Decomposição</b>: $$${r.params.equation}$$ gera as equações dos argumentos. Restam: ${equations('pt', r.params.pending)}`,
+        en: r => `<b>Decompose</b>: $$${r.params.equation}$$ yields the equations of the arguments. Remaining: ${equations('en', r.params.pending)}`
+    },
+    'unify-result': {
+        pt: r => `<b>Resultado:</b> unificador mais geral $$${r.params.mgu}$$ com instância comum $$${r.params.instance}$$`,
+        en: r => `<b>Result:</b> most general unifier $$${r.params.mgu}$$ with common instance $$${r.params.instance}$$`
+    },
+    'unify-failure': {
+        pt: () => '<b>Resultado:</b> os termos não são unificáveis',
+        en: () => '<b>Result:</b> the terms are not unifiable'
+    },
+
+    // Equivalência e consequência lógica entre duas fórmulas
+    'compare-operand': { pt: r => `$${r.params.label} = ${r.params.formula}$`, en: r => `$${r.params.label} = ${r.params.formula}$` },
+    'compare-method': {
+        pt: r => r.params.mode === 'equivalence' ? 'A e B são equivalentes se tiverem o mesmo valor em todas as linhas.' : 'A ⊨ B se B for verdadeira em toda linha em que A é verdadeira.',
+        en: r => r.params.mode === 'equivalence' ? 'A and B are equivalent if they have the same value in every row.' : 'A ⊨ B if B is true in every row where A is true.'
+    },
+    'compare-truth-table': { pt: r => truthTable('pt', r.params), en: r => truthTable('en', r.params) },
+    'compare-dpll': {
+        pt: r => `${r.params.atoms} átomos: em vez da tabela-verdade, DPLL sobre a FNC de Tseitin de $${r.params.target}$ (${r.params.clauses} cláusulas, ${r.params.decisions} decisões).`,
+        en: r => `${r.params.atoms} atoms: instead of the truth table, DPLL on the Tseitin CNF of $${r.params.target}$ (${r.params.clauses} clauses, ${r.params.decisions} decisions).`
+    },
+    'compare-target': {
+        pt: r => `A relação vale se e só se $${r.params.target}$ for insatisfatível.`,
+        en: r => `The relation holds if and only if $${r.params.target}$ is unsatisfiable.`
+    },
+    'compare-form': {
+        pt: r => `${COMPARISON_FORMS.pt[r.params.form]}: $$${r.params.formula}$$`,
+        en: r => `${COMPARISON_FORMS.en[r.params.form]}: $$${r.params.formula}$$`
+    },
+    'compare-clauses': {
+        pt: r => `Cláusulas: ${math(r.params.clauses)}`,
+        en: r => `Clauses: ${math(r.params.clauses)}`
+    },
+    'countermodel-search': {
+        pt: r => `Procuramos uma estrutura finita que satisfaça $${r.params.target}$ (domínios de tamanho 1 a ${r.params.maxDomainSize}).`,
+        en: r => `We look for a finite structure satisfying $${r.params.target}$ (domains of size 1 to ${r.params.maxDomainSize}).`
+    },
+    'countermodel-found': {
+        pt: r => `Contra-modelo: ${structure('pt', r.params.structure)} — $A$ vale ${value('pt', r.params.a)} e $B$ vale ${value('pt', r.params.b)}.`,
+        en: r => `Countermodel: ${structure('en', r.params.structure)} — $A$ is ${value('en', r.params.a)} and $B$ is ${value('en', r.params.b)}.`
+    },
+    'countermodel-none': {
+        pt: r => `Nenhum contra-modelo com até ${r.params.size} elementos.`,
+        en: r => `No countermodel with up to ${r.params.size} elements.`
+    },
+    'compare-verdict': {
+        pt: r => r.params.holds === null
+            ? `<b>Inconclusivo:</b> ${evidence('pt', r)}.`
+            : `<b>${r.params.holds ? 'Sim' : 'Não'}:</b> $A ${r.params.holds ? '' : '\\not'}${r.params.symbol} B$ — ${evidence('pt', r)}.`,
+        en: r => r.params.holds === null
+            ? `<b>Inconclusive:</b> ${evidence('en', r)}.`
+            : `<b>${r.params.holds ? 'Yes' : 'No'}:</b> $A ${r.params.holds ? '' : '\\not'}${r.params.symbol} B$ — ${evidence('en', r)}.`
+    },
+
+    // Avaliação numa estrutura finita
+    'eval-free-variables': {
+        pt: r => `Variáveis livres sem valor (${math(r.params.variables)}) lidas como universais.`,
+        en: r => `Free variables without a value (${math(r.params.variables)}) read as universal.`
+    },
+    'eval-value': {
+        pt: r => `Valor na estrutura: ${bold('pt', r.params.value)}`,
+        en: r => `Value in the structure: ${bold('en', r.params.value)}`
+    },
+    'eval-witness': {
+        pt: r => `${indent(r.params.depth)}${context('pt', r.params.context)}$${r.params.formula}$ é ${bold('pt', true)}: testemunha $${r.params.variable} = ${r.params.element}$`,
+        en: r => `${indent(r.params.depth)}${context('en', r.params.context)}$${r.params.formula}$ is ${bold('en', true)}: witness $${r.params.variable} = ${r.params.element}$`
+    },
+    'eval-counterexample': {
+        pt: r => `${indent(r.params.depth)}${context('pt', r.params.context)}$${r.params.formula}$ é ${bold('pt', false)}: contra-exemplo $${r.params.variable} = ${r.params.element}$`,
+        en: r => `${indent(r.params.depth)}${context('en', r.params.context)}$${r.params.formula}$ is ${bold('en', false)}: counterexample $${r.params.variable} = ${r.params.element}$`
+    },
+    'eval-everywhere': {
+        pt: r => `${indent(r.params.depth)}${context('pt', r.params.context)}$${r.params.formula}$ é ${bold('pt', r.params.value)}: ${r.params.quantifier === 'forall' ? 'vale' : 'falha'} para todo $${r.params.variable}$ do domínio`,
+        en: r => `${indent(r.params.depth)}${context('en', r.params.context)}$${r.params.formula}$ is ${bold('en', r.params.value)}: ${r.params.quantifier === 'forall' ? 'holds' : 'fails'} for every $${r.params.variable}$ in the domain`
+    },
+    'eval-truncated': { pt: () => '…', en: () => '…' },
+    'eval-too-many-expansions': {
+        pt: r => `Símbolos não interpretados (${math(r.params.symbols)}): expansões demais para testar.`,
+        en: r => `Uninterpreted symbols (${math(r.params.symbols)}): too many expansions to test.`
+    },
+    'eval-uninterpreted': {
+        pt: r => `Símbolos não interpretados pela estrutura: ${math(r.params.symbols)}.`,
+        en: r => `Symbols not interpreted by the structure: ${math(r.params.symbols)}.`
+    },
+    'eval-satisfying': {
+        pt: r => `Alguma interpretação deles torna a fórmula ${bold('pt', true)}: ${interpretation('pt', r.params.structure, r.params.symbols)}`,
+        en: r => `Some interpretation of them makes the formula ${bold('en', true)}: ${interpretation('en', r.params.structure, r.params.symbols)}`
+    },
+    'eval-unsatisfiable': {
+        pt: () => 'Nenhuma interpretação deles torna a fórmula verdadeira.',
+        en: () => 'No interpretation of them makes the formula true.'
+    },
+    'eval-falsifying': {
+        pt: r => `Outra interpretação a torna ${bold('pt', false)}: ${interpretation('pt', r.params.structure, r.params.symbols)}`,
+        en: r => `Another interpretation makes it ${bold('en', false)}: ${interpretation('en', r.params.structure, r.params.symbols)}`
+    },
+    // Linha da avaliação acrescentada a um passo do pipeline: o registro `rule` com `params`
+    'model-check-probe': {
+        pt: r => `🔎 ${ANALYSIS_RULES[r.params.rule].pt({ params: r.params.params })}`,
+        en: r => `🔎 ${ANALYSIS_RULES[r.params.rule].en({ params: r.params.params })}`
+    },
+    'model-check-structure': {
+        pt: r => `Estrutura: ${structure('pt', r.params.structure)}`,
+        en: r => `Structure: ${structure('en', r.params.structure)}`
+    },
+    'model-check-assignment': {
+        pt: r => `Atribuição: $${r.params.assignment.map(([x, v]) => `${x} = ${v}`).join(', ')}$`,
+        en: r => `Assignment: $${r.params.assignment.map(([x, v]) => `${x} = ${v}`).join(', ')}$`
+    },
+    'model-check-value': {
+        pt: r => `${stageTitle('pt', r)}: ${r.params.value === null ? 'depende da interpretação dos símbolos novos' : bold('pt', r.params.value)}`,
+        en: r => `${stageTitle('en', r)}: ${r.params.value === null ? 'depends on the interpretation of the new symbols' : bold('en', r.params.value)}`
+    },
+
+    // Erros de leitura e pipelines interrompidos
+    'diagnostic': { pt: r => diagnosticHtml(r.params, 'pt'), en: r => diagnosticHtml(r.params, 'en') },
+    'pipeline-unmet': {
+        pt: r => `<b>Pré-condição não satisfeita:</b> a etapa "${escapeHtml(r.params.stage)}" exige uma fórmula ${r.params.unmet.map(p => PROPERTY_DESCRIPTIONS.pt[p]).join(' e ')}; inclua antes ${r.params.establishedBy.map(s => `"${s}"`).join(', ')}`,
+        en: r => `<b>Unmet precondition:</b> the stage "${escapeHtml(r.params.stage)}" requires a formula ${r.params.unmet.map(p => PROPERTY_DESCRIPTIONS.en[p]).join(' and ')}; add ${r.params.establishedBy.map(s => `"${s}"`).join(', ')} before it`
+    },
+    'pipeline-invalid': {
+        pt: r => `<b>Pipeline inválido:</b> ${r.params.reason === 'empty' ? 'o pipeline precisa de pelo menos uma etapa'
+            : r.params.reason === 'unknown' ? `etapa desconhecida "${escapeHtml(r.params.stage)}"; as etapas são ${r.params.stages.join(', ')}`
+            : `a etapa "${escapeHtml(r.params.stage)}" aparece mais de uma vez`}`,
+        en: r => `<b>Invalid pipeline:</b> ${r.params.reason === 'empty' ? 'the pipeline needs at least one stage'
+            : r.params.reason === 'unknown' ? `unknown stage "${escapeHtml(r.params.stage)}"; the stages are ${r.params.stages.join(', ')}`
+            : `the stage "${escapeHtml(r.params.stage)}" appears more than once`}`
+    },
+
+    // Diferenças entre duas derivações
+    'diff-none': {
+        pt: () => 'Nenhuma diferença: as duas derivações aplicam as mesmas regras e chegam às mesmas fórmulas.',
+        en: () => 'No differences: both derivations apply the same rules and reach the same formulas.'
+    },
+    'diff-removed': {
+        pt: r => `<b>${stageTitle('pt', r)}</b>: etapa presente só na primeira derivação`,
+        en: r => `<b>${stageTitle('en', r)}</b>: stage present only in the first derivation`
+    },
+    'diff-added': {
+        pt: r => `<b>${stageTitle('pt', r)}</b>: etapa presente só na segunda derivação`,
+        en: r => `<b>${stageTitle('en', r)}</b>: stage present only in the second derivation`
+    },
+    'diff-formula': {
+        pt: r => `<b>${stageTitle('pt', r)}</b>: $${r.params.formulas[0]}$ ≠ $${r.params.formulas[1]}$`,
+        en: r => `<b>${stageTitle('en', r)}</b>: $${r.params.formulas[0]}$ ≠ $${r.params.formulas[1]}$`
+    },
+    'diff-rules': {
+        pt: r => `<b>${stageTitle('pt', r)}</b>: ${r.params.counts[0]} × ${r.params.counts[1]} regras; primeira divergência na regra ${r.params.position} (<code>${r.params.rules[0] ?? '—'}</code> × <code>${r.params.rules[1] ?? '—'}</code>)`,
+        en: r => `<b>${stageTitle('en', r)}</b>: ${r.params.counts[0]} × ${r.params.counts[1]} rules; first divergence at rule ${r.params.position} (<code>${r.params.rules[0] ?? '—'}</code> × <code>${r.params.rules[1] ?? '—'}</code>)`
+    },
+    'diff-error': {
+        pt: r => `<b>${stageTitle('pt', r)}</b>: a entrada gravada não pôde ser processada novamente`,
+        en: r => `<b>${stageTitle('en', r)}</b>: the recorded input could not be processed again`
+    }
+};
@@ -0,0 +1,186 @@
+import { Formula, LATEX_NOTATION, TEXT_NOTATION, Term, freshVariableName } from './formula.js';
+
+// Função para extrair matriz sem quantificadores
+export function getMatrix(formula) {
+    switch(formula.type) {
+        case 'forall':
+        case 'exists':
+            return getMatrix(formula.left);
+        case 'and':
+        case 'or':
+            return new Formula(formula.type, formula.content, getMatrix(formula.left), getMatrix(formula.right));
+        case 'neg':
+            return new Formula('neg', formula.content, getMatrix(formula.left));
+        default:
+            return formula;
+    }
+}
+
+// Função para extrair cláusulas individuais (disjunções dentro de ANDs)
+export function extractClauses(f) {
+    if (!f || f.type === 'true') return [];
+    if (f.type === 'and') {
+        return [...extractClauses(f.left), ...extractClauses(f.right)];
+    }
+    return [f]; // cada disjunção é uma cláusula
+}
+
+// Conta literais positivos em uma cláusula
+export function countPositiveLiterals(clause) {
+    if (!clause) return 0;
+    switch (clause.type) {
+        case 'or':
+            return countPositiveLiterals(clause.left) + countPositiveLiterals(clause.right);
+        case 'neg':
+            return 0; // literal negado é negativo
+        case 'atom':
+            return 1; // literal positivo
+        default:
+            return 0;
+    }
+}
+
+// Literal: átomo com sinal
+export class Literal {
+    constructor(positive, atom) {
+        this.positive = positive;
+        this.atom = atom;
+    }
+
+    format(notation = LATEX_NOTATION) {
+        if (this.positive) return this.atom.format(notation);
+        return this.atom.isEquality() ? new Formula('neg', null, this.atom).format(notation) : `${notation.neg}${this.atom.format(notation)}`;
+    }
+
+    toString() {
+        return this.format(LATEX_NOTATION);
+    }
+
+    apply(subst) {
+        return new Literal(this.positive, this.atom.apply(subst));
+    }
+
+    isComplementOf(other) {
+        return this.positive !== other.positive && this.atom.toString() === other.atom.toString();
+    }
+}
+
+// Cláusula: disjunção de literais, com a origem usada para reconstruir a derivação
+export class Clause {
+    constructor(literals, rule = 'entrada', parents = [], substitution = null) {
+        // Remove literais repetidos
+        const seen = new Set();
+        this.literals = literals.filter(l => {
+            const key = l.toString();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        this.rule = rule; // 'entrada', 'igualdade' (axioma), 'resolução', 'fatoração'
+        this.parents = parents;
+        this.substitution = substitution;
+        this.id = null;
+    }
+
+    static fromFormula(f) {
+        const literals = [];
+        const collect = (g) => {
+            if (g.type === 'or') {
+                collect(g.left);
+                collect(g.right);
+            } else if (g.type === 'false') {
+                return; // ⊥ não contribui com literais: sozinho, dá a cláusula vazia
+            } else if (g.type === 'neg') {
+                literals.push(new Literal(false, g.left));
+            } else {
+                literals.push(new Literal(true, g));
+            }
+        };
+        collect(f);
+        return new Clause(literals);
+    }
+
+    isEmpty() {
+        return this.literals.length === 0;
+    }
+
+    isTautology() {
+        return this.literals.some(l => this.literals.some(m => l.isComplementOf(m)));
+    }
+
+    variables() {
+        const acc = new Set();
+        this.literals.forEach(l => l.atom.freeVariables(new Set(), acc));
+        return acc;
+    }
+
+    apply(subst) {
+        return this.literals.map(l => l.apply(subst));
+    }
+
+    // Renomeia as variáveis para que não colidam com avoid
+    renamedApart(avoid) {
+        const subst = new Map();
+        const names = new Set(avoid);
+        this.variables().forEach(v => {
+            if (!names.has(v)) return;
+            const fresh = freshVariableName(v, new Set([...names, ...this.variables()]));
+            names.add(fresh);
+            subst.set(v, new Term('var', fresh));
+        });
+        return subst.size === 0 ? this : new Clause(this.apply(subst), this.rule, this.parents, this.substitution);
+    }
+
+    format(notation = LATEX_NOTATION) {
+        if (this.isEmpty()) return notation.empty;
+        return this.literals.map(l => l.format(notation)).join(notation.or);
+    }
+
+    toString() {
+        return this.format(LATEX_NOTATION);
+    }
+
+    toText() {
+        return this.format(TEXT_NOTATION);
+    }
+}
+
+/**
+ * Axiomas da igualdade para um conjunto de cláusulas que usa `=`: reflexividade, simetria,
+ * transitividade e substitutividade em cada argumento das funções e predicados do conjunto.
+ * Com eles, `=` pode ser tratado como um predicado comum pela resolução e por Herbrand.
+ * @param {Clause[]} clauses
+ * @returns {Clause[]} vazio quando nenhuma cláusula usa a igualdade
+ */
+export function equalityAxioms(clauses) {
+    const atoms = clauses.flatMap(c => c.literals.map(l => l.atom));
+    if (!atoms.some(a => a.isEquality())) return [];
+    const v = name => new Term('var', name);
+    const eq = (s, t, positive) => new Literal(positive, Formula.equality(s, t));
+    const axioms = [
+        [eq(v('x'), v('x'), true)],
+        [eq(v('x'), v('y'), false), eq(v('y'), v('x'), true)],
+        [eq(v('x'), v('y'), false), eq(v('y'), v('z'), false), eq(v('x'), v('z'), true)]
+    ];
+
+    const functions = new Map();
+    const predicates = new Map();
+    const visit = t => {
+        if (t.type === 'func') functions.set(t.name, t.args.length);
+        t.args.forEach(visit);
+    };
+    atoms.forEach(a => {
+        if (!a.isEquality() && a.args.length > 0) predicates.set(a.content, a.args.length);
+        a.args.forEach(visit);
+    });
+    // x_i = y → f(..., x_i, ...) = f(..., y, ...) e x_i = y ∧ P(..., x_i, ...) → P(..., y, ...)
+    const substitutions = arity => Array.from({ length: arity }, (_, i) => {
+        const xs = Array.from({ length: arity }, (_, j) => v(`x${j + 1}`));
+        return { premise: eq(xs[i], v('y'), false), xs, ys: xs.map((x, j) => j === i ? v('y') : x) };
+    });
+    functions.forEach((arity, f) => substitutions(arity).forEach(({ premise, xs, ys }) =>
+        axioms.push([premise, eq(new Term('func', f, xs), new Term('func', f, ys), true)])));
+    predicates.forEach((arity, p) => substitutions(arity).forEach(({ premise, xs, ys }) =>
+        axioms.push([premise, new Literal(false, new Formula('atom', p, null, null, xs)), new Literal(true, new Formula('atom', p, null, null, ys))])));
+    return axioms.map(literals => new Clause(literals, 'igualdade'));
+}
@@ -0,0 +1,151 @@
+// Equivalência (A ≡ B) e consequência lógica (A ⊨ B) entre duas fórmulas. Em lógica proposicional
+// compara tabelas-verdade (ou usa DPLL); em primeira ordem reduz à refutação da forma clausal de
+// ¬(A ↔ B) ou de A ∧ ¬B e, se ela não sair, procura um contra-modelo finito.
+import { Clause, extractClauses, getMatrix } from './clauses.js';
+import { record, stagedStep } from './derivation.js';
+import { Formula } from './formula.js';
+import { TRUTH_TABLE_MAX_ATOMS, dpll, evaluatePropositional } from './propositional.js';
+import { resolutionRefutation } from './resolution.js';
+import { countStructures, enumerateStructures, evaluate, signature } from './semantics.js';
+import { FormulaTransformer } from './transformer.js';
+
+export const COMPARISON_MODES = {
+    equivalence: { symbol: '\\equiv', name: 'equivalência' },
+    entailment: { symbol: '\\models', name: 'consequência lógica' }
+};
+
+export const COUNTER_MODEL_LIMITS = { maxDomainSize: 3, maxStructures: 50000 };
+
+const neg = f => new Formula('neg', null, f);
+
+function universalClosure(f) {
+    return [...f.freeVariables()].reverse().reduce((acc, v) => new Formula('forall', v, acc), f);
+}
+
+// Fórmula que é insatisfatível exatamente quando a relação vale
+function refutationTarget(a, b, mode) {
+    return mode === 'equivalence'
+        ? neg(new Formula('iff', null, a, b))
+        : new Formula('and', null, a, neg(b));
+}
+
+function* valuations(atoms) {
+    for (let row = 0; row < 2 ** atoms.length; row++) {
+        yield new Map(atoms.map((a, i) => [a, !((row >> (atoms.length - 1 - i)) & 1)]));
+    }
+}
+
+function comparePropositional(a, b, mode, transformer) {
+    const atoms = [...new Set([...a.predicateSymbols(), ...b.predicateSymbols()])].sort();
+    const fails = (va, vb) => mode === 'equivalence' ? va !== vb : va && !vb;
+
+    if (atoms.length <= TRUTH_TABLE_MAX_ATOMS) {
+        const rows = [];
+        const marked = [];
+        let counter = null;
+        for (const valuation of valuations(atoms)) {
+            const va = evaluatePropositional(a, valuation);
+            const vb = evaluatePropositional(b, valuation);
+            if (fails(va, vb)) {
+                counter ??= valuation;
+                marked.push(rows.length);
+            }
+            rows.push([...atoms.map(x => valuation.get(x)), va, vb]);
+        }
+        const records = [
+            record('compare-method', { mode }),
+            record('compare-truth-table', { headers: [...atoms, 'A', 'B'], rows, marked })
+        ];
+        return { stage: 'comparison-truth-table', title: "Tabela-Verdade Comparada", records, holds: !counter, counter };
+    }
+
+    // Muitos átomos: DPLL sobre a FNC de Tseitin do alvo da refutação
+    const target = refutationTarget(a, b, mode);
+    const nnf = transformer.pushNegations(transformer.eliminateImplications(target).formula).formula;
+    const cnf = transformer.toTseitinCNF(nnf).formula;
+    const clauses = extractClauses(getMatrix(cnf)).map(c => Clause.fromFormula(c).literals.map(l => ({ name: l.atom.content, positive: l.positive })));
+    const { assignment, stats } = dpll(clauses);
+    const records = [record('compare-dpll', { atoms: atoms.length, target: target.toString(), clauses: clauses.length, decisions: stats.decisions })];
+    const counter = assignment && new Map(atoms.map(x => [x, assignment.has(x) ? assignment.get(x) : true]));
+    return { stage: 'comparison-dpll', title: "Satisfatibilidade do Alvo (DPLL)", records, holds: !assignment, counter };
+}
+
+// Busca exaustiva de um modelo finito para o alvo (isto é, um contra-modelo para a relação)
+function findCounterModel(target, limits = COUNTER_MODEL_LIMITS) {
+    const sig = signature([target]);
+    let checked = 0;
+    for (let size = 1; size <= limits.maxDomainSize; size++) {
+        if (checked + countStructures(sig, size) > limits.maxStructures) return { structure: null, size: size - 1 };
+        for (const structure of enumerateStructures(sig, size)) {
+            checked++;
+            if (evaluate(target, structure)) return { structure, size };
+        }
+    }
+    return { structure: null, size: limits.maxDomainSize };
+}
+
+/**
+ * Compara duas fórmulas já lidas.
+ * @param {'equivalence'|'entailment'} mode
+ * @returns {object[]} passos no formato do renderizador, com os registros de cada um
+ */
+export function compareFormulas(a, b, mode = 'equivalence', options = {}) {
+    const { symbol, name } = COMPARISON_MODES[mode];
+    const question = new Formula('atom', `A ${symbol} B`);
+    const result = [stagedStep(`${mode}-question`, { title: `Pergunta: ${name}`, formula: question }, [
+        record('compare-operand', { label: 'A', formula: a.toString() }),
+        record('compare-operand', { label: 'B', formula: b.toString() })
+    ])];
+    const transformer = new FormulaTransformer(a, options);
+    let holds;
+    let evidence;
+
+    if (a.isPropositional() && b.isPropositional()) {
+        const check = comparePropositional(a, b, mode, transformer);
+        result.push(stagedStep(check.stage, { title: check.title, formula: question }, check.records));
+        holds = check.holds;
+        evidence = holds ? { evidence: 'no-valuation' } : { evidence: 'counterexample', valuation: [...check.counter] };
+    } else {
+        // Variáveis livres lidas como universais, como na forma clausal
+        const target = refutationTarget(universalClosure(a), universalClosure(b), mode);
+        const step1 = transformer.eliminateImplications(transformer.relativizeQuantifiers(target).formula).formula;
+        const step2 = transformer.pushNegations(step1).formula;
+        const step3 = transformer.standardizeVariables(step2).formula;
+        const prenex = transformer.toPrenexForm(step3).formula;
+        const skolem = transformer.skolemize(prenex).formula;
+        const cnf = transformer.toCNF(skolem).formula;
+        result.push(stagedStep('comparison-reduction', { title: "Redução à Refutação", formula: cnf }, [
+            record('compare-target', { target: target.toString() }),
+            record('compare-form', { form: 'implication-free', formula: step1.toString() }),
+            record('compare-form', { form: 'nnf', formula: step3.toString() }),
+            record('compare-form', { form: 'prenex', formula: prenex.toString() }),
+            record('compare-form', { form: 'skolem', formula: skolem.toString() }),
+            record('compare-clauses', { clauses: extractClauses(getMatrix(cnf)).map(c => Clause.fromFormula(c).toString()) })
+        ]));
+
+        const resolution = resolutionRefutation(cnf, options.resolution);
+        result.push(stagedStep('resolution', { title: "Refutação por Resolução", formula: resolution.formula }, resolution.records));
+        if (resolution.outcome.status === 'refuted') {
+            holds = true;
+            evidence = { evidence: 'refuted' };
+        } else {
+            const search = findCounterModel(target);
+            const records = [record('countermodel-search', { target: target.toString(), maxDomainSize: COUNTER_MODEL_LIMITS.maxDomainSize })];
+            if (search.structure) {
+                const va = evaluate(universalClosure(a), search.structure);
+                const vb = evaluate(universalClosure(b), search.structure);
+                records.push(record('countermodel-found', { structure: search.structure.toJSON(), a: va, b: vb }));
+                holds = false;
+                evidence = { evidence: 'countermodel', size: search.size };
+            } else {
+                records.push(record('countermodel-none', { size: search.size }));
+                holds = resolution.outcome.status === 'saturated' ? false : null;
+                evidence = { evidence: holds === false ? 'saturated' : 'inconclusive' };
+            }
+            result.push(stagedStep('countermodel', { title: "Busca de Contra-modelo Finito", formula: question }, records));
+        }
+    }
+
+    result.push(stagedStep('conclusion', { title: "Conclusão", formula: question }, [record('compare-verdict', { holds, symbol, ...evidence })]));
+    return result;
+}
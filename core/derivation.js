@@ -0,0 +1,486 @@
+// Registro estruturado das derivações. Cada regra aplicada pelo motor vira um objeto
+// { rule, stage, path, before, after, params }, descrito em texto só na hora de mostrar; assim a
+// derivação pode ser exportada em JSON, reimportada, reexecutada, comparada entre execuções e
+// apresentada em outro idioma ou nível de detalhe sem mexer no motor.
+import { ANALYSIS_RULES, STAGE_TITLES_EN } from './analysis-rules.js';
+import { Formula } from './formula.js';
+
+export const DERIVATION_FORMAT = 'transformador-formas-logicas/derivacao';
+export const DERIVATION_VERSION = 1;
+export const LANGUAGES = ['pt', 'en'];
+export const VERBOSITY_LEVELS = ['brief', 'normal', 'detailed'];
+
+// Erro de leitura de uma derivação importada
+export class DerivationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DerivationError';
+    }
+}
+
+/**
+ * Cria o registro de uma regra. `path` é a posição da subfórmula reescrita (índices de filhos:
+ * 0 = esquerdo ou único, 1 = direito) na forma em construção; os demais campos vão para `params`.
+ */
+export function record(rule, { path = [], before = null, after = null, ...params } = {}) {
+    return { rule, stage: null, path, before, after, params };
+}
+
+// Texto livre (HTML com $...$), para passos que não têm regras próprias
+export function note(text) {
+    return record('note', { text });
+}
+
+const m = f => f.toString();
+const equiv = r => `$$${m(r.before)} \\equiv ${m(r.after)}$$`;
+const Q = { forall: '\\forall', exists: '\\exists' };
+const OP = { and: '\\land', or: '\\lor' };
+const list = names => names.map(v => `$${v}$`).join(', ');
+const plural = (n, one, many) => n === 1 ? one : many;
+
+const FORM_NAMES = {
+    pt: { prenex: 'Forma prenex', miniscope: 'Forma miniscopada', cnf: 'Forma Normal Conjuntiva final', tseitin: 'Forma Normal Conjuntiva final (Tseitin)', dnf: 'Forma Normal Disjuntiva final' },
+    en: { prenex: 'Prenex form', miniscope: 'Miniscoped form', cnf: 'Final conjunctive normal form', tseitin: 'Final conjunctive normal form (Tseitin)', dnf: 'Final disjunctive normal form' }
+};
+
+const STRATEGY_NAMES = {
+    pt: { 'left-to-right': 'da esquerda para a direita', 'exists-first': '∃ primeiro', 'forall-first': '∀ primeiro' },
+    en: { 'left-to-right': 'left to right', 'exists-first': '∃ first', 'forall-first': '∀ first' }
+};
+
+// Vocabulário da simplificação: numa FNC os grupos são cláusulas, numa FND são termos
+const GROUP = {
+    pt: { cnf: ['cláusula', 'cláusulas', 'a'], dnf: ['termo', 'termos', 'o'] },
+    en: { cnf: ['clause', 'clauses'], dnf: ['term', 'terms'] }
+};
+const constant = kind => kind === 'cnf' ? '\\top' : '\\bot';
+
+/**
+ * Catálogo de regras: descrição em cada idioma, relação entre `before` e `after` (quando a regra
+ * os registra) e `summary` para as linhas mantidas no nível de detalhe resumido. As regras das
+ * análises (`ANALYSIS_RULES`) aparecem em todos os níveis e não contam como passos de reescrita.
+ */
+export const RULES = {
+    ...ANALYSIS_RULES,
+    'relativize': {
+        relation: 'equivalent',
+        pt: r => `Quantificador ${r.params.quantifier === 'forall' ? 'universal' : 'existencial'} limitado relativizado: ${equiv(r)}`,
+        en: r => `Relativized the bounded ${r.params.quantifier === 'forall' ? 'universal' : 'existential'} quantifier: ${equiv(r)}`
+    },
+    'free-none': {
+        pt: () => 'Nenhuma variável livre: a fórmula é uma sentença.',
+        en: () => 'No free variables: the formula is a sentence.'
+    },
+    'free-detected': {
+        pt: r => `Variáveis livres detectadas: ${list(r.params.variables)}`,
+        en: r => `Free variables found: ${list(r.params.variables)}`
+    },
+    'free-constants': {
+        pt: r => `Cada variável livre vira uma constante nova: ${r.params.mapping.map(([v, c]) => `$${v} \\mapsto ${c}$`).join(', ')}`,
+        en: r => `Each free variable becomes a new constant: ${r.params.mapping.map(([v, c]) => `$${v} \\mapsto ${c}$`).join(', ')}`
+    },
+    'free-closure': {
+        pt: r => `Fecho ${r.params.policy === 'existential' ? 'existencial' : 'universal'}: $$${m(r.after)}$$`,
+        en: r => `${r.params.policy === 'existential' ? 'Existential' : 'Universal'} closure: $$${m(r.after)}$$`
+    },
+    'free-warning': {
+        summary: true,
+        pt: r => r.params.policy === 'constant'
+            ? `⚠ <b>Atenção:</b> A forma clausal passa a falar de ${plural(r.params.constants.length, 'um objeto fixo', 'objetos fixos')} ${list(r.params.constants)}, não de todos os valores de ${list(r.params.variables)}; o resultado é equissatisfatível ao fecho existencial, não ao universal.`
+            : `⚠ <b>Atenção:</b> O fecho existencial será Skolemizado: ${list(r.params.variables)} ${plural(r.params.variables.length, 'vira uma constante', 'viram constantes')} na forma clausal, que deixa de valer para todos os valores ${plural(r.params.variables.length, 'dessa variável', 'dessas variáveis')}.`,
+        en: r => r.params.policy === 'constant'
+            ? `⚠ <b>Warning:</b> the clausal form now talks about ${plural(r.params.constants.length, 'a fixed object', 'fixed objects')} ${list(r.params.constants)}, not about every value of ${list(r.params.variables)}; the result is equisatisfiable with the existential closure, not the universal one.`
+            : `⚠ <b>Warning:</b> the existential closure will be Skolemized: ${list(r.params.variables)} ${plural(r.params.variables.length, 'becomes a constant', 'become constants')} in the clausal form, which no longer holds for every value of ${plural(r.params.variables.length, 'that variable', 'those variables')}.`
+    },
+    'imp-elim': {
+        relation: 'equivalent',
+        pt: r => `Substituímos a implicação: ${equiv(r)}`,
+        en: r => `Replaced the implication: ${equiv(r)}`
+    },
+    'iff-elim': {
+        relation: 'equivalent',
+        pt: r => `Substituímos o bicondicional: ${equiv(r)}`,
+        en: r => `Replaced the biconditional: ${equiv(r)}`
+    },
+    'xor-elim': {
+        relation: 'equivalent',
+        pt: r => `Substituímos o ou exclusivo: ${equiv(r)}`,
+        en: r => `Replaced the exclusive or: ${equiv(r)}`
+    },
+    'nand-elim': {
+        relation: 'equivalent',
+        pt: r => `Substituímos o NAND pela negação da conjunção: ${equiv(r)}`,
+        en: r => `Replaced NAND by the negated conjunction: ${equiv(r)}`
+    },
+    'nor-elim': {
+        relation: 'equivalent',
+        pt: r => `Substituímos o NOR pela negação da disjunção: ${equiv(r)}`,
+        en: r => `Replaced NOR by the negated disjunction: ${equiv(r)}`
+    },
+    'double-negation': {
+        relation: 'equivalent',
+        pt: r => `Eliminamos a negação dupla: ${equiv(r)}`,
+        en: r => `Removed the double negation: ${equiv(r)}`
+    },
+    'de-morgan': {
+        relation: 'equivalent',
+        pt: r => `Aplicamos De Morgan: ${equiv(r)}`,
+        en: r => `Applied De Morgan's law: ${equiv(r)}`
+    },
+    'neg-quantifier': {
+        relation: 'equivalent',
+        pt: r => `Negação de quantificador ${r.params.quantifier === 'forall' ? 'universal' : 'existencial'}: ${equiv(r)}`,
+        en: r => `Negated ${r.params.quantifier === 'forall' ? 'universal' : 'existential'} quantifier: ${equiv(r)}`
+    },
+    'constant-neg': {
+        relation: 'equivalent',
+        pt: r => `Negação de constante: ${equiv(r)}`,
+        en: r => `Negated constant: ${equiv(r)}`
+    },
+    'constant-absorb': {
+        relation: 'equivalent',
+        pt: r => `$${r.params.constant}$ absorve a ${r.params.connective === 'and' ? 'conjunção' : 'disjunção'}: ${equiv(r)}`,
+        en: r => `$${r.params.constant}$ absorbs the ${r.params.connective === 'and' ? 'conjunction' : 'disjunction'}: ${equiv(r)}`
+    },
+    'constant-neutral': {
+        relation: 'equivalent',
+        pt: r => `$${r.params.constant}$ é neutro na ${r.params.connective === 'and' ? 'conjunção' : 'disjunção'}: ${equiv(r)}`,
+        en: r => `$${r.params.constant}$ is neutral in the ${r.params.connective === 'and' ? 'conjunction' : 'disjunction'}: ${equiv(r)}`
+    },
+    'constant-quantifier': {
+        relation: 'equivalent',
+        pt: r => `Quantificador sobre uma constante (o domínio não é vazio): ${equiv(r)}`,
+        en: r => `Quantifier over a constant (the domain is non-empty): ${equiv(r)}`
+    },
+    'eq-reflexive': {
+        relation: 'equivalent',
+        pt: r => `Reflexividade da igualdade: ${equiv(r)}`,
+        en: r => `Reflexivity of equality: ${equiv(r)}`
+    },
+    'alpha-rename': {
+        relation: 'equivalent',
+        pt: r => `Renomeamos a variável ligada $${r.params.from}$ para $${r.params.to}$: ${equiv(r)}`,
+        en: r => `Renamed the bound variable $${r.params.from}$ to $${r.params.to}$: ${equiv(r)}`
+    },
+    'prenex-strategy': {
+        summary: true,
+        pt: r => `Estratégia de ordenação dos quantificadores: ${STRATEGY_NAMES.pt[r.params.strategy]}`,
+        en: r => `Quantifier ordering strategy: ${STRATEGY_NAMES.en[r.params.strategy]}`
+    },
+    'prenex-negation': {
+        relation: 'equivalent',
+        pt: r => `Lei da negação: $\\neg ${Q[r.params.quantifier]} x\\, A \\equiv ${Q[r.params.dual]} x\\, \\neg A$ ${equiv(r)}`,
+        en: r => `Negation law: $\\neg ${Q[r.params.quantifier]} x\\, A \\equiv ${Q[r.params.dual]} x\\, \\neg A$ ${equiv(r)}`
+    },
+    'prenex-rename': {
+        relation: 'equivalent',
+        pt: r => `Renomeamos $${r.params.from}$ para $${r.params.to}$, pois $${r.params.from}$ ocorre livre em $${r.params.other}$`,
+        en: r => `Renamed $${r.params.from}$ to $${r.params.to}$ because $${r.params.from}$ occurs free in $${r.params.other}$`
+    },
+    'prenex-pull': {
+        relation: 'equivalent',
+        pt: r => `$${prenexLaw(r.params)}$, com $x \\notin \\mathrm{livres}(${r.params.side === 'left' ? 'B' : 'A'})$: ${equiv(r)}`,
+        en: r => `$${prenexLaw(r.params)}$, provided $x \\notin \\mathrm{free}(${r.params.side === 'left' ? 'B' : 'A'})$: ${equiv(r)}`
+    },
+    'miniscope-vacuous': {
+        relation: 'equivalent',
+        pt: r => `Quantificador vazio ($${r.params.variable}$ não ocorre livre): ${equiv(r)}`,
+        en: r => `Vacuous quantifier ($${r.params.variable}$ does not occur free): ${equiv(r)}`
+    },
+    'miniscope-distribute': {
+        relation: 'equivalent',
+        pt: r => `$${Q[r.params.quantifier]}$ distribui sobre $${OP[r.params.connective]}$: ${equiv(r)}`,
+        en: r => `$${Q[r.params.quantifier]}$ distributes over $${OP[r.params.connective]}$: ${equiv(r)}`
+    },
+    'miniscope-scope': {
+        relation: 'equivalent',
+        pt: r => `Escopo reduzido ($${r.params.variable}$ não ocorre livre à ${r.params.side === 'right' ? 'direita' : 'esquerda'}): ${equiv(r)}`,
+        en: r => `Scope narrowed ($${r.params.variable}$ does not occur free on the ${r.params.side}): ${equiv(r)}`
+    },
+    'miniscope-swap': {
+        relation: 'equivalent',
+        pt: r => `Troca de quantificadores iguais: ${equiv(r)}`,
+        en: r => `Swapped like quantifiers: ${equiv(r)}`
+    },
+    'skolem': {
+        pt: r => `$\\exists ${r.params.variable}$ substituído por $${r.params.term}$`,
+        en: r => `$\\exists ${r.params.variable}$ replaced by $${r.params.term}$`
+    },
+    'distribute-or': {
+        relation: 'equivalent',
+        pt: r => `Distribuímos OR sobre AND: ${equiv(r)}`,
+        en: r => `Distributed OR over AND: ${equiv(r)}`
+    },
+    'distribute-and': {
+        relation: 'equivalent',
+        pt: r => `Distribuímos AND sobre OR: ${equiv(r)}`,
+        en: r => `Distributed AND over OR: ${equiv(r)}`
+    },
+    'tseitin-define': {
+        pt: r => `Definimos o átomo novo $${r.params.atom}$: $$${m(r.after)}$$`,
+        en: r => `Introduced the new atom $${r.params.atom}$: $$${m(r.after)}$$`
+    },
+    'tseitin-none': {
+        pt: () => 'A matriz já está em forma clausal; nenhuma definição foi necessária',
+        en: () => 'The matrix is already in clausal form; no definitions were needed'
+    },
+    'tseitin-warning': {
+        summary: true,
+        pt: () => 'Atenção: os átomos $D_i$ são símbolos novos, então o resultado é <b>equissatisfatível</b> à fórmula anterior, mas não equivalente a ela',
+        en: () => 'Warning: the $D_i$ atoms are new symbols, so the result is <b>equisatisfiable</b> with the previous formula but not equivalent to it'
+    },
+    'result': {
+        summary: true,
+        pt: r => `${FORM_NAMES.pt[r.params.form]}: $$${m(r.after)}$$`,
+        en: r => `${FORM_NAMES.en[r.params.form]}: $$${m(r.after)}$$`
+    },
+    'simplify-flatten': {
+        pt: r => `Associatividade: ${r.params.groups.length} ${GROUP.pt[r.params.kind][r.params.groups.length === 1 ? 0 : 1]} — $\\{${r.params.groups.join(',\\ ')}\\}$`,
+        en: r => `Associativity: ${r.params.groups.length} ${GROUP.en[r.params.kind][r.params.groups.length === 1 ? 0 : 1]} — $\\{${r.params.groups.join(',\\ ')}\\}$`
+    },
+    'simplify-absorbing': {
+        relation: 'equivalent',
+        pt: r => `Lei de $${constant(r.params.kind)}$: $${m(r.before)} \\equiv ${m(r.after)}$, ${GROUP.pt[r.params.kind][0]} removid${GROUP.pt[r.params.kind][2]}`,
+        en: r => `$${constant(r.params.kind)}$ law: $${m(r.before)} \\equiv ${m(r.after)}$, ${GROUP.en[r.params.kind][0]} removed`
+    },
+    'simplify-neutral': {
+        relation: 'equivalent',
+        pt: r => `Elemento neutro: $${m(r.before)} \\equiv ${m(r.after)}$`,
+        en: r => `Identity element: $${m(r.before)} \\equiv ${m(r.after)}$`
+    },
+    'simplify-idempotence': {
+        relation: 'equivalent',
+        pt: r => `Idempotência: $${m(r.before)} \\equiv ${m(r.after)}$`,
+        en: r => `Idempotence: $${m(r.before)} \\equiv ${m(r.after)}$`
+    },
+    'simplify-complement': {
+        relation: 'equivalent',
+        pt: r => `Complemento: $${m(r.before)} \\equiv ${m(r.after)}$ (contém $${r.params.literal}$ e o seu complemento), ${GROUP.pt[r.params.kind][0]} removid${GROUP.pt[r.params.kind][2]}`,
+        en: r => `Complement: $${m(r.before)} \\equiv ${m(r.after)}$ (contains $${r.params.literal}$ and its complement), ${GROUP.en[r.params.kind][0]} removed`
+    },
+    'simplify-duplicate': {
+        pt: r => `Idempotência: ${GROUP.pt[r.params.kind][0]} repetid${GROUP.pt[r.params.kind][2]} $${m(r.before)}$ removid${GROUP.pt[r.params.kind][2]}`,
+        en: r => `Idempotence: repeated ${GROUP.en[r.params.kind][0]} $${m(r.before)}$ removed`
+    },
+    'simplify-absorption': {
+        pt: r => `Absorção: $${r.params.by}$ absorve $${m(r.before)}$`,
+        en: r => `Absorption: $${r.params.by}$ absorbs $${m(r.before)}$`
+    },
+    'simplify-unit-complement': {
+        summary: true,
+        pt: r => `Complemento entre ${r.params.kind === 'cnf' ? 'cláusulas unitárias' : 'termos unitários'}: $${r.params.literal}$ e a sua negação, logo a forma inteira é $${r.params.kind === 'cnf' ? '\\bot' : '\\top'}$`,
+        en: r => `Complementary unit ${r.params.kind === 'cnf' ? 'clauses' : 'terms'}: $${r.params.literal}$ and its negation, so the whole form is $${r.params.kind === 'cnf' ? '\\bot' : '\\top'}$`
+    },
+    'simplify-empty-clause': {
+        summary: true,
+        pt: () => 'Uma cláusula ficou vazia ($\\bot$): a FNC inteira é $\\bot$',
+        en: () => 'A clause became empty ($\\bot$): the whole CNF is $\\bot$'
+    },
+    'simplify-empty': {
+        summary: true,
+        pt: r => `Não restou nenhum${r.params.kind === 'cnf' ? 'a' : ''} ${GROUP.pt[r.params.kind][0]}: a forma é $${constant(r.params.kind)}$`,
+        en: r => `No ${GROUP.en[r.params.kind][1]} left: the form is $${constant(r.params.kind)}$`
+    },
+    'simplify-vacuous': {
+        pt: r => `Quantificador vazio removido: $${Q[r.params.quantifier]} ${r.params.variable}$`,
+        en: r => `Vacuous quantifier removed: $${Q[r.params.quantifier]} ${r.params.variable}$`
+    },
+    'simplify-none': {
+        pt: () => 'Nenhuma simplificação aplicável.',
+        en: () => 'No simplification applies.'
+    },
+    'simplify-result': {
+        summary: true,
+        pt: r => `Resultado: ${r.params.groups[0]} → ${r.params.groups[1]} ${GROUP.pt[r.params.kind][1]}, ${r.params.literals[0]} → ${r.params.literals[1]} literais: $$${m(r.after)}$$`,
+        en: r => `Result: ${r.params.groups[0]} → ${r.params.groups[1]} ${GROUP.en[r.params.kind][1]}, ${r.params.literals[0]} → ${r.params.literals[1]} literals: $$${m(r.after)}$$`
+    },
+    'clausal-matrix': {
+        summary: true,
+        pt: r => `Removemos os quantificadores para obter a matriz: $$${m(r.after)}$$`,
+        en: r => `Dropped the quantifiers to obtain the matrix: $$${m(r.after)}$$`
+    },
+    'clausal-warning': {
+        summary: true,
+        pt: () => `⚠ <b>Atenção:</b> estas cláusulas não representam a leitura universal da fórmula aberta original (ver "Variáveis Livres").`,
+        en: () => `⚠ <b>Warning:</b> these clauses do not represent the universal reading of the original open formula (see "Free Variables").`
+    }
+};
+
+function prenexLaw({ quantifier, connective, side }) {
+    const q = Q[quantifier];
+    const op = OP[connective];
+    return side === 'left'
+        ? `(${q} x\\, A) ${op} B \\equiv ${q} x\\, (A ${op} B)`
+        : `A ${op} (${q} x\\, B) \\equiv ${q} x\\, (A ${op} B)`;
+}
+
+/**
+ * Descreve um registro no idioma e nível de detalhe pedidos; devolve null quando o nível
+ * resumido omite a regra.
+ * @param {object} rec registro criado por `record`
+ * @param {{language?: string, verbosity?: string}} [options]
+ */
+export function describeRecord(rec, { language = 'pt', verbosity = 'normal' } = {}) {
+    const rule = RULES[rec.rule];
+    if (!rule) return language === 'en' ? `Unknown rule <code>${rec.rule}</code>` : `Regra desconhecida <code>${rec.rule}</code>`;
+    const analysis = rec.rule in ANALYSIS_RULES;
+    if (verbosity === 'brief' && !rule.summary && !analysis) return null;
+    const text = (rule[language] || rule.pt)(rec);
+    if (verbosity !== 'detailed' || analysis) return text;
+    const position = rec.path.length > 0 ? rec.path.join('.') : (language === 'en' ? 'root' : 'raiz');
+    return `${text} <small class="rule-ref">[${rec.rule} · ${language === 'en' ? 'position' : 'posição'} ${position}]</small>`;
+}
+
+// Textos dos registros que o nível de detalhe mantém, com o registro de origem de cada linha
+function describeAll(records, options) {
+    const shown = records.map(r => [describeRecord(r, options), r]).filter(([text]) => text !== null);
+    return { steps: shown.map(([text]) => text), stepRecords: shown.map(([, r]) => r) };
+}
+
+/**
+ * Monta um passo do pipeline a partir dos seus registros, já descritos em português.
+ * `stepRecords[i]` é o registro que originou a linha `steps[i]`.
+ */
+export function stagedStep(stage, step, records) {
+    records.forEach(r => { r.stage = stage; });
+    return { ...step, stage, records, ...describeAll(records) };
+}
+
+// Acrescenta um registro a um passo já montado, mantendo o texto em dia
+export function appendRecord(step, rec) {
+    if (step.records) {
+        rec.stage = step.stage;
+        step.records.push(rec);
+        step.stepRecords.push(rec);
+    }
+    step.steps.push(describeRecord(rec));
+}
+
+/**
+ * Reescreve títulos e textos dos passos que têm registros no idioma e nível de detalhe pedidos.
+ * Devolve passos novos; os originais continuam valendo para renderizações seguintes.
+ */
+export function renderDerivation(steps, options = {}) {
+    const language = options.language || 'pt';
+    return steps.map(step => {
+        if (!step.records) return step;
+        const title = language === 'en' && STAGE_TITLES_EN[step.stage] ? STAGE_TITLES_EN[step.stage] : step.title;
+        return { ...step, title, ...describeAll(step.records, options) };
+    });
+}
+
+/**
+ * Derivação completa em forma serializável: entrada, opções e, por etapa, a fórmula resultante
+ * e os registros das regras. Passos sem registros entram com registros `note`.
+ * @param {string} input texto da fórmula
+ * @param {object} options opções usadas no processamento
+ * @param {object[]} steps passos devolvidos por `processFormula`
+ */
+export function exportDerivation(input, options, steps) {
+    return {
+        format: DERIVATION_FORMAT,
+        version: DERIVATION_VERSION,
+        input,
+        options,
+        steps: steps.map(step => ({
+            stage: step.stage ?? null,
+            title: step.title,
+            relation: step.relation ?? null,
+            failed: Boolean(step.failed),
+            input: step.input ?? null,
+            formula: step.formula,
+            records: step.records ?? step.steps.map(note)
+        }))
+    };
+}
+
+/**
+ * Lê uma derivação exportada (objeto ou texto JSON), reconstruindo as fórmulas.
+ * @throws {DerivationError} se o formato, a versão ou algum campo não for reconhecido
+ */
+export function importDerivation(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new DerivationError(`JSON inválido: ${e.message}`);
+        }
+    }
+    if (!data || data.format !== DERIVATION_FORMAT) throw new DerivationError('o arquivo não é uma derivação exportada por esta ferramenta');
+    if (data.version !== DERIVATION_VERSION) throw new DerivationError(`versão ${data.version} não suportada (esperada ${DERIVATION_VERSION})`);
+    if (typeof data.input !== 'string' || !Array.isArray(data.steps)) throw new DerivationError('faltam os campos "input" ou "steps"');
+
+    const formula = (json, where) => {
+        if (json === null || json === undefined) return null;
+        try {
+            return Formula.fromJSON(json);
+        } catch (e) {
+            throw new DerivationError(`fórmula inválida em ${where}`);
+        }
+    };
+    const steps = data.steps.map((step, i) => {
+        if (!Array.isArray(step.records) || !step.formula) throw new DerivationError(`passo ${i + 1} sem fórmula ou sem registros`);
+        const records = step.records.map((r, j) => {
+            if (!RULES[r.rule]) throw new DerivationError(`regra desconhecida "${r.rule}" no passo ${i + 1}`);
+            return {
+                rule: r.rule,
+                stage: r.stage ?? step.stage,
+                path: Array.isArray(r.path) ? r.path : [],
+                before: formula(r.before, `passo ${i + 1}, registro ${j + 1}`),
+                after: formula(r.after, `passo ${i + 1}, registro ${j + 1}`),
+                params: r.params || {}
+            };
+        });
+        const rebuilt = { title: step.title, stage: step.stage, formula: formula(step.formula, `passo ${i + 1}`), records };
+        if (step.input) rebuilt.input = formula(step.input, `passo ${i + 1}`);
+        if (step.relation) rebuilt.relation = step.relation;
+        if (step.failed) rebuilt.failed = true;
+        return stagedStep(step.stage, rebuilt, records);
+    });
+    return { input: data.input, options: data.options || {}, steps };
+}
+
+/**
+ * Diferenças entre duas derivações (por exemplo, a importada e a sua reexecução), etapa a etapa:
+ * etapas presentes só em uma delas, fórmulas resultantes diferentes e sequências de regras diferentes.
+ * Cada diferença traz os dados do seu tipo (`formulas`, ou `counts`, `position` e `rules`); o texto
+ * sai de `diffToStep`, no idioma pedido.
+ * @returns {{ stage: string, title: string, kind: string }[]}
+ */
+export function diffDerivations(a, b) {
+    const key = step => step.stage || step.title;
+    const index = steps => new Map(steps.map(step => [key(step), step]));
+    const left = index(a.steps);
+    const right = index(b.steps);
+    const rules = step => step.records.filter(r => !(r.rule in ANALYSIS_RULES)).map(r => r.rule);
+    const differences = [];
+
+    for (const [k, step] of left) {
+        const other = right.get(k);
+        if (!other) {
+            differences.push({ stage: k, title: step.title, kind: 'removed' });
+            continue;
+        }
+        if (step.formula.toString() !== other.formula.toString()) {
+            differences.push({ stage: k, title: step.title, kind: 'formula', formulas: [step.formula.toString(), other.formula.toString()] });
+        }
+        const [x, y] = [rules(step), rules(other)];
+        const first = x.findIndex((r, i) => r !== y[i]);
+        if (first >= 0 || x.length !== y.length) {
+            const at = first >= 0 ? first : Math.min(x.length, y.length);
+            differences.push({ stage: k, title: step.title, kind: 'rules', counts: [x.length, y.length], position: at + 1, rules: [x[at] ?? null, y[at] ?? null] });
+        }
+    }
+    for (const [k, step] of right) {
+        if (!left.has(k)) differences.push({ stage: k, title: step.title, kind: 'added' });
+    }
+    return differences;
+}
+
+// Passo de relatório com as diferenças, no formato dos demais passos
+export function diffToStep(differences, title = 'Diferenças entre Derivações', stage = 'derivation-diff') {
+    const records = differences.length === 0
+        ? [record('diff-none')]
+        : differences.map(({ kind, ...difference }) => record(`diff-${kind}`, difference));
+    return stagedStep(stage, { title, formula: new Formula('atom', `|\\Delta| = ${differences.length}`) }, records);
+}
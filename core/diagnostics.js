@@ -0,0 +1,64 @@
+import { FormulaParser, ParseError, detectDialect, tokenSpelling } from './parser.js';
+
+// Diagnósticos de erros de sintaxe, em HTML (interface) e em texto (linha de comando)
+
+export function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Dados do diagnóstico, serializáveis para irem num registro da derivação: a mensagem e, para
+// erros de sintaxe, a entrada, a posição, a grafia dos tokens esperados e a dica
+export function diagnosticData(input, error, dialect) {
+    if (!(error instanceof ParseError)) return { message: error.message };
+    return {
+        message: error.message,
+        input: input.trim(),
+        pos: error.pos,
+        expected: [...new Set(error.expected.map(t => tokenSpelling(t, dialect)))],
+        hint: error.hint
+    };
+}
+
+// Diagnóstico em HTML: a entrada com um circunflexo sob a posição do erro, os tokens esperados e a dica
+export function diagnosticHtml({ message, input, pos, expected = [], hint = null }, language = 'pt') {
+    const lines = [`<div><b>${escapeHtml(message)}</b></div>`];
+    if (input !== undefined) lines.push(`<pre class="diagnostic">${escapeHtml(input)}\n${' '.repeat(pos)}^</pre>`);
+    if (expected.length > 0) {
+        lines.push(`<div>${language === 'en' ? 'Expected' : 'Esperado'}: ${expected.map(t => `<code>${escapeHtml(t)}</code>`).join(', ')}</div>`);
+    }
+    if (hint) lines.push(`<div>${language === 'en' ? 'Hint' : 'Dica'}: ${escapeHtml(hint)}</div>`);
+    return lines.join('');
+}
+
+// Diagnóstico em HTML direto do erro
+export function formatDiagnostic(input, error, dialect, language = 'pt') {
+    return diagnosticHtml(diagnosticData(input, error, dialect), language);
+}
+
+// Mesmo diagnóstico em texto simples, para o terminal
+export function formatDiagnosticText(input, error, dialect) {
+    const lines = [`erro: ${error.message}`];
+    if (error instanceof ParseError) {
+        lines.push(`  ${input.trim()}`, `  ${' '.repeat(error.pos)}^`);
+        if (error.expected.length > 0) {
+            lines.push(`esperado: ${[...new Set(error.expected.map(t => tokenSpelling(t, dialect)))].join(', ')}`);
+        }
+        if (error.hint) lines.push(`dica: ${error.hint}`);
+    }
+    return lines.join('\n');
+}
+
+// Valida a entrada sem transformá-la; devolve null ou o erro encontrado
+export function validateFormula(input, options = {}) {
+    try {
+        new FormulaParser(input, options).parse();
+        return null;
+    } catch (e) {
+        return e;
+    }
+}
+
+// Dialeto efetivo da entrada, conforme a opção escolhida
+export function resolveDialect(input, options = {}) {
+    return !options.dialect || options.dialect === 'auto' ? detectDialect(input.trim()) : options.dialect;
+}
@@ -0,0 +1,168 @@
+import { Clause, extractClauses, getMatrix } from './clauses.js';
+import { Formula, RELATION_NAMES } from './formula.js';
+
+// Exportação do conjunto de cláusulas para provadores externos
+
+// Cláusulas (listas de literais) da forma clausal
+function clauseLiterals(cnf) {
+    return extractClauses(getMatrix(cnf)).map(c => Clause.fromFormula(c).literals);
+}
+
+// DIMACS CNF: só para conjuntos sem variáveis (átomos proposicionais ou fechados)
+export function toDIMACS(cnf) {
+    const clauses = clauseLiterals(cnf);
+    if (clauses.some(c => c.some(l => l.atom.freeVariables().size > 0))) {
+        return null;
+    }
+    const index = new Map();
+    clauses.forEach(c => c.forEach(l => {
+        const key = l.atom.toString();
+        if (!index.has(key)) index.set(key, index.size + 1);
+    }));
+    const lines = ['c Gerado pelo Transformador de Fórmulas Lógicas'];
+    index.forEach((i, atom) => lines.push(`c ${i} = ${atom}`));
+    lines.push(`p cnf ${index.size} ${clauses.length}`);
+    clauses.forEach(c => lines.push([...c.map(l => (l.positive ? '' : '-') + index.get(l.atom.toString())), 0].join(' ')));
+    return lines.join('\n') + '\n';
+}
+
+// Nomes em TPTP: variáveis começam com maiúscula, demais símbolos com minúscula
+function tptpNamer() {
+    const names = new Map();
+    const taken = new Set();
+    return (name, isVariable) => {
+        const key = (isVariable ? 'v:' : 's:') + name;
+        if (names.has(key)) return names.get(key);
+        const clean = name.replace(/[^A-Za-z0-9_]/g, '_');
+        let base = isVariable ? clean[0].toUpperCase() + clean.slice(1) : clean[0].toLowerCase() + clean.slice(1);
+        if (!/^[A-Za-z]/.test(base)) base = (isVariable ? 'X' : 's') + base;
+        let candidate = base;
+        for (let i = 1; taken.has(candidate); i++) candidate = `${base}_${i}`;
+        taken.add(candidate);
+        names.set(key, candidate);
+        return candidate;
+    };
+}
+
+function tptpTerm(t, name) {
+    if (t.type === 'var') return name(t.name, true);
+    if (t.type === 'const') return name(t.name, false);
+    return `${name(t.name, false)}(${t.args.map(a => tptpTerm(a, name)).join(',')})`;
+}
+
+// Em TPTP a igualdade é infixa: s = t e s != t
+function tptpFormula(f, name) {
+    if (f.isEquality()) return `${tptpTerm(f.args[0], name)} = ${tptpTerm(f.args[1], name)}`;
+    if (f.type === 'neg' && f.left.isEquality()) return `${tptpTerm(f.left.args[0], name)} != ${tptpTerm(f.left.args[1], name)}`;
+    switch(f.type) {
+        case 'true': return '$true';
+        case 'false': return '$false';
+        case 'atom': {
+            const symbol = name(RELATION_NAMES[f.content] ?? f.content, false);
+            return f.args.length > 0 ? `${symbol}(${f.args.map(a => tptpTerm(a, name)).join(',')})` : symbol;
+        }
+        case 'neg': return `~ ${tptpFormula(f.left, name)}`;
+        case 'and': return `(${tptpFormula(f.left, name)} & ${tptpFormula(f.right, name)})`;
+        case 'or': return `(${tptpFormula(f.left, name)} | ${tptpFormula(f.right, name)})`;
+        case 'imp': return `(${tptpFormula(f.left, name)} => ${tptpFormula(f.right, name)})`;
+        case 'iff': return `(${tptpFormula(f.left, name)} <=> ${tptpFormula(f.right, name)})`;
+        case 'xor': return `(${tptpFormula(f.left, name)} <~> ${tptpFormula(f.right, name)})`;
+        case 'nand': return `(${tptpFormula(f.left, name)} ~& ${tptpFormula(f.right, name)})`;
+        case 'nor': return `(${tptpFormula(f.left, name)} ~| ${tptpFormula(f.right, name)})`;
+        case 'forall': return `(! [${name(f.content, true)}] : ${tptpFormula(f.restrictedBody(), name)})`;
+        case 'exists': return `(? [${name(f.content, true)}] : ${tptpFormula(f.restrictedBody(), name)})`;
+        default: throw new Error(`Conectivo sem tradução para TPTP: ${f.type}`);
+    }
+}
+
+// TPTP: a fórmula de entrada como fof (as variáveis ainda livres, fechadas universalmente) e cada
+// cláusula como cnf
+export function toTPTP(original, cnf) {
+    const name = tptpNamer();
+    let closed = original;
+    [...original.freeVariables()].reverse().forEach(v => { closed = new Formula('forall', v, closed); });
+    const lines = [
+        '% Gerado pelo Transformador de Fórmulas Lógicas',
+        `fof(formula, axiom, ${tptpFormula(closed, name)}).`,
+        ''
+    ];
+    clauseLiterals(cnf).forEach((c, i) => {
+        const body = c.map(l => tptpFormula(l.positive ? l.atom : new Formula('neg', null, l.atom), name)).join(' | ');
+        lines.push(`cnf(c${i + 1}, axiom, ${c.length > 0 ? body : '$false'}).`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Nomes em SMT-LIB: os símbolos simples ficam como estão e os demais (como 0 ou \overline{P}) vão
+// entre |…|. Como |x| e x são o mesmo símbolo, nomes do sort, dos operadores e repetidos levam sufixo.
+const SMT_RESERVED = ['U', 'Bool', 'true', 'false', 'not', 'and', 'or', 'xor', '=>', '=', 'ite', 'distinct',
+    'forall', 'exists', 'let', 'match', 'par', 'as', '_', '!'];
+
+function smtNamer() {
+    const names = new Map();
+    const taken = new Set(SMT_RESERVED);
+    return (name, isVariable) => {
+        const key = (isVariable ? 'v:' : 's:') + name;
+        if (names.has(key)) return names.get(key);
+        const base = (RELATION_NAMES[name] ?? name).replace(/[|\\]/g, '_');
+        let candidate = base;
+        for (let i = 1; taken.has(candidate); i++) candidate = `${base}_${i}`;
+        taken.add(candidate);
+        const symbol = /^[A-Za-z~!@$%^&*_+=<>.?/-][A-Za-z0-9~!@$%^&*_+=<>.?/-]*$/.test(candidate) ? candidate : `|${candidate}|`;
+        names.set(key, symbol);
+        return symbol;
+    };
+}
+
+function smtTerm(t, name) {
+    if (t.type === 'var') return name(t.name, true);
+    return t.type === 'func' ? `(${name(t.name, false)} ${t.args.map(a => smtTerm(a, name)).join(' ')})` : name(t.name, false);
+}
+
+function smtAtom(atom, name) {
+    if (atom.isEquality()) return `(= ${smtTerm(atom.args[0], name)} ${smtTerm(atom.args[1], name)})`;
+    const symbol = name(atom.content, false);
+    return atom.args.length > 0 ? `(${symbol} ${atom.args.map(a => smtTerm(a, name)).join(' ')})` : symbol;
+}
+
+// SMT-LIB 2: um sort U para o domínio e um assert (universalmente fechado) por cláusula
+export function toSMTLIB(cnf) {
+    const clauses = clauseLiterals(cnf);
+    const name = smtNamer();
+    const predicates = new Map();
+    const functions = new Map();
+    const collectTerm = (t) => {
+        if (t.type !== 'var') functions.set(name(t.name, false), t.args.length);
+        t.args.forEach(collectTerm);
+    };
+    clauses.forEach(c => c.forEach(l => {
+        if (!l.atom.isEquality()) predicates.set(name(l.atom.content, false), l.atom.args.length);
+        l.atom.args.forEach(collectTerm);
+    }));
+
+    const sorts = n => `(${Array(n).fill('U').join(' ')})`;
+    const lines = ['; Gerado pelo Transformador de Fórmulas Lógicas', '(set-logic UF)'];
+    if (functions.size > 0 || clauses.some(c => c.some(l => l.atom.args.length > 0))) lines.push('(declare-sort U 0)');
+    functions.forEach((arity, f) => lines.push(`(declare-fun ${f} ${sorts(arity)} U)`));
+    predicates.forEach((arity, p) => lines.push(`(declare-fun ${p} ${sorts(arity)} Bool)`));
+
+    clauses.forEach(c => {
+        const literals = c.map(l => l.positive ? smtAtom(l.atom, name) : `(not ${smtAtom(l.atom, name)})`);
+        let body = literals.length === 0 ? 'false' : literals.length === 1 ? literals[0] : `(or ${literals.join(' ')})`;
+        const vars = new Set();
+        c.forEach(l => l.atom.freeVariables(new Set(), vars));
+        if (vars.size > 0) body = `(forall (${[...vars].map(v => `(${name(v, true)} U)`).join(' ')}) ${body})`;
+        lines.push(`(assert ${body})`);
+    });
+    lines.push('(check-sat)');
+    return lines.join('\n') + '\n';
+}
+
+// Textos exportáveis a partir da fórmula original e da sua forma clausal
+export function exportClauses(original, cnf) {
+    return {
+        dimacs: toDIMACS(cnf),
+        tptp: toTPTP(original, cnf),
+        smtlib: toSMTLIB(cnf)
+    };
+}
@@ -0,0 +1,304 @@
+// Termos de primeira ordem (argumentos dos predicados)
+export class Term {
+    constructor(type, name, args = []) {
+        this.type = type; // 'var', 'const', 'func'
+        this.name = name;
+        this.args = args;
+    }
+
+    toString() {
+        if (this.type === 'func') return `${this.name}(${this.args.map(a => a.toString()).join(',')})`;
+        return this.name;
+    }
+
+    // Nomes das variáveis que ocorrem no termo
+    variables(acc = new Set()) {
+        if (this.type === 'var') acc.add(this.name);
+        else this.args.forEach(a => a.variables(acc));
+        return acc;
+    }
+
+    // Símbolos de constante e de função que ocorrem no termo
+    symbols(acc = new Set()) {
+        if (this.type !== 'var') acc.add(this.name);
+        this.args.forEach(a => a.symbols(acc));
+        return acc;
+    }
+
+    // Aplica uma substituição simultânea (Map: variável -> termo)
+    apply(subst) {
+        switch(this.type) {
+            case 'var': return subst.has(this.name) ? subst.get(this.name) : this;
+            case 'func': return new Term('func', this.name, this.args.map(a => a.apply(subst)));
+            default: return this;
+        }
+    }
+
+    toJSON() {
+        return this.args.length > 0 ? { type: this.type, name: this.name, args: this.args } : { type: this.type, name: this.name };
+    }
+
+    // Inverso de toJSON
+    static fromJSON(json) {
+        return new Term(json.type, json.name, (json.args || []).map(a => Term.fromJSON(a)));
+    }
+
+    equals(other) {
+        return this.type === other.type && this.name === other.name &&
+            this.args.length === other.args.length &&
+            this.args.every((a, i) => a.equals(other.args[i]));
+    }
+}
+
+// Símbolos usados na impressão das fórmulas
+export const LATEX_NOTATION = {
+    neg: '\\neg ', and: ' \\land ', or: ' \\lor ', imp: ' \\rightarrow ', iff: ' \\leftrightarrow ',
+    xor: ' \\oplus ', nand: ' \\uparrow ', nor: ' \\downarrow ', eq: ' = ', neq: ' \\neq ',
+    lt: ' < ', gt: ' > ', leq: ' \\leq ', geq: ' \\geq ', in: ' \\in ', scope: '\\colon ',
+    forall: '\\forall ', exists: '\\exists ', empty: '\\square', top: '\\top', bottom: '\\bot'
+};
+
+export const TEXT_NOTATION = {
+    neg: '¬', and: ' ∧ ', or: ' ∨ ', imp: ' → ', iff: ' ↔ ',
+    xor: ' ⊕ ', nand: ' ↑ ', nor: ' ↓ ', eq: ' = ', neq: ' ≠ ',
+    lt: ' < ', gt: ' > ', leq: ' ≤ ', geq: ' ≥ ', in: ' ∈ ', scope: ': ',
+    forall: '∀', exists: '∃', empty: '□', top: '⊤', bottom: '⊥'
+};
+
+// Predicado da igualdade: um átomo com este nome e dois argumentos é impresso como s = t
+export const EQUALITY = '=';
+
+// Pertinência a um conjunto dado por um termo composto (s ∈ f(a)); com um nome, s ∈ A é o átomo A(s)
+export const MEMBERSHIP = '∈';
+
+// Predicados binários escritos entre os argumentos (s < t), com a chave da notação de cada um
+export const INFIX_RELATIONS = { [EQUALITY]: 'eq', '<': 'lt', '>': 'gt', '≤': 'leq', '≥': 'geq', [MEMBERSHIP]: 'in' };
+
+// Fora da igualdade, as relações são predicados comuns; nos formatos de exportação levam estes nomes
+export const RELATION_NAMES = { '<': 'less', '>': 'greater', '≤': 'less_eq', '≥': 'greater_eq', [MEMBERSHIP]: 'member' };
+
+// Classes para representar a estrutura lógica
+export class Formula {
+    constructor(type, content, left = null, right = null, args = []) {
+        this.type = type; // 'atom', 'neg', 'and', 'or', 'imp', 'iff', 'xor', 'nand', 'nor', 'forall', 'exists', 'true', 'false'
+        this.content = content; // nome do predicado (átomo, EQUALITY na igualdade) ou variável ligada (quantificador)
+        this.left = left;
+        this.right = right; // operando direito; num quantificador limitado (∀x ∈ A), a restrição A(x)
+        this.args = args; // argumentos (Term) de um átomo
+    }
+
+    // Imprime a fórmula com os símbolos da notação dada (LaTeX por padrão)
+    format(notation = LATEX_NOTATION) {
+        // Operando esquerdo que termina em quantificador precisa de parênteses,
+        // senão o escopo do quantificador seria lido até o fim da fórmula
+        const l = () => this.left.endsWithQuantifier() ? `(${this.left.format(notation)})` : this.left.format(notation);
+        switch(this.type) {
+            case 'atom':
+                if (INFIX_RELATIONS[this.content] && this.args.length === 2) return `${this.args[0].toString()}${notation[INFIX_RELATIONS[this.content]]}${this.args[1].toString()}`;
+                return this.args.length > 0 ? `${this.content}(${this.args.map(a => a.toString()).join(',')})` : this.content;
+            case 'neg':
+                if (this.left.isEquality()) return `${this.left.args[0].toString()}${notation.neq}${this.left.args[1].toString()}`;
+                return `${notation.neg}${this.left.format(notation)}`;
+            case 'and':
+            case 'or':
+            case 'imp':
+            case 'iff':
+            case 'xor':
+            case 'nand':
+            case 'nor': return `(${l()}${notation[this.type]}${this.right.format(notation)})`;
+            case 'forall':
+            case 'exists': {
+                // ∀x (x = y) fica mais legível que ∀x x = y
+                const body = this.left.format(notation);
+                const scope = this.left.isEquality() || (this.left.type === 'neg' && this.left.left.isEquality()) ? `(${body})` : body;
+                if (!this.right) return `${notation[this.type]}${this.content} ${scope}`;
+                return `${notation[this.type]}${this.formatRestriction(notation)}${notation.scope}${scope}`;
+            }
+            case 'true': return notation.top;
+            case 'false': return notation.bottom;
+            default: return this.content;
+        }
+    }
+
+    // Restrição de um quantificador limitado como escrita na entrada: x ∈ A para A(x), senão a relação (x > 0)
+    formatRestriction(notation = LATEX_NOTATION) {
+        const r = this.right;
+        const membership = r.type === 'atom' && !INFIX_RELATIONS[r.content] && r.args.length === 1 &&
+            r.args[0].type === 'var' && r.args[0].name === this.content;
+        return membership ? `${this.content}${notation.in}${r.content}` : r.format(notation);
+    }
+
+    toString() {
+        return this.format(LATEX_NOTATION);
+    }
+
+    // Texto simples com símbolos Unicode
+    toText() {
+        return this.format(TEXT_NOTATION);
+    }
+
+    toJSON() {
+        const json = { type: this.type };
+        if (this.content !== null && this.content !== undefined) json.content = this.content;
+        if (this.args.length > 0) json.args = this.args;
+        if (this.left) json.left = this.left;
+        if (this.right) json.right = this.right;
+        return json;
+    }
+
+    // Inverso de toJSON; aceita também o texto JSON
+    static fromJSON(json) {
+        if (typeof json === 'string') json = JSON.parse(json);
+        return new Formula(json.type, json.content ?? null,
+            json.left ? Formula.fromJSON(json.left) : null,
+            json.right ? Formula.fromJSON(json.right) : null,
+            (json.args || []).map(a => Term.fromJSON(a)));
+    }
+
+    // Subfórmula na posição dada (índices de filhos: 0 = esquerdo ou único, 1 = direito), ou null
+    at(path) {
+        let f = this;
+        for (const i of path) {
+            f = i === 0 ? f.left : i === 1 ? f.right : null;
+            if (!f) return null;
+        }
+        return f;
+    }
+
+    // Cada subfórmula composta entre parênteses, para conferir como a entrada foi lida
+    toFullyParenthesizedString() {
+        switch(this.type) {
+            case 'atom':
+            case 'true':
+            case 'false': return this.toString();
+            case 'neg': return `(\\neg ${this.left.toFullyParenthesizedString()})`;
+            case 'forall':
+            case 'exists': return `(\\${this.type} ${this.right ? this.formatRestriction() : this.content}\\, ${this.left.toFullyParenthesizedString()})`;
+            default: {
+                const op = LATEX_NOTATION[this.type].trim();
+                return `(${this.left.toFullyParenthesizedString()} ${op} ${this.right.toFullyParenthesizedString()})`;
+            }
+        }
+    }
+
+    endsWithQuantifier() {
+        if (this.isQuantifier()) return true;
+        return this.type === 'neg' && this.left.endsWithQuantifier();
+    }
+
+    // Sem quantificadores e apenas com átomos sem argumentos
+    isPropositional() {
+        if (this.isQuantifier()) return false;
+        if (this.type === 'atom') return this.args.length === 0;
+        return (!this.left || this.left.isPropositional()) && (!this.right || this.right.isPropositional());
+    }
+
+    isQuantifier() {
+        return this.type === 'forall' || this.type === 'exists';
+    }
+
+    // Corpo do quantificador com a restrição incorporada: ∀x ∈ A φ dá A(x) → φ e ∃x ∈ A φ dá A(x) ∧ φ
+    restrictedBody() {
+        if (!this.right) return this.left;
+        return new Formula(this.type === 'forall' ? 'imp' : 'and', null, this.right, this.left);
+    }
+
+    isEquality() {
+        return this.type === 'atom' && this.content === EQUALITY && this.args.length === 2;
+    }
+
+    // Átomo s = t
+    static equality(left, right) {
+        return new Formula('atom', EQUALITY, null, null, [left, right]);
+    }
+
+    // Variáveis com ocorrência livre na fórmula
+    freeVariables(bound = new Set(), acc = new Set()) {
+        switch(this.type) {
+            case 'atom':
+                this.args.forEach(a => a.variables().forEach(v => { if (!bound.has(v)) acc.add(v); }));
+                return acc;
+            case 'forall':
+            case 'exists':
+                return this.restrictedBody().freeVariables(new Set([...bound, this.content]), acc);
+            default:
+                if (this.left) this.left.freeVariables(bound, acc);
+                if (this.right) this.right.freeVariables(bound, acc);
+                return acc;
+        }
+    }
+
+    // Variáveis ligadas por algum quantificador da fórmula
+    boundVariables(acc = new Set()) {
+        if (this.isQuantifier()) acc.add(this.content);
+        if (this.left) this.left.boundVariables(acc);
+        if (this.right) this.right.boundVariables(acc);
+        return acc;
+    }
+
+    // Todos os nomes de variáveis (livres, ligadas ou em argumentos)
+    variableNames() {
+        const acc = this.boundVariables();
+        this.freeVariables(new Set(), acc);
+        return acc;
+    }
+
+    // Símbolos de predicado usados nos átomos
+    predicateSymbols(acc = new Set()) {
+        if (this.type === 'atom') acc.add(this.content);
+        if (this.left) this.left.predicateSymbols(acc);
+        if (this.right) this.right.predicateSymbols(acc);
+        return acc;
+    }
+
+    // Símbolos de constante e de função usados nos argumentos
+    functionSymbols(acc = new Set()) {
+        if (this.type === 'atom') this.args.forEach(a => a.symbols(acc));
+        if (this.left) this.left.functionSymbols(acc);
+        if (this.right) this.right.functionSymbols(acc);
+        return acc;
+    }
+
+    // Substituição simultânea que evita captura de variáveis (Map: variável -> termo)
+    apply(subst) {
+        switch(this.type) {
+            case 'atom':
+                return new Formula('atom', this.content, null, null, this.args.map(a => a.apply(subst)));
+            case 'forall':
+            case 'exists': {
+                const inner = new Map(subst);
+                inner.delete(this.content);
+                const free = this.restrictedBody().freeVariables();
+                for (const v of [...inner.keys()]) if (!free.has(v)) inner.delete(v);
+                if (inner.size === 0) return this;
+
+                // Se a variável ligada aparece nos termos introduzidos, renomeia antes
+                const incoming = new Set();
+                inner.forEach(t => t.variables(incoming));
+                let variable = this.content;
+                if (incoming.has(variable)) {
+                    variable = freshVariableName(variable, new Set([...incoming, ...this.restrictedBody().variableNames()]));
+                    inner.set(this.content, new Term('var', variable));
+                }
+                return new Formula(this.type, variable, this.left.apply(inner), this.right && this.right.apply(inner));
+            }
+            default:
+                return new Formula(this.type, this.content,
+                    this.left ? this.left.apply(subst) : null,
+                    this.right ? this.right.apply(subst) : null);
+        }
+    }
+}
+
+// Gera um nome novo a partir de base (x -> x1, x2, ...) que não esteja em avoid
+export function freshVariableName(base, avoid) {
+    const root = base.replace(/\d+$/, '') || base;
+    let i = 1;
+    while (avoid.has(root + i)) i++;
+    return root + i;
+}
+
+// Convenção para identificadores livres: iniciados por u–z são variáveis, os demais constantes
+export function isVariableName(name) {
+    return /^[u-z]/.test(name);
+}
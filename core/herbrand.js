@@ -0,0 +1,155 @@
+// Universo e base de Herbrand, instâncias básicas das cláusulas e o procedimento de Gilmore:
+// pelo teorema de Herbrand, um conjunto de cláusulas é insatisfatível se e só se algum conjunto
+// finito de instâncias básicas é insatisfatível como fórmula proposicional.
+import { equalityAxioms } from './clauses.js';
+import { describeRecord, record } from './derivation.js';
+import { EQUALITY, Formula, Term } from './formula.js';
+import { dpll } from './propositional.js';
+import { signature } from './semantics.js';
+
+export const HERBRAND_LIMITS = { maxTerms: 300, maxInstances: 5000, shown: 24 };
+
+// Lista para exibição, cortada em `shown` itens, e o total
+function preview(items, shown = HERBRAND_LIMITS.shown) {
+    return { items: items.slice(0, shown).map(i => i.toString()), total: items.length };
+}
+
+function* tuples(items, n) {
+    if (n === 0) {
+        yield [];
+        return;
+    }
+    for (const rest of tuples(items, n - 1)) {
+        for (const item of items) yield [...rest, item];
+    }
+}
+
+/**
+ * Universo de Herbrand até a profundidade dada, nível a nível.
+ * Sem constantes na assinatura, acrescenta uma constante nova `a`.
+ * @param {{functions: Map<string, number>, constants: Set<string>}} sig
+ * @returns {{ levels: Term[][], terms: Term[], truncated: boolean, finite: boolean }}
+ */
+export function herbrandUniverse(sig, depth, limits = HERBRAND_LIMITS) {
+    const constants = [...sig.constants];
+    if (constants.length === 0) {
+        let name = 'a';
+        for (let i = 1; sig.functions.has(name); i++) name = `a${i}`;
+        constants.push(name);
+    }
+    const levels = [constants.map(c => new Term('const', c))];
+    const terms = [...levels[0]];
+    let truncated = false;
+
+    for (let d = 1; d <= depth && sig.functions.size > 0 && !truncated; d++) {
+        const level = [];
+        const previous = new Set(levels[d - 1]);
+        for (const [name, arity] of sig.functions) {
+            for (const args of tuples(terms, arity)) {
+                // Cada termo novo usa ao menos um termo do nível anterior
+                if (!args.some(a => previous.has(a))) continue;
+                if (terms.length + level.length >= limits.maxTerms) {
+                    truncated = true;
+                    break;
+                }
+                level.push(new Term('func', name, args));
+            }
+            if (truncated) break;
+        }
+        levels.push(level);
+        terms.push(...level);
+    }
+    return { levels, terms, truncated, finite: sig.functions.size === 0 };
+}
+
+/**
+ * Base de Herbrand: todos os átomos básicos sobre o universo dado.
+ * @returns {Formula[]}
+ */
+export function herbrandBase(sig, terms) {
+    const atoms = [];
+    for (const [name, arity] of sig.predicates) {
+        for (const args of tuples(terms, arity)) atoms.push(new Formula('atom', name, null, null, args));
+    }
+    return atoms;
+}
+
+/**
+ * Instâncias básicas de uma cláusula: uma por atribuição de termos do universo às variáveis.
+ * @returns {Literal[][]}
+ */
+export function groundInstances(clause, terms) {
+    const variables = [...clause.variables()];
+    const instances = [];
+    for (const values of tuples(terms, variables.length)) {
+        instances.push(clause.apply(new Map(variables.map((v, i) => [v, values[i]]))));
+    }
+    return instances;
+}
+
+function instanceToString(literals) {
+    return literals.length === 0 ? '\\square' : literals.map(l => l.toString()).join(' \\lor ');
+}
+
+/**
+ * Procedimento de Gilmore: para cada profundidade até `depth`, instancia as cláusulas sobre o
+ * universo de Herbrand e testa a satisfatibilidade proposicional com DPLL.
+ * @param {Clause[]} clauses
+ * @returns {{ records: object[], steps: string[], status: 'unsatisfiable'|'satisfiable'|'unknown' }}
+ *   `steps` traz os registros em português
+ */
+export function herbrandAnalysis(clauses, depth = 2, limits = HERBRAND_LIMITS) {
+    const records = [];
+    const sig = signature(clauses.flatMap(c => c.literals.map(l => l.atom)));
+    // Com igualdade, os axiomas dela entram como cláusulas e = como um predicado da base
+    const axioms = equalityAxioms(clauses);
+    if (axioms.length > 0) {
+        sig.predicates.set(EQUALITY, 2);
+        clauses = [...clauses, ...axioms];
+    }
+    const universe = herbrandUniverse(sig, depth, limits);
+
+    const symbols = [...sig.constants, ...[...sig.functions].map(([f, n]) => `${f}/${n}`)];
+    records.push(record('herbrand-symbols', { symbols, added: sig.constants.size === 0 ? universe.levels[0][0].toString() : null }));
+    universe.levels.forEach((level, d) => {
+        const { items, total } = preview(level, limits.shown);
+        records.push(record('herbrand-level', { depth: d, terms: items, total }));
+    });
+    if (universe.finite) records.push(record('herbrand-finite'));
+    if (universe.truncated) records.push(record('herbrand-truncated', { limit: limits.maxTerms }));
+    if (axioms.length > 0) records.push(record('herbrand-equality', { axioms: axioms.length }));
+
+    const base = herbrandBase(sig, universe.terms);
+    const { items: atoms, total } = preview(base, limits.shown);
+    records.push(record('herbrand-base', { atoms, total }));
+
+    // Gilmore: profundidade crescente, parando na primeira contradição proposicional
+    let status = 'unknown';
+    const maxDepth = universe.levels.length - 1;
+    for (let d = 0; d <= maxDepth; d++) {
+        const terms = universe.levels.slice(0, d + 1).flat();
+        const count = clauses.reduce((n, c) => n + terms.length ** c.variables().size, 0);
+        if (count > limits.maxInstances) {
+            records.push(record('herbrand-too-many', { depth: d, count, limit: limits.maxInstances }));
+            break;
+        }
+        const instances = clauses.flatMap(c => groundInstances(c, terms));
+        const { assignment, stats } = dpll(instances.map(literals => literals.map(l => ({ name: l.atom.toString(), positive: l.positive }))));
+        records.push(record('herbrand-depth', { depth: d, instances: instances.length, terms: terms.length, decisions: stats.decisions, satisfiable: Boolean(assignment) }));
+
+        if (!assignment) {
+            if (instances.length <= limits.shown) instances.forEach(i => records.push(record('herbrand-instance', { clause: instanceToString(i) })));
+            records.push(record('herbrand-unsatisfiable'));
+            status = 'unsatisfiable';
+            break;
+        }
+        if (d === maxDepth && universe.finite) {
+            const { items, total } = preview(base.filter(a => assignment.get(a.toString()) === true), limits.shown);
+            records.push(record('herbrand-model', { atoms: items, total }));
+            status = 'satisfiable';
+        } else if (d === maxDepth) {
+            records.push(record('herbrand-inconclusive', { depth: d }));
+        }
+    }
+    return { records, steps: records.map(r => describeRecord(r)), status };
+}
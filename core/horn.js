@@ -0,0 +1,307 @@
+// Cláusulas de Horn como programa lógico: classificação (fato, regra, objetivo), notação Prolog e
+// de Kowalski, renomeação que torna o conjunto Horn e resolução SLD sobre uma consulta.
+import { Clause, Literal } from './clauses.js';
+import { describeRecord, record } from './derivation.js';
+import { EQUALITY, Formula, RELATION_NAMES, Term } from './formula.js';
+import { dpll } from './propositional.js';
+import { substitutionToString, unify, unifyAtoms } from './unification.js';
+
+export const SLD_LIMITS = { maxDepth: 12, maxNodes: 200, maxAnswers: 10 };
+
+/**
+ * Tipo de uma cláusula no sentido da programação em lógica.
+ * @returns {'fato'|'regra'|'objetivo'|'não-Horn'}
+ */
+export function classifyClause(clause) {
+    const positives = clause.literals.filter(l => l.positive).length;
+    if (positives > 1) return 'não-Horn';
+    if (positives === 0) return 'objetivo';
+    return clause.literals.length === 1 ? 'fato' : 'regra';
+}
+
+const lower = name => name.charAt(0).toLowerCase() + name.slice(1);
+const upper = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+// Nome no estilo dado para cada símbolo, com sufixo quando dois cairiam no mesmo nome (P e p);
+// quem já está no estilo fica com o nome original
+function assignNames(symbols, style) {
+    const names = new Map();
+    const used = new Set();
+    const ordered = [...symbols].sort((a, b) => (style(a) === a ? 0 : 1) - (style(b) === b ? 0 : 1));
+    for (const symbol of ordered) {
+        let name = style(symbol);
+        for (let i = 2; used.has(name); i++) name = `${style(symbol)}_${i}`;
+        used.add(name);
+        names.set(symbol, name);
+    }
+    return names;
+}
+
+const atomSymbol = atom => RELATION_NAMES[atom.content] ?? atom.content;
+
+function termSymbols(t, functors, variables) {
+    if (t.type === 'var') return variables.add(t.name);
+    functors.add(t.name);
+    t.args.forEach(a => termSymbols(a, functors, variables));
+}
+
+/**
+ * Nomes Prolog dos símbolos de um conjunto de cláusulas: predicados, funções e constantes em
+ * minúscula, sem que dois símbolos diferentes (P e p, por exemplo) recebam o mesmo nome.
+ * @param {Clause[]} clauses
+ * @returns {{ predicates: Map<string, string>, functors: Map<string, string> }}
+ */
+export function prologNames(clauses) {
+    const predicates = new Set();
+    const functors = new Set();
+    clauses.forEach(c => c.literals.forEach(({ atom }) => {
+        if (!atom.isEquality()) predicates.add(atomSymbol(atom));
+        atom.args.forEach(t => termSymbols(t, functors, new Set()));
+    }));
+    return { predicates: assignNames(predicates, lower), functors: assignNames(functors, lower) };
+}
+
+// Termo no estilo Prolog: variáveis em maiúscula, funções e constantes em minúscula
+function prologTerm(t, names, variables) {
+    if (t.type === 'var') return variables.get(t.name);
+    const name = names.functors.get(t.name);
+    return t.type === 'func' ? `${name}(${t.args.map(a => prologTerm(a, names, variables)).join(', ')})` : name;
+}
+
+function prologAtom(atom, names, variables) {
+    const args = atom.args.map(t => prologTerm(t, names, variables));
+    if (atom.isEquality()) return `${args[0]} = ${args[1]}`;
+    const name = names.predicates.get(atomSymbol(atom));
+    return args.length > 0 ? `${name}(${args.join(', ')})` : name;
+}
+
+/**
+ * Cláusula de Horn em notação Prolog (`cabeça :- corpo.`, `fato.` ou `?- objetivos.`).
+ * @param {Clause} clause
+ * @param {object} [names] nomes de `prologNames` para o programa inteiro; por padrão, os da cláusula
+ * @returns {string|null} null para cláusulas que não são Horn
+ */
+export function toProlog(clause, names) {
+    // Também aceita ser passada direto a `map`, que manda o índice no lugar dos nomes
+    if (!names?.predicates) names = prologNames([clause]);
+    const head = clause.literals.filter(l => l.positive);
+    if (head.length > 1) return null;
+    // Variáveis valem só na cláusula: x e X, se ambas aparecerem, recebem nomes distintos
+    const symbols = new Set();
+    clause.literals.forEach(l => l.atom.args.forEach(t => termSymbols(t, new Set(), symbols)));
+    const variables = assignNames(symbols, upper);
+    const atom = l => prologAtom(l.atom, names, variables);
+    const body = clause.literals.filter(l => !l.positive).map(atom);
+    if (head.length === 0) return `?- ${body.join(', ')}.`;
+    return body.length === 0 ? `${atom(head[0])}.` : `${atom(head[0])} :- ${body.join(', ')}.`;
+}
+
+/**
+ * Forma de Kowalski: A1 ∨ ... ∨ Am ← B1 ∧ ... ∧ Bn (LaTeX).
+ */
+export function toKowalski(clause) {
+    const head = clause.literals.filter(l => l.positive).map(l => l.atom.toString());
+    const body = clause.literals.filter(l => !l.positive).map(l => l.atom.toString());
+    return `${head.join(' \\lor ') || '\\bot'} \\leftarrow ${body.join(' \\land ') || '\\top'}`;
+}
+
+/**
+ * Procura predicados cuja troca de sinal (P por ¬P̄ em todas as ocorrências) torna o conjunto Horn.
+ * Cada par de literais de uma cláusula dá a restrição 2-SAT "não ficam ambos positivos".
+ * @returns {Set<string>|null} predicados a renomear, ou null se não houver renomeação
+ */
+export function hornRenaming(clauses) {
+    const constraints = [];
+    clauses.forEach(c => c.literals.forEach((l, i) => c.literals.slice(i + 1).forEach(m => {
+        // pos'(l) vale quando o sinal de l difere da decisão de renomear o seu predicado
+        constraints.push([{ name: l.atom.content, positive: l.positive }, { name: m.atom.content, positive: m.positive }]);
+    })));
+    // A igualdade tem significado fixo e não pode trocar de sinal
+    if (clauses.some(c => c.literals.some(l => l.atom.isEquality()))) constraints.push([{ name: EQUALITY, positive: false }]);
+    const { assignment } = dpll(constraints);
+    if (!assignment) return null;
+
+    // O DPLL pode renomear mais do que o necessário: desfazemos as trocas dispensáveis
+    const flipped = new Set([...assignment].filter(([, flip]) => flip).map(([p]) => p));
+    const satisfied = set => constraints.every(pair => pair.some(l => set.has(l.name) === l.positive));
+    [...flipped].forEach(p => {
+        flipped.delete(p);
+        if (!satisfied(flipped)) flipped.add(p);
+    });
+    return flipped;
+}
+
+// Aplica a renomeação: P(t) vira ¬P̄(t) e vice-versa
+function renameClause(clause, flipped) {
+    return new Clause(clause.literals.map(l => flipped.has(l.atom.content)
+        ? new Literal(!l.positive, new Formula('atom', `\\overline{${l.atom.content}}`, null, null, l.atom.args))
+        : l));
+}
+
+/**
+ * Análise de Horn de um conjunto de cláusulas, como registros de derivação.
+ * @param {Clause[]} clauses
+ * @returns {{ records: object[], steps: string[], isHorn: boolean }} `steps` traz os registros em português
+ */
+export function analyzeHornClauses(clauses) {
+    const records = [];
+    const kinds = clauses.map(classifyClause);
+    const names = prologNames(clauses);
+    clauses.forEach((c, i) => records.push(record('horn-clause', {
+        index: i + 1,
+        clause: c.toString(),
+        positives: c.literals.filter(l => l.positive).length,
+        kind: kinds[i],
+        prolog: toProlog(c, names),
+        kowalski: toKowalski(c)
+    })));
+
+    if (clauses.some(c => c.literals.some(l => l.positive && l.atom.isEquality()))) records.push(record('horn-equality-head'));
+
+    const broken = kinds.map((k, i) => k === 'não-Horn' ? i + 1 : null).filter(i => i !== null);
+    const isHorn = broken.length === 0;
+    if (isHorn) {
+        records.push(record('horn-yes'));
+        const program = clauses.map(c => toProlog(c, names)).filter(p => !p.startsWith('?-'));
+        if (program.length > 0) records.push(record('horn-program', { program }));
+    } else {
+        records.push(record('horn-no', { clauses: broken }));
+        const flipped = hornRenaming(clauses);
+        if (flipped && flipped.size > 0) {
+            records.push(record('horn-renaming', { predicates: [...flipped] }));
+            clauses.map(c => renameClause(c, flipped)).forEach((c, i) => records.push(record('horn-renamed-clause', { index: i + 1, clause: c.toString(), kind: classifyClause(c) })));
+        } else {
+            records.push(record('horn-no-renaming'));
+        }
+    }
+    return { records, steps: records.map(r => describeRecord(r)), isHorn };
+}
+
+/**
+ * Resolução SLD (regra de seleção mais à esquerda, busca em profundidade) de uma consulta
+ * sobre as cláusulas definidas do programa.
+ * @param {Clause[]} program cláusulas; só as definidas (fatos e regras) são usadas, e cada aresta
+ *   da árvore guarda em `clause` a posição (a partir de 1) da cláusula usada nesta lista
+ * @param {Formula[]} query átomos da consulta
+ * @returns {{ root: object, answers: Map<string, Term>[], exhausted: boolean }}
+ */
+export function sldResolution(program, query, limits = SLD_LIMITS) {
+    const queryVariables = [...new Set(query.flatMap(a => [...a.freeVariables()]))];
+    const definite = program.filter(c => c.literals.filter(l => l.positive).length === 1);
+    const answers = [];
+    let nodes = 0;
+    let exhausted = true;
+
+    // Nó: objetivos pendentes e a consulta já instanciada
+    const solve = (goals, instance, depth) => {
+        const node = { goals, children: [], id: ++nodes };
+        if (goals.length === 0) {
+            const answer = new Map(queryVariables.map((v, i) => [v, instance[i]]));
+            answers.push(answer);
+            node.success = answer;
+            return node;
+        }
+        if (depth >= limits.maxDepth || nodes >= limits.maxNodes || answers.length >= limits.maxAnswers) {
+            node.cut = true;
+            exhausted = false;
+            return node;
+        }
+        const [selected, ...rest] = goals;
+        // Como o =/2 do Prolog: o objetivo s = t é resolvido unificando s e t
+        if (selected.isEquality()) {
+            const mgu = unify([[selected.args[0], selected.args[1]]]);
+            if (!mgu) {
+                node.failure = true;
+                return node;
+            }
+            const child = solve(rest.map(a => a.apply(mgu)), instance.map(t => t.apply(mgu)), depth + 1);
+            node.children.push({ clause: null, mgu, node: child });
+            return node;
+        }
+        const avoid = new Set([...goals.flatMap(g => [...g.freeVariables()]), ...instance.flatMap(t => [...t.variables()])]);
+        definite.forEach((clause) => {
+            if (nodes >= limits.maxNodes || answers.length >= limits.maxAnswers) {
+                exhausted = false;
+                return;
+            }
+            const renamed = clause.renamedApart(avoid);
+            const head = renamed.literals.find(l => l.positive).atom;
+            const mgu = unifyAtoms(selected, head);
+            if (!mgu) return;
+            const body = renamed.literals.filter(l => !l.positive).map(l => l.atom);
+            const next = [...body, ...rest].map(a => a.apply(mgu));
+            const child = solve(next, instance.map(t => t.apply(mgu)), depth + 1);
+            node.children.push({ clause: program.indexOf(clause) + 1, mgu, node: child });
+        });
+        if (node.children.length === 0) node.failure = true;
+        return node;
+    };
+
+    const root = solve(query, queryVariables.map(v => new Term('var', v)), 0);
+    return { root, answers, exhausted };
+}
+
+function goalsToString(goals) {
+    return goals.length === 0 ? '\\square' : goals.map(g => g.toString()).join(',\\ ');
+}
+
+// Substituição em LaTeX; vazia quando não liga nenhuma variável
+function substitution(subst) {
+    return subst.size > 0 ? substitutionToString(subst) : '';
+}
+
+// Árvore SLD em forma serializável: objetivos e substituições já em LaTeX
+function sldTreeToJSON(node) {
+    return {
+        goals: goalsToString(node.goals),
+        success: node.success ? substitution(node.success) : null,
+        failure: Boolean(node.failure),
+        cut: Boolean(node.cut),
+        children: node.children.map(c => ({ clause: c.clause, mgu: substitution(c.mgu), node: sldTreeToJSON(c.node) }))
+    };
+}
+
+// Árvore SLD em HTML (mesmo leiaute da árvore do tableau)
+export function sldTreeToHtml(root, language = 'pt') {
+    return describeRecord(record('sld-tree', { tree: sldTreeToJSON(root) }), { language });
+}
+
+/**
+ * Passo de resolução SLD: usa a consulta dada (conjunção de átomos) ou, sem consulta, a primeira
+ * cláusula objetivo do conjunto.
+ * @param {Clause[]} clauses conjunto Horn
+ * @param {Formula|null} query
+ * @returns {{ formula: Formula, records: object[], steps: string[] }|null} null quando não há
+ *   consulta nem objetivo; `steps` traz os registros em português
+ */
+export function sldProof(clauses, query = null, limits = SLD_LIMITS) {
+    let atoms;
+    const records = [];
+    const done = formula => ({ formula, records, steps: records.map(r => describeRecord(r)) });
+    if (query) {
+        const flatten = f => f.type === 'and' ? [...flatten(f.left), ...flatten(f.right)] : [f];
+        atoms = flatten(query);
+        if (atoms.some(a => a.type !== 'atom')) {
+            records.push(record('sld-invalid-query'));
+            return done(query);
+        }
+        records.push(record('sld-query', { goals: goalsToString(atoms) }));
+    } else {
+        const goal = clauses.find(c => classifyClause(c) === 'objetivo' && c.literals.length > 0);
+        if (!goal) return null;
+        atoms = goal.literals.map(l => l.atom);
+        records.push(record('sld-goal-clause', { clause: goal.toString(), goals: goalsToString(atoms) }));
+    }
+
+    // A lista inteira, para que as arestas usem a mesma numeração da análise de Horn
+    const { root, answers, exhausted } = sldResolution(clauses, atoms, limits);
+    records.push(record('sld-selection', { maxDepth: limits.maxDepth }));
+    records.push(record('sld-tree', { tree: sldTreeToJSON(root) }));
+
+    if (answers.length > 0) {
+        records.push(record('sld-answers', { answers: answers.map(substitution), exhausted }));
+    } else {
+        records.push(record(exhausted ? 'sld-failure' : 'sld-inconclusive'));
+    }
+    return done(new Formula('atom', answers.length > 0 ? '\\square' : '\\text{falha}'));
+}
@@ -0,0 +1,188 @@
+// API pública do núcleo: funções sem dependência de navegador, utilizáveis no Node e na página.
+import { Formula } from './formula.js';
+import { FormulaParser } from './parser.js';
+import { FormulaTransformer } from './transformer.js';
+import { Clause, extractClauses, getMatrix } from './clauses.js';
+import { quineMcCluskey, simplifyNormalForm } from './simplify.js';
+import { runPipeline } from './pipeline.js';
+
+export { Term, Formula, LATEX_NOTATION, TEXT_NOTATION } from './formula.js';
+export { FormulaParser, ParseError, DIALECTS, QUANTIFIER_SCOPES, detectDialect, tokenize } from './parser.js';
+export { FormulaTransformer, PRENEX_STRATEGIES, FREE_VARIABLE_POLICIES, CNF_MODES } from './transformer.js';
+export { Literal, Clause, getMatrix, extractClauses, countPositiveLiterals } from './clauses.js';
+export { analyzeHornClauses, classifyClause, prologNames, toProlog, toKowalski, hornRenaming, sldResolution, sldProof } from './horn.js';
+export { unify, unifyAtoms, substitutionToString } from './unification.js';
+export { ResolutionProver, resolutionRefutation } from './resolution.js';
+export { buildTableau, tableauProof, tableauToHtml } from './tableaux.js';
+export { truthTable, dpll, evaluatePropositional } from './propositional.js';
+export { Structure, StructureError, evaluate, signature, enumerateStructures } from './semantics.js';
+export { explainEvaluation, evaluateInStructure, checkStepsInStructure } from './modelcheck.js';
+export { verifyStep } from './verification.js';
+export { QM_MAX_ATOMS, simplifyNormalForm, quineMcCluskey } from './simplify.js';
+export { PIPELINE_STAGES, PIPELINE_PRESETS, FORMULA_PROPERTIES, PipelineError, validatePipeline, unmetPreconditions, runPipeline } from './pipeline.js';
+export { TREE_VIEW_LIMITS, layoutTree, formulaToSvg, locateSubformula, pathKey } from './treeview.js';
+export { herbrandUniverse, herbrandBase, groundInstances, herbrandAnalysis } from './herbrand.js';
+export { toDIMACS, toTPTP, toSMTLIB, exportClauses } from './export.js';
+export { formatDiagnostic, formatDiagnosticText, validateFormula, resolveDialect, escapeHtml } from './diagnostics.js';
+export { compareFormulas, COMPARISON_MODES } from './comparison.js';
+export { DERIVATION_FORMAT, DERIVATION_VERSION, LANGUAGES, VERBOSITY_LEVELS, RULES, DerivationError, record, describeRecord, renderDerivation, exportDerivation, importDerivation, diffDerivations, diffToStep } from './derivation.js';
+export { processFormula, processUnification, processComparison, replayDerivation } from './process.js';
+
+// Aceita tanto uma fórmula já lida quanto o texto dela; quantificadores limitados saem relativizados
+function asFormula(formula, options) {
+    return relativize(formula instanceof Formula ? formula : parse(formula, options));
+}
+
+/**
+ * Lê uma fórmula.
+ * @param {string} input texto da fórmula (LaTeX, Unicode, ASCII ou TPTP)
+ * @param {object} [options] `dialect` ('auto', 'latex', 'unicode', 'ascii', 'tptp') e
+ *   `quantifierScope` ('wide' ou 'narrow')
+ * @returns {Formula}
+ * @throws {ParseError} quando a entrada não é uma fórmula válida
+ */
+export function parse(input, options = {}) {
+    return new FormulaParser(input, options).parse();
+}
+
+/**
+ * Reescreve os quantificadores limitados na forma comum: ∀x ∈ A φ vira ∀x (A(x) → φ) e
+ * ∃x > 0 φ vira ∃x (x > 0 ∧ φ).
+ * @param {Formula|string} formula
+ * @param {object} [options] opções de leitura, quando `formula` é texto
+ * @returns {Formula}
+ */
+export function relativize(formula, options = {}) {
+    const f = formula instanceof Formula ? formula : parse(formula, options);
+    return new FormulaTransformer(f, options).relativizeQuantifiers(f).formula;
+}
+
+/**
+ * Fecha a fórmula sobre as suas variáveis livres.
+ * @param {Formula|string} formula
+ * @param {object} [options] `freeVariables`: 'universal' (padrão), 'existential' ou 'constant'
+ * @returns {Formula}
+ */
+export function close(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    return transformer.closeFreeVariables(transformer.formula).formula;
+}
+
+/**
+ * Forma normal negativa: elimina → e ↔ e empurra as negações até os átomos.
+ * @param {Formula|string} formula
+ * @param {object} [options] opções de leitura, quando `formula` é texto
+ * @returns {Formula}
+ */
+export function toNNF(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    const implicationFree = transformer.eliminateImplications(transformer.formula).formula;
+    return transformer.pushNegations(implicationFree).formula;
+}
+
+/**
+ * Forma prenex da NNF, com as variáveis ligadas renomeadas para nomes distintos.
+ * @param {Formula|string} formula
+ * @param {object} [options] `prenexStrategy`: 'left-to-right', 'exists-first' ou 'forall-first'
+ * @returns {Formula}
+ */
+export function toPrenex(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    const standardized = transformer.standardizeVariables(toNNF(transformer.formula)).formula;
+    return transformer.toPrenexForm(standardized).formula;
+}
+
+/**
+ * Miniscopagem da NNF: quantificadores empurrados para dentro o quanto possível.
+ * @param {Formula|string} formula
+ * @param {object} [options]
+ * @returns {Formula}
+ */
+export function miniscope(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    const standardized = transformer.standardizeVariables(toNNF(transformer.formula)).formula;
+    return transformer.miniscope(standardized).formula;
+}
+
+/**
+ * Skolemização (equissatisfatível à fórmula dada), com o resultado em forma prenex.
+ * As variáveis livres são antes fechadas segundo `freeVariables` (ver `close`).
+ * @param {Formula|string} formula
+ * @param {object} [options] com `miniscope: true`, Skolemiza a forma miniscopada em vez da prenex
+ *   e só depois traz os ∀ restantes para a frente
+ * @returns {Formula}
+ */
+export function skolemize(formula, options = {}) {
+    const transformer = new FormulaTransformer(close(formula, options), options);
+    if (options.miniscope) {
+        const skolemized = transformer.skolemize(miniscope(transformer.formula, options)).formula;
+        return transformer.toPrenexForm(skolemized).formula;
+    }
+    return transformer.skolemize(toPrenex(transformer.formula, options)).formula;
+}
+
+/**
+ * Forma normal conjuntiva da fórmula Skolemizada, ainda com o prefixo universal.
+ * @param {Formula|string} formula
+ * @param {object} [options] `cnfMode`: 'distributive' (equivalente) ou 'tseitin' (equissatisfatível);
+ * com `simplify: true`, aplica idempotência, complemento e absorção ao resultado
+ * @returns {Formula}
+ */
+export function toCNF(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    const skolemized = skolemize(transformer.formula, options);
+    const cnf = options.cnfMode === 'tseitin'
+        ? transformer.toTseitinCNF(skolemized).formula
+        : transformer.toCNF(skolemized).formula;
+    return options.simplify ? simplifyNormalForm(cnf, 'cnf').formula : cnf;
+}
+
+/**
+ * Forma normal disjuntiva da forma prenex (sem Skolemização).
+ * @param {Formula|string} formula
+ * @param {object} [options] com `simplify: true`, simplifica o resultado como em `toCNF`. Mesmo com
+ *   `miniscope: true` a FND parte da forma prenex: a matriz precisa estar livre de quantificadores
+ * @returns {Formula}
+ */
+export function toDNF(formula, options = {}) {
+    const transformer = new FormulaTransformer(asFormula(formula, options), options);
+    const dnf = transformer.toDNF(toPrenex(transformer.formula, options)).formula;
+    return options.simplify ? simplifyNormalForm(dnf, 'dnf').formula : dnf;
+}
+
+/**
+ * FND e FNC mínimas de uma fórmula proposicional (Quine–McCluskey).
+ * @param {Formula|string} formula
+ * @param {object} [options]
+ * @returns {{ dnf: Formula, cnf: Formula }|null} null se houver mais de `QM_MAX_ATOMS` átomos
+ */
+export function minimize(formula, options = {}) {
+    const parsed = asFormula(formula, options);
+    if (!parsed.isPropositional()) throw new Error('a minimização só se aplica a fórmulas proposicionais');
+    const result = quineMcCluskey(parsed);
+    return result && { dnf: result.dnf, cnf: result.cnf };
+}
+
+/**
+ * Resultado de uma sequência escolhida de etapas de reescrita (ver `PIPELINE_STAGES`), por exemplo
+ * `['eliminate', 'nnf', 'cnf']` para a FNC direto da FNN, sem prenex nem Skolemização.
+ * @param {Formula|string} formula
+ * @param {string[]} stages
+ * @param {object} [options] as mesmas de `toCNF`, mais as de leitura
+ * @returns {Formula}
+ * @throws {PipelineError} se uma etapa for desconhecida ou repetida, ou se a fórmula não
+ *   satisfizer as pré-condições de alguma etapa
+ */
+export function pipeline(formula, stages, options = {}) {
+    return runPipeline(asFormula(formula, options), stages, options).formula;
+}
+
+/**
+ * Cláusulas da forma clausal (matriz da FNC, variáveis implicitamente universais).
+ * @param {Formula|string} formula
+ * @param {object} [options] as mesmas de `toCNF`
+ * @returns {Clause[]}
+ */
+export function clauses(formula, options = {}) {
+    return extractClauses(getMatrix(toCNF(formula, options))).map(c => Clause.fromFormula(c));
+}
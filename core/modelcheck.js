@@ -0,0 +1,153 @@
+// Avaliação de fórmulas (e de cada forma intermediária do pipeline) numa estrutura finita dada
+// pelo usuário, com testemunhas e contra-exemplos para os quantificadores.
+import { appendRecord, describeRecord, record, stagedStep } from './derivation.js';
+import { Formula } from './formula.js';
+import { countStructures, enumerateStructures, evaluate, signature } from './semantics.js';
+
+export const MODEL_CHECK_LIMITS = { maxLines: 16, maxExpansions: 20000 };
+
+function showElement(v) {
+    return typeof v === 'string' ? v : JSON.stringify(v);
+}
+
+// Registros da explicação do valor de uma fórmula (ver `explainEvaluation`)
+function explanationRecords(f, structure, env, limits) {
+    const records = [];
+    // Só as variáveis livres da subfórmula interessam ao leitor
+    const context = (g, env) => [...env].filter(([x]) => g.freeVariables().has(x)).map(([x, v]) => [x, showElement(v)]);
+
+    const explainQuantifier = (g, env, depth) => {
+        if (records.length >= limits.maxLines) return;
+        const x = g.content;
+        const body = g.restrictedBody();
+        const values = structure.domain.map(d => ({ d, env: new Map([...env, [x, d]]) }))
+            .map(c => ({ ...c, value: evaluate(body, structure, c.env) }));
+        const value = g.type === 'forall' ? values.every(c => c.value) : values.some(c => c.value);
+        const line = { depth, context: context(g, env), formula: g.toString(), variable: x };
+
+        if (g.type === 'exists' && value) {
+            const witness = values.find(c => c.value);
+            records.push(record('eval-witness', { ...line, element: showElement(witness.d) }));
+            explain(body, witness.env, depth + 1);
+        } else if (g.type === 'forall' && !value) {
+            const counter = values.find(c => !c.value);
+            records.push(record('eval-counterexample', { ...line, element: showElement(counter.d) }));
+            explain(body, counter.env, depth + 1);
+        } else {
+            records.push(record('eval-everywhere', { ...line, quantifier: g.type, value }));
+            values.forEach(c => explain(body, c.env, depth + 1));
+        }
+    };
+
+    const explain = (g, env, depth) => {
+        switch (g.type) {
+            case 'forall':
+            case 'exists':
+                return explainQuantifier(g, env, depth);
+            case 'neg':
+                return explain(g.left, env, depth);
+            case 'and':
+            case 'or':
+            case 'imp':
+            case 'iff':
+            case 'xor':
+            case 'nand':
+            case 'nor':
+                explain(g.left, env, depth);
+                return explain(g.right, env, depth);
+            default:
+                return;
+        }
+    };
+
+    explain(f, env, 0);
+    if (records.length >= limits.maxLines) records.push(record('eval-truncated'));
+    return records;
+}
+
+/**
+ * Explica o valor de uma fórmula: para cada subfórmula quantificada mais externa, dá a
+ * testemunha (∃ verdadeiro), o contra-exemplo (∀ falso) ou o comportamento em todo o domínio.
+ * @returns {string[]} linhas no formato dos passos
+ */
+export function explainEvaluation(f, structure, env = structure.assignment, limits = MODEL_CHECK_LIMITS) {
+    return explanationRecords(f, structure, env, limits).map(r => describeRecord(r));
+}
+
+// Variáveis livres sem valor dado são lidas como universais, como na forma clausal
+function closeOver(f, assigned) {
+    return [...f.freeVariables()].filter(x => !assigned.has(x)).reverse()
+        .reduce((acc, x) => new Formula('forall', x, acc), f);
+}
+
+/**
+ * Avalia uma fórmula na estrutura. Símbolos que a estrutura não interpreta (funções de Skolem,
+ * átomos de Tseitin) são tratados por busca: informa se alguma expansão torna a fórmula
+ * verdadeira e se alguma a torna falsa.
+ * @returns {{ value: boolean|null, records: object[], lines: string[] }} value é null quando depende da expansão
+ */
+export function evaluateInStructure(f, structure, limits = MODEL_CHECK_LIMITS) {
+    const closed = closeOver(f, structure.assignment);
+    const records = [];
+    const result = value => ({ value, records, lines: records.map(r => describeRecord(r)) });
+    if (closed !== f) {
+        records.push(record('eval-free-variables', { variables: [...f.freeVariables()].filter(x => !structure.assignment.has(x)) }));
+    }
+
+    const sig = signature([closed]);
+    const missing = {
+        constants: new Set([...sig.constants].filter(c => !structure.constants.has(c))),
+        functions: new Map([...sig.functions].filter(([g]) => !structure.functions.has(g))),
+        predicates: new Map([...sig.predicates].filter(([p]) => !structure.predicates.has(p)))
+    };
+    const symbols = [...missing.constants, ...missing.functions.keys(), ...missing.predicates.keys()];
+    if (symbols.length === 0) {
+        const value = evaluate(closed, structure, structure.assignment);
+        records.push(record('eval-value', { value }));
+        records.push(...explanationRecords(closed, structure, structure.assignment, limits));
+        return result(value);
+    }
+
+    // Símbolos novos: procuramos expansões da estrutura que interpretem cada um deles
+    if (countStructures(missing, structure.domain.length) > limits.maxExpansions) {
+        records.push(record('eval-too-many-expansions', { symbols }));
+        return result(null);
+    }
+    let satisfying = null;
+    let falsifying = null;
+    for (const expansion of enumerateStructures(missing, structure.domain.length, structure)) {
+        if (evaluate(closed, expansion, structure.assignment)) satisfying ??= expansion;
+        else falsifying ??= expansion;
+        if (satisfying && falsifying) break;
+    }
+    records.push(record('eval-uninterpreted', { symbols }));
+    records.push(satisfying
+        ? record('eval-satisfying', { structure: satisfying.toJSON(), symbols })
+        : record('eval-unsatisfiable'));
+    if (falsifying) records.push(record('eval-falsifying', { structure: falsifying.toJSON(), symbols }));
+    return result(satisfying && falsifying ? null : Boolean(satisfying));
+}
+
+/**
+ * Acrescenta a avaliação na estrutura a cada forma intermediária do pipeline e devolve um passo
+ * de resumo com o valor de todas elas.
+ * @param {object[]} steps passos produzidos por `FormulaTransformer.transform`
+ * @param {Structure} structure
+ */
+export function checkStepsInStructure(steps, structure, limits = MODEL_CHECK_LIMITS) {
+    const summary = [record('model-check-structure', { structure: structure.toJSON() })];
+    if (structure.assignment.size > 0) {
+        summary.push(record('model-check-assignment', { assignment: [...structure.assignment].map(([x, v]) => [x, showElement(v)]) }));
+    }
+    let previous = null;
+    steps.forEach((step, i) => {
+        if (i > 0 && !step.input) return;
+        const result = evaluateInStructure(step.formula, structure, limits);
+        // Forma igual à anterior: só o valor, sem repetir testemunhas
+        const records = step.formula.toString() === previous ? result.records.slice(0, 1) : result.records;
+        previous = step.formula.toString();
+        records.forEach(r => appendRecord(step, record('model-check-probe', { rule: r.rule, params: r.params })));
+        summary.push(record('model-check-value', { stage: step.stage ?? null, title: step.title, value: result.value }));
+    });
+    return stagedStep('model-check', { title: "Avaliação na Estrutura Finita", formula: steps[0].formula }, summary);
+}
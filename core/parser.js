@@ -0,0 +1,504 @@
+import { Formula, INFIX_RELATIONS, MEMBERSHIP, Term, isVariableName } from './formula.js';
+
+// Erro de sintaxe com a posição na entrada, os tokens aceitáveis ali e uma dica de correção
+export class ParseError extends Error {
+    constructor(message, pos, expected = [], hint = null) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = pos;
+        this.expected = expected; // tipos de token que seriam aceitos na posição
+        this.hint = hint;
+    }
+}
+
+// Dialetos de entrada: cada um associa lexemas aos tipos de token do analisador
+export const DIALECTS = {
+    latex: {
+        name: 'LaTeX',
+        commands: {
+            '\\forall': 'forall', '\\exists': 'exists',
+            '\\neg': 'not', '\\lnot': 'not',
+            '\\land': 'and', '\\wedge': 'and',
+            '\\lor': 'or', '\\vee': 'or',
+            '\\rightarrow': 'imp', '\\to': 'imp', '\\Rightarrow': 'imp', '\\implies': 'imp',
+            '\\leftrightarrow': 'iff', '\\iff': 'iff', '\\Leftrightarrow': 'iff',
+            '\\oplus': 'xor', '\\veebar': 'xor', '\\uparrow': 'nand', '\\barwedge': 'nand', '\\downarrow': 'nor',
+            '\\top': 'true', '\\bot': 'false', '\\neq': 'neq', '\\ne': 'neq',
+            '\\in': 'in', '\\colon': 'colon', '\\leq': 'leq', '\\le': 'leq', '\\geq': 'geq', '\\ge': 'geq',
+            '\\bigwedge': 'bigand', '\\bigvee': 'bigor',
+            '\\left': null, '\\right': null, '\\quad': null, '\\qquad': null
+        },
+        symbols: { '\\,': null, '\\;': null, '\\:': null, '\\!': null, '\\ ': null, '\\{': 'lbrace', '\\}': 'rbrace' }
+    },
+    unicode: {
+        name: 'Unicode',
+        symbols: {
+            '∀': 'forall', '∃': 'exists', '¬': 'not',
+            '∧': 'and', '∨': 'or',
+            '→': 'imp', '⇒': 'imp', '↔': 'iff', '⇔': 'iff',
+            '⊕': 'xor', '⊻': 'xor', '↑': 'nand', '⊼': 'nand', '↓': 'nor', '⊽': 'nor',
+            '⊤': 'true', '⊥': 'false', '≠': 'neq', '⋀': 'bigand', '⋁': 'bigor',
+            '∈': 'in', '≤': 'leq', '≥': 'geq'
+        }
+    },
+    ascii: {
+        name: 'ASCII',
+        keywords: {
+            'forall': 'forall', 'exists': 'exists', 'not': 'not', 'and': 'and', 'or': 'or',
+            'xor': 'xor', 'nand': 'nand', 'nor': 'nor', 'true': 'true', 'false': 'false', 'in': 'in'
+        },
+        symbols: {
+            '~': 'not', '!': 'not', '!=': 'neq',
+            '&': 'and', '&&': 'and', '|': 'or', '||': 'or',
+            '<->': 'iff', '<=>': 'iff', '->': 'imp', '=>': 'imp', '<=': 'leq', '>=': 'geq'
+        }
+    },
+    tptp: {
+        name: 'TPTP',
+        symbols: {
+            '!': 'forall', '?': 'exists', '~': 'not',
+            '&': 'and', '|': 'or',
+            '<=>': 'iff', '=>': 'imp',
+            '<~>': 'xor', '~&': 'nand', '~|': 'nor', '!=': 'neq',
+            '$true': 'true', '$false': 'false',
+            '[': 'lbracket', ']': 'rbracket'
+        }
+    }
+};
+
+// Escopo dos quantificadores: até o fim da subfórmula ou estreito, como a negação
+export const QUANTIFIER_SCOPES = ['wide', 'narrow'];
+
+// Pontuação comum a todos os dialetos
+export const PUNCTUATION = { '(': 'lparen', ')': 'rparen', ',': 'comma', '.': 'dot', ':': 'colon', '=': 'eq', '<': 'lt', '>': 'gt' };
+
+// Token de cada relação entre termos e o predicado que ela forma (ver INFIX_RELATIONS)
+const RELATION_TOKENS = Object.fromEntries(Object.entries(INFIX_RELATIONS).map(([name, token]) => [token, name]));
+const RELATION_TYPES = [...Object.keys(RELATION_TOKENS), 'neq'];
+
+// Tokens que podem abrir o escopo depois da restrição de um quantificador
+const SCOPE_STARTS = ['dot', 'colon', 'lparen', 'ident', 'not', 'forall', 'exists', 'true', 'false', 'bigand', 'bigor'];
+
+// Escolhe o dialeto pelo aspecto da entrada
+export function detectDialect(input) {
+    if (input.includes('\\')) return 'latex';
+    if (/[∀∃¬∧∨→⇒↔⇔⊕⊻↑⊼↓⊽⊤⊥≠⋀⋁∈≤≥]/.test(input)) return 'unicode';
+    if (/[!?]\s*\[|\$(true|false)\b|<~>|~[&|]/.test(input)) return 'tptp';
+    return 'ascii';
+}
+
+// Comando conhecido mais próximo (distância de edição até 2), para sugestões
+function closestCommand(command, known) {
+    const distance = (a, b) => {
+        const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    };
+    let best = null;
+    let bestDistance = 3;
+    known.forEach(k => {
+        const d = distance(command, k);
+        if (d < bestDistance) {
+            best = k;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+// Parênteses e colchetes desbalanceados, apontando para o símbolo sem par
+function checkBalance(tokens) {
+    const open = [];
+    const pairs = { rparen: 'lparen', rbracket: 'lbracket', rbrace: 'lbrace' };
+    const closers = { lparen: ')', lbracket: ']', lbrace: '\\}' };
+    for (const token of tokens) {
+        if (closers[token.type]) {
+            open.push(token);
+        } else if (pairs[token.type]) {
+            const last = open.pop();
+            if (!last || last.type !== pairs[token.type]) {
+                throw new ParseError(`'${token.text}' sem abertura correspondente na posição ${token.pos}`, token.pos, [],
+                    'Remova este símbolo ou acrescente a abertura que falta antes dele');
+            }
+        }
+    }
+    if (open.length > 0) {
+        const last = open[open.length - 1];
+        throw new ParseError(`'${last.text}' aberto na posição ${last.pos} não foi fechado`, last.pos, [],
+            `Feche com '${closers[last.type]}' ao final da subfórmula`);
+    }
+}
+
+// Divide a entrada em tokens { type, text, pos } conforme o dialeto
+export function tokenize(input, dialect) {
+    const spec = DIALECTS[dialect];
+    const symbols = Object.entries({ ...PUNCTUATION, ...(spec.symbols || {}) })
+        .sort((a, b) => b[0].length - a[0].length); // lexemas mais longos primeiro
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < input.length) {
+        if (/\s/.test(input[pos])) {
+            pos++;
+            continue;
+        }
+
+        const symbol = symbols.find(([lexeme]) => input.startsWith(lexeme, pos));
+        if (symbol) {
+            if (symbol[1]) tokens.push({ type: symbol[1], text: symbol[0], pos });
+            pos += symbol[0].length;
+            continue;
+        }
+
+        // Comandos LaTeX: barra invertida seguida de letras
+        const command = spec.commands && input.slice(pos).match(/^\\[A-Za-z]+/);
+        if (command) {
+            const type = spec.commands[command[0]];
+            if (type === undefined) {
+                const suggestion = closestCommand(command[0], Object.keys(spec.commands));
+                throw new ParseError(`Comando desconhecido ${command[0]} na posição ${pos}`, pos, [],
+                    suggestion ? `Você quis dizer ${suggestion}?` : 'Use \\forall, \\exists, \\neg, \\land, \\lor, \\rightarrow, \\leftrightarrow, \\oplus, \\top, \\bot ou \\neq');
+            }
+            if (type) tokens.push({ type, text: command[0], pos });
+            pos += command[0].length;
+            continue;
+        }
+
+        const word = input.slice(pos).match(/^[A-Za-z0-9_]+/);
+        if (word) {
+            const keyword = spec.keywords && spec.keywords[word[0]];
+            tokens.push({ type: keyword || 'ident', text: word[0], pos });
+            pos += word[0].length;
+            continue;
+        }
+
+        const other = Object.keys(DIALECTS).find(d => DIALECTS[d].symbols && Object.keys(DIALECTS[d].symbols).some(l => input.startsWith(l, pos)));
+        throw new ParseError(`Símbolo '${input[pos]}' não reconhecido no dialeto ${spec.name} (posição ${pos})`, pos, [],
+            other ? `Esse símbolo pertence ao dialeto ${DIALECTS[other].name}; escolha-o na sintaxe de entrada ou use a detecção automática` : null);
+    }
+
+    tokens.push({ type: 'eof', text: '', pos: input.length });
+    return tokens;
+}
+
+export class FormulaParser {
+    constructor(input, options = {}) {
+        this.input = input.trim();
+        this.dialect = !options.dialect || options.dialect === 'auto' ? detectDialect(this.input) : options.dialect;
+        this.tokens = tokenize(this.input, this.dialect);
+        checkBalance(this.tokens);
+        this.index = 0;
+        this.expected = new Set(); // tipos de token consultados na posição atual
+        this.expectedIndex = 0;
+        this.boundVariables = []; // variáveis dos quantificadores que envolvem a posição atual
+        // Em TPTP o quantificador sempre liga mais forte que os conectivos binários
+        this.quantifierScope = this.dialect === 'tptp' ? 'narrow' : (options.quantifierScope || 'wide');
+    }
+
+    parse() {
+        const f = this.parseExpression();
+        this.expectEnd();
+        return f;
+    }
+
+    // Lê um único termo ou átomo, como P(x, f(y)), para a ferramenta de unificação
+    parseTermInput() {
+        const t = this.parseTerm();
+        this.expectEnd();
+        return t;
+    }
+
+    expectEnd() {
+        if (!this.peek('eof')) {
+            throw this.error(`Token inesperado '${this.current().text}' na posição ${this.current().pos}`);
+        }
+    }
+
+    // Erro na posição atual, com o conjunto de tokens que teriam sido aceitos
+    error(message, hint = null) {
+        return new ParseError(message, this.current().pos, [...this.expected], hint);
+    }
+
+    // Precedência, da mais fraca para a mais forte: ↔, →, ⊕, ∨/↓, ∧/↑, ¬/quantificadores
+    parseExpression() {
+        return this.parseBiconditional();
+    }
+
+    // Bicondicional associa à direita: A ↔ B ↔ C = A ↔ (B ↔ C)
+    parseBiconditional() {
+        const left = this.parseImplication();
+        if (this.accept('iff')) {
+            return new Formula('iff', null, left, this.parseBiconditional());
+        }
+        return left;
+    }
+
+    // Implicação associa à direita: A → B → C = A → (B → C)
+    parseImplication() {
+        const left = this.parseExclusive();
+        if (this.accept('imp')) {
+            return new Formula('imp', null, left, this.parseImplication());
+        }
+        return left;
+    }
+
+    parseExclusive() {
+        let left = this.parseDisjunction();
+        while (this.accept('xor')) {
+            const right = this.parseDisjunction();
+            left = new Formula('xor', null, left, right);
+        }
+        return left;
+    }
+
+    // ↓ não é associativo: A ↓ B ↓ C = (A ↓ B) ↓ C, como os demais operadores do nível
+    parseDisjunction() {
+        let left = this.parseConjunction();
+        while (this.peek('or') || this.peek('nor')) {
+            const type = this.next().type;
+            const right = this.parseConjunction();
+            left = new Formula(type, null, left, right);
+        }
+        return left;
+    }
+
+    parseConjunction() {
+        let left = this.parseNegation();
+        while (this.peek('and') || this.peek('nand')) {
+            const type = this.next().type;
+            const right = this.parseNegation();
+            left = new Formula(type, null, left, right);
+        }
+        return left;
+    }
+
+    parseNegation() {
+        if (this.accept('not')) {
+            const sub = this.parseNegation();
+            return new Formula('neg', null, sub);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        // Quantificadores em qualquer posição
+        if (this.peek('forall') || this.peek('exists')) {
+            const quantifier = this.next().type;
+            const { variables, restriction } = this.parseQuantifiedVariables();
+            variables.forEach(v => this.boundVariables.push(v));
+            // Escopo estreito: o quantificador liga como a negação; amplo: vai até o fim da subfórmula
+            const body = this.quantifierScope === 'narrow' ? this.parseNegation() : this.parseExpression();
+            variables.forEach(() => this.boundVariables.pop());
+            return variables.reduceRight((acc, v) => new Formula(quantifier, v, acc, restriction && restriction(new Term('var', v))), body);
+        }
+
+        if (this.accept('lparen')) {
+            const inside = this.parseExpression();
+            this.expect('rparen');
+            return inside;
+        }
+
+        if (this.accept('true')) return new Formula('true');
+        if (this.accept('false')) return new Formula('false');
+        if (this.peek('bigand') || this.peek('bigor')) return this.parseBigOperator();
+
+        return this.parseAtom();
+    }
+
+    // ⋀(A, B, C) ou ⋀\{A, B, C\} sobre uma lista explícita vira A ∧ B ∧ C; a lista vazia dá ⊤ (ou ⊥ para ⋁)
+    parseBigOperator() {
+        const type = this.next().type === 'bigand' ? 'and' : 'or';
+        let close = 'rbrace';
+        if (!this.accept('lbrace')) {
+            this.expect('lparen');
+            close = 'rparen';
+        }
+        const items = [];
+        if (!this.accept(close)) {
+            do items.push(this.parseExpression()); while (this.accept('comma'));
+            this.expect(close);
+        }
+        if (items.length === 0) return new Formula(type === 'and' ? 'true' : 'false');
+        return items.reduce((acc, f) => new Formula(type, null, acc, f));
+    }
+
+    // Variáveis após um quantificador: "x", "x.", "x, y" ou, em TPTP, "[X, Y]:". Fora do TPTP o bloco
+    // pode ser limitado ("x \in A", "x, y > 0"); a restrição vale para cada variável do bloco.
+    parseQuantifiedVariables() {
+        if (this.dialect === 'tptp') {
+            this.expect('lbracket');
+            const variables = [this.parseVariable()];
+            while (this.accept('comma')) variables.push(this.parseVariable());
+            this.expect('rbracket');
+            this.expect('colon');
+            return { variables, restriction: null };
+        }
+        const variables = [this.parseVariable()];
+        while (this.accept('comma')) variables.push(this.parseVariable());
+        const restriction = this.peekRelation() ? this.parseRelation(true) : null;
+        if (!this.accept('dot')) this.accept('colon');
+        return { variables, restriction };
+    }
+
+    // Há uma relação entre termos à frente (=, ≠, <, >, ≤, ≥ ou ∈)?
+    peekRelation() {
+        return RELATION_TYPES.filter(type => this.peek(type)).length > 0;
+    }
+
+    // Lê a relação e o lado direito; devolve o montador do átomo a partir do termo esquerdo.
+    // s ∈ A vira A(s) (com um termo composto, s ∈ f(a) fica como relação) e s ≠ t vira ¬(s = t).
+    parseRelation(bound = false) {
+        const type = this.next().type;
+        if (type === 'in' && !this.peek('ident')) {
+            throw this.error(`Nome de conjunto esperado na posição ${this.current().pos}`, 'Depois de \\in vem o nome de um predicado unário, como em x \\in A');
+        }
+        const right = bound ? this.parseBound() : this.parseTerm();
+        if (type === 'in') {
+            if (right.type === 'func') return left => new Formula('atom', MEMBERSHIP, null, null, [left, right]);
+            return left => new Formula('atom', right.name, null, null, [left]);
+        }
+        if (type === 'neq') return left => new Formula('neg', null, Formula.equality(left, right));
+        return left => new Formula('atom', RELATION_TOKENS[type], null, null, [left, right]);
+    }
+
+    // Limite da restrição de um quantificador: um termo qualquer, desde que o escopo ainda venha depois.
+    // Em ∃x > s(0) (P(x)) o limite é s(0); em ∃x > 0 (P(x)) e ∃y ≥ x (P(y)) o "(" já abre o escopo.
+    parseBound() {
+        const start = this.index;
+        try {
+            const term = this.parseTerm();
+            if (SCOPE_STARTS.includes(this.current().type)) return term;
+        } catch {
+            // O "(" não fechou uma lista de argumentos: era o escopo
+        }
+        this.index = start;
+        return this.parseTerm(true);
+    }
+
+    parseAtom() {
+        // Relação entre termos: igualdade (s = t), desigualdade (s ≠ t, lida como ¬(s = t)), ordem ou pertinência
+        const start = this.index;
+        if (this.peek('ident')) {
+            let left = null;
+            try {
+                left = this.parseTerm();
+            } catch {
+                // Não é um termo: o erro, se houver, sai da leitura do átomo abaixo
+            }
+            if (left && this.peekRelation()) return this.parseRelation()(left);
+            this.index = start;
+        }
+
+        const name = this.parseIdentifier();
+        if (!name) throw this.error(`Átomo esperado na posição ${this.current().pos}`);
+
+        // Átomo com argumentos
+        if (this.peek('lparen')) {
+            return new Formula('atom', name, null, null, this.parseArguments());
+        }
+
+        return new Formula('atom', name);
+    }
+
+    parseArguments() {
+        this.expect('lparen');
+        const args = [this.parseTerm()];
+        while (this.accept('comma')) args.push(this.parseTerm());
+        this.expect('rparen');
+        return args;
+    }
+
+    // Com `simple`, só um nome (variável ou constante): o "(" seguinte fica para quem chamou
+    parseTerm(simple = false) {
+        const id = this.parseIdentifier();
+        if (!id) throw this.error(`Termo esperado na posição ${this.current().pos}`);
+
+        if (!simple && this.peek('lparen')) {
+            return new Term('func', id, this.parseArguments());
+        }
+
+        // Variável se ligada por um quantificador envolvente (ou pela convenção de nomes do dialeto)
+        if (this.boundVariables.includes(id) || this.isFreeVariableName(id)) {
+            return new Term('var', id);
+        }
+        return new Term('const', id);
+    }
+
+    // Em TPTP variáveis começam com maiúscula; nos demais dialetos vale a convenção u–z
+    isFreeVariableName(name) {
+        return this.dialect === 'tptp' ? /^[A-Z]/.test(name) : isVariableName(name);
+    }
+
+    parseIdentifier() {
+        return this.peek('ident') ? this.next().text : null;
+    }
+
+    parseVariable() {
+        const v = this.parseIdentifier();
+        if (!v) throw this.error(`Variável esperada na posição ${this.current().pos}`);
+        return v;
+    }
+
+    current() {
+        return this.tokens[this.index];
+    }
+
+    peek(type) {
+        if (this.expectedIndex !== this.index) {
+            this.expected = new Set();
+            this.expectedIndex = this.index;
+        }
+        this.expected.add(type);
+        return this.current().type === type;
+    }
+
+    next() {
+        const token = this.current();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    accept(type) {
+        if (!this.peek(type)) return false;
+        this.next();
+        return true;
+    }
+
+    expect(type) {
+        if (!this.accept(type)) {
+            const token = this.current();
+            throw this.error(`Esperado '${TOKEN_NAMES[type]}' na posição ${token.pos}, encontrado '${token.text || 'fim da entrada'}'`);
+        }
+    }
+}
+
+// Como escrever cada tipo de token no dialeto dado (para listar o que era esperado)
+export function tokenSpelling(type, dialect) {
+    if (type === 'ident') return 'identificador';
+    if (type === 'eof') return 'fim da entrada';
+    const spec = DIALECTS[dialect];
+    for (const lexicon of [spec.symbols, spec.commands, spec.keywords, PUNCTUATION]) {
+        const lexeme = lexicon && Object.keys(lexicon).find(l => lexicon[l] === type);
+        if (lexeme) return lexeme;
+    }
+    return TOKEN_NAMES[type];
+}
+
+// Descrição dos tipos de token nas mensagens de erro
+export const TOKEN_NAMES = {
+    lparen: '(', rparen: ')', comma: ',', dot: '.', colon: ':', lbracket: '[', rbracket: ']', lbrace: '\\{', rbrace: '\\}',
+    forall: 'quantificador universal', exists: 'quantificador existencial', not: 'negação',
+    and: 'conjunção', or: 'disjunção', imp: 'implicação', iff: 'bicondicional',
+    xor: 'ou exclusivo', nand: 'NAND', nor: 'NOR', true: 'verdadeiro', false: 'falso', eq: '=', neq: 'desigualdade',
+    lt: '<', gt: '>', leq: '≤', geq: '≥', in: 'pertinência',
+    bigand: 'conjunção generalizada', bigor: 'disjunção generalizada',
+    ident: 'identificador', eof: 'fim da entrada'
+};
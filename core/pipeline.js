@@ -0,0 +1,164 @@
+// Pipeline configurável: o usuário escolhe quais etapas de reescrita rodar e em que ordem.
+// Antes de cada etapa, as pré-condições dela são conferidas na fórmula corrente (e não na lista de
+// etapas anteriores), de modo que uma fórmula que já está em FNN pode ir direto para a FNC.
+import { PROPERTY_DESCRIPTIONS } from './analysis-rules.js';
+import { getMatrix } from './clauses.js';
+import { record, stagedStep } from './derivation.js';
+import { Formula } from './formula.js';
+import { simplifyNormalForm } from './simplify.js';
+import { FormulaTransformer } from './transformer.js';
+
+export class PipelineError extends Error {
+    constructor(message, stage = null, unmet = [], steps = []) {
+        super(message);
+        this.name = 'PipelineError';
+        this.stage = stage;
+        this.unmet = unmet; // propriedades exigidas que a fórmula não tem
+        this.steps = steps; // passos já executados antes da falha
+    }
+}
+
+const some = (f, test) => test(f) || [f.left, f.right].some(g => g instanceof Formula && some(g, test));
+const flatten = (f, type) => f.type === type ? [...flatten(f.left, type), ...flatten(f.right, type)] : [f];
+// Conectivos que a etapa "eliminate" reescreve com ¬, ∧ e ∨
+const DERIVED = ['imp', 'iff', 'xor', 'nand', 'nor'];
+const isLiteral = f => ['atom', 'true', 'false'].includes(f.type) || (f.type === 'neg' && f.left.type === 'atom');
+
+function matrixOf(f) {
+    while (f.isQuantifier()) f = f.left;
+    return f;
+}
+
+// Forma prenex cuja matriz é uma combinação `outer` de grupos `inner` de literais
+const normalForm = (outer, inner) => f => {
+    const matrix = matrixOf(f);
+    return !some(matrix, g => g.isQuantifier()) && flatten(matrix, outer).every(g => flatten(g, inner).every(isLiteral));
+};
+
+function standardized(f) {
+    const bound = [];
+    some(f, g => { if (g.isQuantifier()) bound.push(g.content); return false; });
+    const free = f.freeVariables();
+    return new Set(bound).size === bound.length && bound.every(v => !free.has(v));
+}
+
+// Propriedades que as etapas exigem; `description` completa a frase "exige uma fórmula ..." (em
+// inglês, ver PROPERTY_DESCRIPTIONS) e `establishedBy` é a etapa que costuma garanti-la
+export const FORMULA_PROPERTIES = {
+    'closed': { description: PROPERTY_DESCRIPTIONS.pt['closed'], establishedBy: 'free-variables', test: f => f.freeVariables().size === 0 },
+    'implication-free': { description: PROPERTY_DESCRIPTIONS.pt['implication-free'], establishedBy: 'eliminate', test: f => !some(f, g => DERIVED.includes(g.type)) },
+    'nnf': { description: PROPERTY_DESCRIPTIONS.pt['nnf'], establishedBy: 'nnf', test: f => !some(f, g => DERIVED.includes(g.type) || (g.type === 'neg' && g.left.type !== 'atom')) },
+    'standardized': { description: PROPERTY_DESCRIPTIONS.pt['standardized'], establishedBy: 'standardize', test: standardized },
+    'prenex': { description: PROPERTY_DESCRIPTIONS.pt['prenex'], establishedBy: 'prenex', test: f => !some(matrixOf(f), g => g.isQuantifier()) },
+    'universal': { description: PROPERTY_DESCRIPTIONS.pt['universal'], establishedBy: 'skolem', test: f => !some(f, g => g.type === 'exists') },
+    'cnf': { description: PROPERTY_DESCRIPTIONS.pt['cnf'], establishedBy: 'cnf', test: normalForm('and', 'or') },
+    'dnf': { description: PROPERTY_DESCRIPTIONS.pt['dnf'], establishedBy: 'dnf', test: normalForm('or', 'and') }
+};
+
+/**
+ * Propriedades da lista que a fórmula não tem.
+ * @param {Formula} formula
+ * @param {string[]} properties chaves de `FORMULA_PROPERTIES`
+ * @returns {string[]}
+ */
+export function unmetPreconditions(formula, properties) {
+    return properties.filter(p => !FORMULA_PROPERTIES[p].test(formula));
+}
+
+// Etapas de reescrita disponíveis. `run` recebe o transformador, a fórmula corrente e o contexto
+// do pipeline e devolve `{ formula, records }`; `relation` pode depender do resultado.
+export const PIPELINE_STAGES = {
+    'free-variables': {
+        title: "Variáveis Livres", requires: [],
+        relation: result => result.warnings.length > 0 ? undefined : 'equivalent',
+        run: (t, f, context) => {
+            const closure = t.closeFreeVariables(f);
+            context.warnings.push(...closure.warnings);
+            return closure;
+        }
+    },
+    'eliminate': { title: "Eliminação de Implicações e Bicondicionais", requires: [], relation: 'equivalent', run: (t, f) => t.eliminateImplications(f) },
+    'nnf': { title: "Forma Negativa Normal", requires: ['implication-free'], relation: 'equivalent', run: (t, f) => t.pushNegations(f) },
+    'standardize': { title: "Padronização de Variáveis Ligadas (α-renomeação)", requires: [], relation: 'equivalent', run: (t, f) => t.standardizeVariables(f) },
+    'prenex': { title: "Movendo Quantificadores para Forma Prenex", requires: ['nnf'], relation: 'equivalent', run: (t, f) => t.toPrenexForm(f) },
+    'miniscope': { title: "Miniscopagem (Quantificadores para Dentro)", requires: ['nnf', 'standardized'], relation: 'equivalent', run: (t, f) => t.miniscope(f) },
+    'skolem': { title: "Skolemização", requires: ['nnf', 'closed'], relation: 'equisatisfiable', run: (t, f) => t.skolemize(f) },
+    'universal-prefix': { title: "Quantificadores Universais para a Frente", requires: ['nnf', 'universal'], relation: 'equivalent', run: (t, f) => t.toPrenexForm(f) },
+    'dnf': { title: "Conversão para Forma Normal Disjuntiva (FND)", requires: ['nnf'], relation: 'equivalent', run: (t, f) => t.toDNF(f) },
+    'dnf-simplify': { title: "Simplificação da FND", requires: ['dnf'], relation: 'equivalent', run: (t, f) => simplifyNormalForm(f, 'dnf') },
+    'cnf': { title: "Conversão para Forma Normal Conjuntiva (FNC)", requires: ['nnf'], relation: 'equivalent', run: (t, f) => t.toCNF(f) },
+    'tseitin': { title: "Conversão para Forma Normal Conjuntiva (FNC) por Definições de Tseitin", requires: ['nnf', 'prenex'], relation: 'equisatisfiable', run: (t, f) => t.toTseitinCNF(f) },
+    'cnf-simplify': { title: "Simplificação da FNC", requires: ['cnf'], relation: 'equivalent', run: (t, f) => simplifyNormalForm(f, 'cnf') },
+    'clausal': {
+        title: "Forma Clausal (quantificadores removidos)", requires: ['cnf', 'universal'], relation: 'equivalent',
+        run: (t, f, context) => {
+            const matrix = getMatrix(f);
+            const records = [record('clausal-matrix', { before: f, after: matrix })];
+            if (context.warnings.length > 0) records.push(record('clausal-warning'));
+            return { formula: matrix, records };
+        }
+    }
+};
+
+// Sequências prontas para a interface e a linha de comando
+export const PIPELINE_PRESETS = {
+    'nnf': ['eliminate', 'nnf'],
+    'prenex': ['free-variables', 'eliminate', 'nnf', 'standardize', 'prenex'],
+    'skolem-dnf': ['free-variables', 'eliminate', 'nnf', 'standardize', 'prenex', 'skolem', 'dnf', 'dnf-simplify'],
+    'nnf-cnf': ['eliminate', 'nnf', 'cnf'],
+    'clausal': ['free-variables', 'eliminate', 'nnf', 'standardize', 'prenex', 'skolem', 'cnf', 'cnf-simplify', 'clausal']
+};
+
+/**
+ * Confere a lista de etapas antes de executar: etapas conhecidas e sem repetição (a etapa identifica
+ * o passo na derivação exportada).
+ * @param {string[]} stages
+ * @throws {PipelineError}
+ */
+export function validatePipeline(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) throw new PipelineError('o pipeline precisa de pelo menos uma etapa');
+    const seen = new Set();
+    stages.forEach(id => {
+        if (!PIPELINE_STAGES[id]) throw new PipelineError(`etapa desconhecida "${id}"; as etapas são ${Object.keys(PIPELINE_STAGES).join(', ')}`, id);
+        if (seen.has(id)) throw new PipelineError(`a etapa "${id}" aparece mais de uma vez`, id);
+        seen.add(id);
+    });
+}
+
+/**
+ * Executa as etapas na ordem dada, conferindo as pré-condições de cada uma na fórmula corrente.
+ * Quantificadores limitados são relativizados antes da primeira etapa.
+ * @param {Formula} formula
+ * @param {string[]} stages chaves de `PIPELINE_STAGES`
+ * @param {object} [options] as mesmas de `FormulaTransformer` (`verify`, `prenexStrategy`, `freeVariables`...)
+ * @returns {{ formula: Formula, steps: object[] }}
+ * @throws {PipelineError} com os passos já executados, se uma pré-condição falhar
+ */
+export function runPipeline(formula, stages, options = {}) {
+    validatePipeline(stages);
+    const transformer = new FormulaTransformer(formula, options);
+    const context = { warnings: [] };
+    const steps = [stagedStep('original', { title: "Fórmula original", formula }, [])];
+    let current = formula;
+    // Nenhuma etapa conhece quantificadores limitados: a relativização vem antes, sempre que necessária
+    const relativized = transformer.relativizeQuantifiers(current);
+    if (relativized.records.length > 0) {
+        steps.push(stagedStep('relativize', { title: "Relativização dos Quantificadores Limitados", input: current, relation: 'equivalent', formula: relativized.formula }, relativized.records));
+        current = relativized.formula;
+    }
+    for (const id of stages) {
+        const stage = PIPELINE_STAGES[id];
+        const unmet = unmetPreconditions(current, stage.requires);
+        if (unmet.length > 0) {
+            const missing = unmet.map(p => FORMULA_PROPERTIES[p].description).join(' e ');
+            const hint = [...new Set(unmet.map(p => FORMULA_PROPERTIES[p].establishedBy))].map(s => `"${s}"`).join(', ');
+            throw new PipelineError(`a etapa "${id}" exige uma fórmula ${missing}; inclua antes ${hint}`, id, unmet, steps);
+        }
+        const result = stage.run(transformer, current, context);
+        const relation = typeof stage.relation === 'function' ? stage.relation(result) : stage.relation;
+        steps.push(stagedStep(id, { title: stage.title, input: current, relation, formula: result.formula }, result.records));
+        current = result.formula;
+    }
+    if (options.verify) transformer.verifySteps(steps);
+    return { formula: current, steps };
+}
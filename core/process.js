@@ -0,0 +1,159 @@
+import { compareFormulas } from './comparison.js';
+import { appendRecord, diffDerivations, exportDerivation, importDerivation, note, record, stagedStep } from './derivation.js';
+import { diagnosticData, escapeHtml, resolveDialect } from './diagnostics.js';
+import { exportClauses } from './export.js';
+import { Formula } from './formula.js';
+import { FormulaParser } from './parser.js';
+import { checkStepsInStructure } from './modelcheck.js';
+import { FORMULA_PROPERTIES, PIPELINE_STAGES, PipelineError, runPipeline, unmetPreconditions } from './pipeline.js';
+import { Structure } from './semantics.js';
+import { FormulaTransformer } from './transformer.js';
+import { substitutionToString, unify } from './unification.js';
+
+// Função principal de execução. Com `options.pipeline` (lista de etapas), roda só essas etapas de
+// reescrita, na ordem dada, em vez do pipeline completo com as análises.
+export function processFormula(input, options = {}) {
+    if (options.pipeline) return processPipeline(input, options);
+    try {
+        const parser = new FormulaParser(input, options);
+        const formula = parser.parse();
+        // Consulta SLD opcional, lida no mesmo dialeto; um erro nela não impede o resto
+        let query = null;
+        let queryError = null;
+        if (options.query && options.query.trim()) {
+            try {
+                query = new FormulaParser(options.query, options).parse();
+            } catch (e) {
+                queryError = e;
+            }
+        }
+        const transformer = new FormulaTransformer(formula, { ...options, query });
+        const steps = transformer.transform();
+        if (queryError) {
+            steps.push(errorStep('query-error', "Erro na Consulta SLD", options.query, queryError, options));
+        }
+        appendRecord(steps[0], dialectRecord(parser, options));
+        if (options.showParse) {
+            appendRecord(steps[0], record('full-parenthesization', { scope: parser.quantifierScope, formula: formula.toFullyParenthesizedString() }));
+        }
+        if (options.structure && options.structure.trim()) steps.push(structureStep(steps, options));
+        return { steps, exports: exportClauses(closedInput(steps, formula), transformer.clausalForm), derivation: exportDerivation(input, options, steps) };
+    } catch (e) {
+        return { steps: [errorStep('error', "Erro", input, e, options)], exports: null, derivation: null };
+    }
+}
+
+// Passo de erro, com o diagnóstico num registro para sair no idioma pedido
+function errorStep(stage, title, input, error, options) {
+    const dialect = input === null ? null : resolveDialect(input, options);
+    return stagedStep(stage, { title, formula: new Formula('atom', "") }, [record('diagnostic', diagnosticData(input, error, dialect))]);
+}
+
+// Avaliação de cada forma na estrutura dada, ou o erro de leitura dela
+function structureStep(steps, options) {
+    try {
+        return checkStepsInStructure(steps, Structure.fromJSON(options.structure));
+    } catch (e) {
+        return errorStep('structure-error', "Erro na Estrutura", null, e, options);
+    }
+}
+
+// Registro do motivo de um pipeline interrompido
+function pipelineErrorRecord(e) {
+    if (e.unmet.length > 0) {
+        const establishedBy = [...new Set(e.unmet.map(p => FORMULA_PROPERTIES[p].establishedBy))];
+        return record('pipeline-unmet', { stage: e.stage, unmet: e.unmet, establishedBy });
+    }
+    const reason = e.stage === null ? 'empty' : PIPELINE_STAGES[e.stage] ? 'repeated' : 'unknown';
+    return record('pipeline-invalid', { reason, stage: e.stage === null ? null : String(e.stage), stages: Object.keys(PIPELINE_STAGES) });
+}
+
+// Fórmula que as exportações declaram: a saída da etapa de variáveis livres, fechada conforme a
+// política escolhida, para que o fof do TPTP diga o mesmo que as cláusulas
+function closedInput(steps, formula) {
+    return steps.find(step => step.stage === 'free-variables')?.formula ?? formula;
+}
+
+// Dialeto usado na leitura, e se veio da detecção automática
+function dialectRecord(parser, options) {
+    return record('dialect', { dialect: parser.dialect, detected: !options.dialect || options.dialect === 'auto' });
+}
+
+function processPipeline(input, options) {
+    let parser;
+    let formula;
+    try {
+        parser = new FormulaParser(input, options);
+        formula = parser.parse();
+    } catch (e) {
+        return { steps: [errorStep('error', "Erro", input, e, options)], exports: null, derivation: null };
+    }
+    let steps;
+    let result = null;
+    try {
+        result = runPipeline(formula, options.pipeline, options);
+        steps = result.steps;
+    } catch (e) {
+        if (!(e instanceof PipelineError)) throw e;
+        steps = e.steps.length > 0 ? e.steps : [stagedStep('original', { title: "Fórmula original", formula }, [])];
+        steps.push(stagedStep('pipeline-error', { title: "Pipeline Interrompido", formula: steps[steps.length - 1].formula, failed: true }, [pipelineErrorRecord(e)]));
+    }
+    appendRecord(steps[0], dialectRecord(parser, options));
+    appendRecord(steps[0], note(`Pipeline: ${options.pipeline.map(id => `<code>${escapeHtml(String(id))}</code>`).join(' → ')}`));
+    if (options.structure && options.structure.trim()) steps.push(structureStep(steps, options));
+    // As exportações só fazem sentido quando o pipeline termina numa forma clausal
+    const clausal = result && unmetPreconditions(result.formula, ['cnf', 'universal']).length === 0;
+    return { steps, exports: clausal ? exportClauses(closedInput(steps, formula), result.formula) : null, derivation: exportDerivation(input, options, steps) };
+}
+
+/**
+ * Reimporta uma derivação exportada e a reexecuta com a mesma entrada e as mesmas opções.
+ * @param {object|string} data derivação exportada (objeto ou texto JSON)
+ * @returns {{ imported: object, replayed: object, differences: object[] }}
+ * @throws {DerivationError} se a derivação não puder ser lida
+ */
+export function replayDerivation(data) {
+    const imported = importDerivation(data);
+    const replayed = processFormula(imported.input, imported.options);
+    const differences = replayed.derivation
+        ? diffDerivations(imported, replayed.derivation)
+        : [{ stage: 'original', title: imported.steps[0]?.title ?? 'Erro', kind: 'error' }];
+    return { imported, replayed, differences };
+}
+
+// Unificação de dois termos ou átomos, com o traço das regras aplicadas
+export function processUnification(leftInput, rightInput, options = {}) {
+    const terms = [];
+    for (const [stage, title, input] of [['first-term-error', "Erro no primeiro termo", leftInput], ['second-term-error', "Erro no segundo termo", rightInput]]) {
+        try {
+            terms.push(new FormulaParser(input, options).parseTermInput());
+        } catch (e) {
+            return [errorStep(stage, title, input, e, options)];
+        }
+    }
+    const [left, right] = terms;
+    try {
+        const records = [record('unify-problem', { equations: [`${left.toString()} \\doteq ${right.toString()}`] })];
+        const mgu = unify([[left, right]], records);
+        records.push(mgu
+            ? record('unify-result', { mgu: substitutionToString(mgu), instance: left.apply(mgu).toString() })
+            : record('unify-failure'));
+        const result = mgu ? new Formula('atom', substitutionToString(mgu)) : new Formula('false');
+        return [stagedStep('unification', { title: "Unificação (Martelli–Montanari)", formula: result }, records)];
+    } catch (e) {
+        return [errorStep('error', "Erro", null, e, options)];
+    }
+}
+
+// Equivalência ou consequência lógica entre duas fórmulas
+export function processComparison(leftInput, rightInput, mode = 'equivalence', options = {}) {
+    const formulas = [];
+    for (const [label, input] of [['A', leftInput], ['B', rightInput]]) {
+        try {
+            formulas.push(new FormulaParser(input, options).parse());
+        } catch (e) {
+            return [errorStep(`formula-${label.toLowerCase()}-error`, `Erro na fórmula ${label}`, input, e, options)];
+        }
+    }
+    return compareFormulas(formulas[0], formulas[1], mode, options);
+}
@@ -0,0 +1,162 @@
+import { Clause, extractClauses, getMatrix } from './clauses.js';
+import { describeRecord, record } from './derivation.js';
+import { Formula } from './formula.js';
+
+// Lógica proposicional: tabelas-verdade e satisfatibilidade
+
+export const TRUTH_TABLE_MAX_ATOMS = 6;
+
+// Avalia uma fórmula sem quantificadores dada uma valoração (Map: átomo -> booleano)
+export function evaluatePropositional(f, valuation) {
+    switch(f.type) {
+        case 'atom': return valuation.get(f.content);
+        case 'true': return true;
+        case 'false': return false;
+        case 'neg': return !evaluatePropositional(f.left, valuation);
+        case 'and': return evaluatePropositional(f.left, valuation) && evaluatePropositional(f.right, valuation);
+        case 'or': return evaluatePropositional(f.left, valuation) || evaluatePropositional(f.right, valuation);
+        case 'imp': return !evaluatePropositional(f.left, valuation) || evaluatePropositional(f.right, valuation);
+        case 'iff': return evaluatePropositional(f.left, valuation) === evaluatePropositional(f.right, valuation);
+        case 'xor': return evaluatePropositional(f.left, valuation) !== evaluatePropositional(f.right, valuation);
+        case 'nand': return !(evaluatePropositional(f.left, valuation) && evaluatePropositional(f.right, valuation));
+        case 'nor': return !(evaluatePropositional(f.left, valuation) || evaluatePropositional(f.right, valuation));
+        default: throw new Error(`Conectivo não proposicional: ${f.type}`);
+    }
+}
+
+// Subfórmulas compostas em pós-ordem, sem repetições (colunas da tabela-verdade)
+function compoundSubformulas(f, acc = new Map()) {
+    if (f.left) compoundSubformulas(f.left, acc);
+    if (f.right) compoundSubformulas(f.right, acc);
+    if (f.type !== 'atom' && !acc.has(f.toString())) acc.set(f.toString(), f);
+    return [...acc.values()];
+}
+
+// Todas as valorações dos átomos, na ordem usual (V antes de F)
+function* valuations(atoms) {
+    const total = 2 ** atoms.length;
+    for (let row = 0; row < total; row++) {
+        yield new Map(atoms.map((a, i) => [a, !((row >> (atoms.length - 1 - i)) & 1)]));
+    }
+}
+
+function truthValue(b) {
+    return b ? 'V' : 'F';
+}
+
+export function valuationToString(valuation) {
+    return [...valuation].map(([a, v]) => `${a} = ${truthValue(v)}`).join(', ');
+}
+
+export function truthTable(formula) {
+    const atoms = [...formula.predicateSymbols()].sort();
+    const columns = compoundSubformulas(formula);
+    const headers = [...atoms, ...columns.map(c => c.toString())];
+    const rows = [];
+    let trueRows = 0;
+    for (const valuation of valuations(atoms)) {
+        rows.push([...atoms.map(a => valuation.get(a)), ...columns.map(c => evaluatePropositional(c, valuation))]);
+        if (evaluatePropositional(formula, valuation)) trueRows++;
+    }
+    const records = [
+        record('truth-table', { headers, rows }),
+        record('truth-table-classification', { trueRows, total: rows.length })
+    ];
+    return { records, steps: records.map(r => describeRecord(r)) };
+}
+
+// DPLL: propagação unitária, eliminação de literais puros e ramificação.
+// Cláusulas são listas de literais { name, positive }.
+export function dpll(clauses) {
+    const stats = { decisions: 0, propagations: 0 };
+
+    // Atribui um valor e simplifica; devolve null se surgir a cláusula vazia
+    const assign = (current, name, value) => {
+        const result = [];
+        for (const clause of current) {
+            if (clause.some(l => l.name === name && l.positive === value)) continue;
+            const reduced = clause.filter(l => l.name !== name);
+            if (reduced.length === 0) return null;
+            result.push(reduced);
+        }
+        return result;
+    };
+
+    const solve = (current, assignment) => {
+        // Propagação unitária
+        let unit;
+        while ((unit = current.find(c => c.length === 1))) {
+            stats.propagations++;
+            assignment.set(unit[0].name, unit[0].positive);
+            current = assign(current, unit[0].name, unit[0].positive);
+            if (current === null) return null;
+        }
+
+        // Literais puros
+        const polarity = new Map();
+        current.forEach(c => c.forEach(l => {
+            const seen = polarity.get(l.name);
+            polarity.set(l.name, seen === undefined || seen === l.positive ? l.positive : null);
+        }));
+        polarity.forEach((positive, name) => {
+            if (positive === null || current === null) return;
+            assignment.set(name, positive);
+            current = assign(current, name, positive);
+        });
+
+        if (current.length === 0) return assignment;
+
+        // Ramificação no primeiro literal da menor cláusula
+        const branch = current.reduce((a, b) => b.length < a.length ? b : a)[0];
+        stats.decisions++;
+        for (const value of [branch.positive, !branch.positive]) {
+            const next = assign(current, branch.name, value);
+            if (next === null) continue;
+            const model = solve(next, new Map([...assignment, [branch.name, value]]));
+            if (model) return model;
+        }
+        return null;
+    };
+
+    // A cláusula vazia (⊥) já torna o conjunto insatisfatível
+    if (clauses.some(c => c.length === 0)) return { assignment: null, stats };
+    const unique = clauses.filter(c => !c.some(l => c.some(m => m.name === l.name && m.positive !== l.positive)));
+    return { assignment: solve(unique, new Map()), stats };
+}
+
+// Cláusulas proposicionais a partir de uma fórmula já em FNC
+function propositionalClauses(cnf) {
+    return extractClauses(getMatrix(cnf)).map(c => Clause.fromFormula(c).literals.map(l => ({ name: l.atom.content, positive: l.positive })));
+}
+
+// Satisfatibilidade por DPLL sobre a FNC produzida pelo pipeline
+export function satisfiabilityCheck(original, cnf, transformer) {
+    const atoms = [...original.predicateSymbols()].sort();
+    const clauses = propositionalClauses(cnf);
+    const { assignment, stats } = dpll(clauses);
+    const records = [record('dpll-stats', { clauses: clauses.length, decisions: stats.decisions, propagations: stats.propagations })];
+
+    if (assignment) {
+        // Átomos ausentes (ou só em definições de Tseitin) não influenciam: fixamos em V
+        const model = atoms.map(a => [a, assignment.has(a) ? assignment.get(a) : true]);
+        records.push(record('dpll-sat', { valuation: model }));
+    } else {
+        records.push(record('dpll-unsat'));
+    }
+
+    // Validade: a negação é insatisfatível? Usamos a FNC de Tseitin para não explodir
+    if (atoms.length > TRUTH_TABLE_MAX_ATOMS && assignment) {
+        const negated = new Formula('neg', null, original);
+        const nnf = transformer.pushNegations(transformer.eliminateImplications(negated).formula).formula;
+        const counter = dpll(propositionalClauses(transformer.toTseitinCNF(nnf).formula));
+        if (counter.assignment) {
+            const falsifying = atoms.map(a => [a, counter.assignment.has(a) ? counter.assignment.get(a) : true]);
+            records.push(record('dpll-contingent', { valuation: falsifying }));
+        } else {
+            records.push(record('dpll-tautology'));
+        }
+    } else if (atoms.length > TRUTH_TABLE_MAX_ATOMS) {
+        records.push(record('dpll-contradiction'));
+    }
+    return { records, steps: records.map(r => describeRecord(r)) };
+}
@@ -0,0 +1,181 @@
+import { Clause, equalityAxioms, extractClauses, getMatrix } from './clauses.js';
+import { describeRecord, record } from './derivation.js';
+import { Formula } from './formula.js';
+import { substitutionToString, unifyAtoms } from './unification.js';
+
+// Verifica se C subsume D: existe θ tal que Cθ ⊆ D
+export function subsumes(c, d) {
+    if (c.literals.length > d.literals.length) return false;
+    const match = (i, subst) => {
+        if (i === c.literals.length) return true;
+        const lit = c.literals[i];
+        return d.literals.some(other => {
+            if (other.positive !== lit.positive) return false;
+            const theta = matchAtom(lit.atom, other.atom, subst);
+            return theta !== null && match(i + 1, theta);
+        });
+    };
+    return match(0, new Map());
+}
+
+// Casamento unidirecional: só as variáveis do padrão são instanciadas
+function matchAtom(pattern, target, subst) {
+    if (pattern.content !== target.content || pattern.args.length !== target.args.length) return null;
+    const result = new Map(subst);
+    const matchTerm = (p, t) => {
+        if (p.type === 'var') {
+            if (result.has(p.name)) return result.get(p.name).equals(t);
+            result.set(p.name, t);
+            return true;
+        }
+        return p.type === t.type && p.name === t.name && p.args.length === t.args.length &&
+            p.args.every((a, i) => matchTerm(a, t.args[i]));
+    };
+    return pattern.args.every((a, i) => matchTerm(a, target.args[i])) ? result : null;
+}
+
+// Provador por resolução com o laço da "cláusula dada"
+export class ResolutionProver {
+    constructor(clauses, options = {}) {
+        this.input = clauses;
+        this.strategy = options.strategy || 'saturation'; // 'saturation', 'set-of-support', 'unit-preference'
+        this.maxSteps = options.maxSteps || 500;
+        this.all = [];
+        this.steps = 0;
+    }
+
+    register(clause) {
+        clause.id = this.all.length + 1;
+        this.all.push(clause);
+        return clause;
+    }
+
+    // Escolhe a próxima cláusula a processar conforme a estratégia
+    selectGiven(queue) {
+        let index = 0;
+        if (this.strategy === 'unit-preference') {
+            queue.forEach((c, i) => {
+                if (c.literals.length < queue[index].literals.length) index = i;
+            });
+        }
+        return queue.splice(index, 1)[0];
+    }
+
+    prove() {
+        const active = [];
+        const queue = [];
+        this.input.forEach(c => this.register(c));
+
+        if (this.strategy === 'set-of-support') {
+            // Conjunto de suporte: cláusulas só com literais negativos. O restante é
+            // satisfeito pela interpretação "tudo verdadeiro", o que mantém a completude.
+            this.input.forEach(c => {
+                const support = c.literals.every(l => !l.positive);
+                if (support) queue.push(c);
+                else if (!c.isTautology()) active.push(c);
+            });
+        } else {
+            queue.push(...this.input);
+        }
+
+        const empty = this.input.find(c => c.isEmpty());
+        if (empty) return this.finish('refuted', empty);
+
+        while (queue.length > 0) {
+            const given = this.selectGiven(queue);
+            if (given.isTautology() || active.some(c => subsumes(c, given))) continue;
+            active.push(given);
+
+            const derived = [...this.factors(given)];
+            active.forEach(other => derived.push(...this.resolvents(given, other)));
+
+            for (const clause of derived) {
+                if (this.steps >= this.maxSteps) return this.finish('gave-up');
+                this.steps++;
+                this.register(clause);
+                if (clause.isEmpty()) return this.finish('refuted', clause);
+                queue.push(clause);
+            }
+        }
+        return this.finish('saturated');
+    }
+
+    factors(clause) {
+        const result = [];
+        const lits = clause.literals;
+        for (let i = 0; i < lits.length; i++) {
+            for (let j = i + 1; j < lits.length; j++) {
+                if (lits[i].positive !== lits[j].positive) continue;
+                const subst = unifyAtoms(lits[i].atom, lits[j].atom);
+                if (subst) result.push(new Clause(clause.apply(subst), 'fatoração', [clause], subst));
+            }
+        }
+        return result;
+    }
+
+    resolvents(c, d) {
+        const result = [];
+        const renamed = d.renamedApart(c.variables());
+        c.literals.forEach((l1, i) => {
+            renamed.literals.forEach((l2, j) => {
+                if (l1.positive === l2.positive) return;
+                const subst = unifyAtoms(l1.atom, l2.atom);
+                if (!subst) return;
+                const literals = [
+                    ...c.literals.filter((_, k) => k !== i),
+                    ...renamed.literals.filter((_, k) => k !== j)
+                ].map(l => l.apply(subst));
+                result.push(new Clause(literals, 'resolução', [c, d], subst));
+            });
+        });
+        return result;
+    }
+
+    finish(status, empty = null) {
+        return { status, steps: this.steps, clauses: this.all, proof: empty ? this.extractProof(empty) : [] };
+    }
+
+    // Reúne apenas as cláusulas usadas para derivar a cláusula vazia, em ordem de criação
+    extractProof(empty) {
+        const used = new Set();
+        const visit = (c) => {
+            if (used.has(c)) return;
+            used.add(c);
+            c.parents.forEach(visit);
+        };
+        visit(empty);
+        return [...used].sort((a, b) => a.id - b.id);
+    }
+}
+
+// Origem de cada cláusula da prova, pelo nome da regra que a gerou
+const CLAUSE_ORIGINS = { 'entrada': 'input', 'igualdade': 'equality', 'fatoração': 'factor' };
+
+// Executa a resolução sobre a forma clausal e descreve a refutação passo a passo. A fórmula
+// devolvida é ⊥ (a cláusula vazia) quando há refutação, e a matriz de entrada caso contrário.
+export function resolutionRefutation(formula, options = {}) {
+    const clauses = extractClauses(getMatrix(formula)).map(c => Clause.fromFormula(c));
+    const axioms = equalityAxioms(clauses);
+    const prover = new ResolutionProver([...clauses, ...axioms], options);
+    const outcome = prover.prove();
+    const records = [record('resolution-strategy', { strategy: prover.strategy, maxSteps: prover.maxSteps })];
+    if (axioms.length > 0) {
+        records.push(record('resolution-equality', { axioms: axioms.length }));
+        if (prover.strategy === 'saturation') records.push(record('resolution-equality-hint'));
+    }
+
+    if (outcome.status === 'refuted') {
+        const number = new Map(outcome.proof.map((c, i) => [c, i + 1]));
+        outcome.proof.forEach(c => records.push(record('resolution-clause', {
+            number: number.get(c),
+            clause: c.toString(),
+            origin: CLAUSE_ORIGINS[c.rule] || 'resolvent',
+            parents: c.parents.map(p => number.get(p)),
+            substitution: c.substitution && c.substitution.size > 0 ? substitutionToString(c.substitution) : ''
+        })));
+    }
+    records.push(record(`resolution-${outcome.status}`, { steps: outcome.steps }));
+
+    const result = outcome.status === 'refuted' ? new Formula('false') : getMatrix(formula);
+    return { formula: result, records, steps: records.map(r => describeRecord(r)), outcome };
+}
@@ -0,0 +1,264 @@
+// Semântica de primeira ordem em estruturas finitas
+
+// Chave de uma tupla de elementos do domínio
+function tupleKey(values) {
+    return JSON.stringify(values);
+}
+
+// Erro na descrição de uma estrutura dada pelo usuário
+export class StructureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StructureError';
+    }
+}
+
+// Estrutura finita: domínio e interpretação das constantes, funções e predicados
+export class Structure {
+    constructor(domain, constants = new Map(), functions = new Map(), predicates = new Map()) {
+        this.domain = domain;
+        this.constants = constants;   // nome -> elemento
+        this.functions = functions;   // nome -> Map(tupla -> elemento)
+        this.predicates = predicates; // nome -> Set(tupla)
+        this.arities = new Map();     // aridade de cada predicado
+        this.assignment = new Map();  // valores das variáveis livres
+    }
+
+    /**
+     * Lê uma estrutura descrita em JSON:
+     * `{ "dominio": [0, 1], "constantes": { "a": 0 }, "funcoes": { "f": [[0, 1], [1, 0]] },
+     *    "predicados": { "P": [[0]], "R": [[0, 1]], "Q": true }, "variaveis": { "x": 1 } }`.
+     * Cada linha de uma função lista os argumentos e, por último, o valor; um predicado lista as
+     * tuplas verdadeiras (ou é true/false, se for proposicional). `variaveis` vira `assignment`.
+     * @param {string|object} data
+     * @returns {Structure}
+     * @throws {StructureError}
+     */
+    static fromJSON(data) {
+        let spec = data;
+        if (typeof data === 'string') {
+            try {
+                spec = JSON.parse(data);
+            } catch (e) {
+                throw new StructureError(`JSON inválido: ${e.message}`);
+            }
+        }
+        if (!spec || !Array.isArray(spec.dominio) || spec.dominio.length === 0) {
+            throw new StructureError('"dominio" deve ser uma lista não vazia de elementos');
+        }
+        const domain = spec.dominio;
+        const show = v => JSON.stringify(v);
+        const check = (v, where) => {
+            if (!domain.includes(v)) throw new StructureError(`${where}: ${show(v)} não pertence ao domínio`);
+            return v;
+        };
+
+        const structure = new Structure(domain);
+        Object.entries(spec.constantes || {}).forEach(([c, v]) => structure.constants.set(c, check(v, `constante ${c}`)));
+
+        Object.entries(spec.funcoes || {}).forEach(([f, rows]) => {
+            if (!Array.isArray(rows) || rows.some(r => !Array.isArray(r) || r.length < 2)) {
+                throw new StructureError(`função ${f}: cada linha deve ser [argumentos..., valor]`);
+            }
+            const arity = rows[0].length - 1;
+            const table = new Map();
+            rows.forEach(row => {
+                if (row.length - 1 !== arity) throw new StructureError(`função ${f}: linhas com aridades diferentes`);
+                row.forEach(v => check(v, `função ${f}`));
+                table.set(tupleKey(row.slice(0, -1)), row[row.length - 1]);
+            });
+            const missing = tuples(domain, arity).find(t => !table.has(tupleKey(t)));
+            if (missing) throw new StructureError(`função ${f}: falta o valor em (${missing.map(show).join(', ')})`);
+            structure.functions.set(f, table);
+        });
+
+        Object.entries(spec.predicados || {}).forEach(([p, rows]) => {
+            if (typeof rows === 'boolean') {
+                structure.predicates.set(p, new Set(rows ? [tupleKey([])] : []));
+                structure.arities.set(p, 0);
+                return;
+            }
+            if (!Array.isArray(rows)) throw new StructureError(`predicado ${p}: esperava uma lista de tuplas ou true/false`);
+            const rowsAsTuples = rows.map(r => Array.isArray(r) ? r : [r]);
+            const arity = rowsAsTuples.length > 0 ? rowsAsTuples[0].length : 1;
+            if (rowsAsTuples.some(r => r.length !== arity)) throw new StructureError(`predicado ${p}: tuplas com aridades diferentes`);
+            rowsAsTuples.forEach(r => r.forEach(v => check(v, `predicado ${p}`)));
+            structure.predicates.set(p, new Set(rowsAsTuples.map(tupleKey)));
+            structure.arities.set(p, arity);
+        });
+
+        structure.assignment = new Map(Object.entries(spec.variaveis || {}).map(([x, v]) => [x, check(v, `variável ${x}`)]));
+        return structure;
+    }
+
+    term(t, env) {
+        switch(t.type) {
+            case 'var':
+                if (!env.has(t.name)) throw new Error(`Variável ${t.name} sem valor atribuído`);
+                return env.get(t.name);
+            case 'const':
+                if (!this.constants.has(t.name)) throw new Error(`Constante ${t.name} não interpretada`);
+                return this.constants.get(t.name);
+            default: {
+                const table = this.functions.get(t.name);
+                if (!table) throw new Error(`Função ${t.name} não interpretada`);
+                return table.get(tupleKey(t.args.map(a => this.term(a, env))));
+            }
+        }
+    }
+
+    holds(atom, env) {
+        // A igualdade é sempre a identidade no domínio, nunca interpretada pela estrutura
+        if (atom.isEquality()) return tupleKey([this.term(atom.args[0], env)]) === tupleKey([this.term(atom.args[1], env)]);
+        const extension = this.predicates.get(atom.content);
+        if (!extension) throw new Error(`Predicado ${atom.content} não interpretado`);
+        return extension.has(tupleKey(atom.args.map(a => this.term(a, env))));
+    }
+
+    // Descrição legível, no formato dos passos
+    describe(language = 'pt') {
+        const show = v => typeof v === 'string' ? v : JSON.stringify(v);
+        const parts = [`${language === 'en' ? 'domain' : 'domínio'} $\\{${this.domain.map(show).join(', ')}\\}$`];
+        this.constants.forEach((v, c) => parts.push(`$${c} = ${show(v)}$`));
+        this.functions.forEach((table, f) => {
+            const entries = [...table].map(([k, v]) => `${JSON.parse(k).map(show).join(',')} \\mapsto ${show(v)}`);
+            parts.push(`$${f} = \\{${entries.join(',\\ ')}\\}$`);
+        });
+        this.predicates.forEach((extension, p) => {
+            if (this.arities.get(p) === 0) {
+                parts.push(`$${p} = ${extension.size > 0 ? (language === 'en' ? 'T' : 'V') : 'F'}$`);
+                return;
+            }
+            const tuples = [...extension].map(k => `(${JSON.parse(k).map(show).join(',')})`);
+            parts.push(`$${p} = \\{${tuples.join(', ')}\\}$`);
+        });
+        return parts.join('; ');
+    }
+
+    // Descrição no formato aceito por `fromJSON`
+    toJSON() {
+        const spec = { dominio: this.domain };
+        if (this.constants.size > 0) spec.constantes = Object.fromEntries(this.constants);
+        if (this.functions.size > 0) {
+            spec.funcoes = Object.fromEntries([...this.functions].map(([f, table]) => [f, [...table].map(([k, v]) => [...JSON.parse(k), v])]));
+        }
+        if (this.predicates.size > 0) {
+            spec.predicados = Object.fromEntries([...this.predicates].map(([p, extension]) => [p, this.arities.get(p) === 0
+                ? extension.size > 0
+                : [...extension].map(k => JSON.parse(k))]));
+        }
+        if (this.assignment.size > 0) spec.variaveis = Object.fromEntries(this.assignment);
+        return spec;
+    }
+}
+
+// Valor de verdade de uma fórmula numa estrutura, dada uma atribuição às variáveis livres
+export function evaluate(f, structure, env = new Map()) {
+    switch(f.type) {
+        case 'atom': return structure.holds(f, env);
+        case 'true': return true;
+        case 'false': return false;
+        case 'neg': return !evaluate(f.left, structure, env);
+        case 'and': return evaluate(f.left, structure, env) && evaluate(f.right, structure, env);
+        case 'or': return evaluate(f.left, structure, env) || evaluate(f.right, structure, env);
+        case 'imp': return !evaluate(f.left, structure, env) || evaluate(f.right, structure, env);
+        case 'iff': return evaluate(f.left, structure, env) === evaluate(f.right, structure, env);
+        case 'xor': return evaluate(f.left, structure, env) !== evaluate(f.right, structure, env);
+        case 'nand': return !(evaluate(f.left, structure, env) && evaluate(f.right, structure, env));
+        case 'nor': return !(evaluate(f.left, structure, env) || evaluate(f.right, structure, env));
+        case 'forall':
+            return structure.domain.every(d => evaluate(f.restrictedBody(), structure, new Map([...env, [f.content, d]])));
+        case 'exists':
+            return structure.domain.some(d => evaluate(f.restrictedBody(), structure, new Map([...env, [f.content, d]])));
+        default: throw new Error(`Conectivo sem semântica definida: ${f.type}`);
+    }
+}
+
+// Símbolos (com aridade) usados por um conjunto de fórmulas
+export function signature(formulas) {
+    const sig = { predicates: new Map(), functions: new Map(), constants: new Set() };
+    const visitTerm = (t) => {
+        if (t.type === 'const') sig.constants.add(t.name);
+        if (t.type === 'func') sig.functions.set(t.name, t.args.length);
+        t.args.forEach(visitTerm);
+    };
+    const visit = (f) => {
+        if (f.type === 'atom') {
+            if (!f.isEquality()) sig.predicates.set(f.content, f.args.length);
+            f.args.forEach(visitTerm);
+        }
+        if (f.left) visit(f.left);
+        if (f.right) visit(f.right);
+    };
+    formulas.forEach(visit);
+    return sig;
+}
+
+// Todas as tuplas de comprimento k sobre o domínio
+function tuples(domain, k) {
+    let result = [[]];
+    for (let i = 0; i < k; i++) result = result.flatMap(t => domain.map(d => [...t, d]));
+    return result;
+}
+
+// Quantidade de estruturas com o domínio dado para a assinatura (pode ser Infinity)
+export function countStructures(sig, size) {
+    let count = size ** sig.constants.size;
+    sig.functions.forEach(k => { count *= size ** (size ** k); });
+    sig.predicates.forEach(k => { count *= 2 ** (size ** k); });
+    return count;
+}
+
+// Gera todas as estruturas com domínio {0, ..., size-1} para a assinatura. Com fixed, estende
+// essa estrutura (e o seu domínio) interpretando apenas os símbolos que ela ainda não interpreta.
+export function* enumerateStructures(sig, size, fixed = null) {
+    const domain = fixed ? fixed.domain : Array.from({ length: size }, (_, i) => i);
+    size = domain.length;
+    const choices = [];
+    sig.constants.forEach(c => {
+        if (!fixed || !fixed.constants.has(c)) choices.push({ kind: 'const', name: c, radix: size });
+    });
+    sig.functions.forEach((k, f) => {
+        if (fixed && fixed.functions.has(f)) return;
+        const ts = tuples(domain, k);
+        choices.push({ kind: 'func', name: f, tuples: ts, radix: size ** ts.length });
+    });
+    sig.predicates.forEach((k, p) => {
+        if (fixed && fixed.predicates.has(p)) return;
+        const ts = tuples(domain, k);
+        choices.push({ kind: 'pred', name: p, tuples: ts, radix: 2 ** ts.length });
+    });
+
+    const digits = choices.map(() => 0);
+    while (true) {
+        const structure = fixed
+            ? new Structure(fixed.domain, new Map(fixed.constants), new Map(fixed.functions), new Map(fixed.predicates))
+            : new Structure(domain);
+        structure.arities = new Map([...(fixed ? fixed.arities : []), ...sig.predicates]);
+        choices.forEach((choice, i) => {
+            const value = digits[i];
+            if (choice.kind === 'const') {
+                structure.constants.set(choice.name, domain[value]);
+            } else if (choice.kind === 'func') {
+                const table = new Map();
+                choice.tuples.forEach((t, j) => table.set(tupleKey(t), domain[Math.floor(value / size ** j) % size]));
+                structure.functions.set(choice.name, table);
+            } else {
+                structure.predicates.set(choice.name, new Set(choice.tuples.filter((_, j) => (value >> j) & 1).map(tupleKey)));
+            }
+        });
+        yield structure;
+
+        // Próxima combinação (contador de base mista)
+        let i = 0;
+        while (i < digits.length && ++digits[i] === choices[i].radix) digits[i++] = 0;
+        if (i === digits.length) return;
+    }
+}
+
+// Todas as atribuições das variáveis dadas a elementos do domínio
+export function* assignments(variables, domain) {
+    for (const values of tuples(domain, variables.length)) {
+        yield new Map(variables.map((v, i) => [v, values[i]]));
+    }
+}
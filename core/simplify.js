@@ -0,0 +1,244 @@
+// Simplificação de formas normais (FNC/FND) e minimização de Quine–McCluskey para fórmulas
+// proposicionais. Cada lei aplicada vira um registro de derivação.
+import { describeRecord, record } from './derivation.js';
+import { Formula } from './formula.js';
+import { evaluatePropositional } from './propositional.js';
+
+export const QM_MAX_ATOMS = 8;
+
+const neg = f => new Formula('neg', null, f);
+
+function flatten(f, type) {
+    return f.type === type ? [...flatten(f.left, type), ...flatten(f.right, type)] : [f];
+}
+
+function build(items, type, empty) {
+    return items.length === 0 ? new Formula(empty) : items.reduce((acc, f) => new Formula(type, null, acc, f));
+}
+
+function complementKey(literal) {
+    return literal.type === 'neg' ? literal.left.toString() : neg(literal).toString();
+}
+
+/**
+ * Simplifica uma FNC (kind = 'cnf') ou FND (kind = 'dnf'), mantendo o prefixo de quantificadores:
+ * associatividade, idempotência, complemento, absorção/subsunção e leis de ⊤/⊥.
+ * @returns {{ formula: Formula, records: object[] }} registros de derivação de cada regra aplicada
+ */
+export function simplifyNormalForm(formula, kind = 'cnf') {
+    const records = [];
+    const cnf = kind === 'cnf';
+    const outer = cnf ? 'and' : 'or';
+    const inner = cnf ? 'or' : 'and';
+    // Numa FNC, ⊥ some de uma cláusula e ⊤ a torna trivial; numa FND é o contrário
+    const neutral = cnf ? 'false' : 'true';
+    const absorbing = cnf ? 'true' : 'false';
+
+    const prefix = [];
+    let matrix = formula;
+    while (matrix.isQuantifier()) {
+        prefix.push(matrix);
+        matrix = matrix.left;
+    }
+
+    const group = literals => build(literals, inner, neutral);
+    let groups = flatten(matrix, outer).map(g => flatten(g, inner));
+    const before = { groups: groups.length, literals: groups.reduce((n, g) => n + g.length, 0) };
+    records.push(record('simplify-flatten', { kind, groups: groups.map(g => group(g).toString()) }));
+
+    // Dentro de cada grupo: ⊤/⊥, literais repetidos e pares complementares
+    groups = groups.flatMap(literals => {
+        if (literals.some(l => l.type === absorbing)) {
+            records.push(record('simplify-absorbing', { kind, before: group(literals), after: new Formula(absorbing) }));
+            return [];
+        }
+        const kept = literals.filter(l => l.type !== neutral);
+        if (kept.length < literals.length) {
+            records.push(record('simplify-neutral', { before: group(literals), after: group(kept) }));
+        }
+        literals = kept;
+        const seen = new Map(literals.map(l => [l.toString(), l]));
+        if (seen.size < literals.length) {
+            records.push(record('simplify-idempotence', { before: group(literals), after: group([...seen.values()]) }));
+            literals = [...seen.values()];
+        }
+        const clash = literals.find(l => seen.has(complementKey(l)));
+        if (clash) {
+            records.push(record('simplify-complement', { kind, before: group(literals), after: new Formula(absorbing), literal: clash.toString() }));
+            return [];
+        }
+        return [literals];
+    });
+
+    // Grupos repetidos e absorção: um grupo contido em outro torna o maior redundante
+    const keys = groups.map(g => new Set(g.map(l => l.toString())));
+    const keep = groups.map(() => true);
+    groups.forEach((g, i) => {
+        if (!keep[i]) return;
+        groups.forEach((h, j) => {
+            if (i === j || !keep[j] || keys[i].size > keys[j].size) return;
+            if (![...keys[i]].every(k => keys[j].has(k))) return;
+            if (keys[i].size === keys[j].size && j < i) return;
+            keep[j] = false;
+            records.push(keys[i].size === keys[j].size
+                ? record('simplify-duplicate', { kind, before: group(h) })
+                : record('simplify-absorption', { before: group(h), by: group(g).toString() }));
+        });
+    });
+    groups = groups.filter((_, i) => keep[i]);
+
+    // Dois grupos unitários complementares decidem a forma inteira: l ∧ ¬l ≡ ⊥ e l ∨ ¬l ≡ ⊤
+    const units = new Set(groups.filter(g => g.length === 1).map(g => g[0].toString()));
+    const clash = groups.find(g => g.length === 1 && units.has(complementKey(g[0])));
+
+    let result;
+    if (cnf && groups.some(g => g.length === 0)) {
+        records.push(record('simplify-empty-clause'));
+        result = new Formula('false');
+    } else if (clash) {
+        records.push(record('simplify-unit-complement', { kind, literal: clash[0].toString() }));
+        result = new Formula(neutral);
+        groups = [];
+    } else if (groups.length === 0) {
+        records.push(record('simplify-empty', { kind }));
+        result = new Formula(cnf ? 'true' : 'false');
+    } else {
+        result = build(groups.map(group), outer, absorbing);
+    }
+
+    // Quantificadores cujas variáveis sumiram são vazios
+    const free = result.freeVariables();
+    for (let i = prefix.length - 1; i >= 0; i--) {
+        if (!free.has(prefix[i].content)) {
+            records.push(record('simplify-vacuous', { quantifier: prefix[i].type, variable: prefix[i].content }));
+            continue;
+        }
+        result = new Formula(prefix[i].type, prefix[i].content, result);
+    }
+
+    if (records.length === 1) records.push(record('simplify-none'));
+    // Grupos idênticos geram o mesmo registro; basta guardá-lo uma vez
+    const seen = new Set();
+    const unique = records.filter(r => {
+        const key = `${r.rule} ${r.before} ${r.after}`;
+        return !seen.has(key) && seen.add(key);
+    });
+    const after = { groups: groups.length, literals: groups.reduce((n, g) => n + g.length, 0) };
+    unique.push(record('simplify-result', { kind, after: result, groups: [before.groups, after.groups], literals: [before.literals, after.literals] }));
+    return { formula: result, records: unique };
+}
+
+// Implicante como texto sobre {0, 1, -}, na ordem dos átomos
+function combine(a, b) {
+    let diff = -1;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === '-' || b[i] === '-' || diff >= 0) return null;
+        diff = i;
+    }
+    return diff < 0 ? null : a.slice(0, diff) + '-' + a.slice(diff + 1);
+}
+
+function covers(implicant, minterm) {
+    return [...implicant].every((c, i) => c === '-' || c === minterm[i]);
+}
+
+// Implicantes primos por combinações sucessivas (primeira fase de Quine–McCluskey)
+function primeImplicants(minterms, records) {
+    let current = [...new Set(minterms)];
+    const primes = new Set();
+    for (let round = 1; current.length > 0; round++) {
+        const used = new Set();
+        const next = new Set();
+        for (let i = 0; i < current.length; i++) {
+            for (let j = i + 1; j < current.length; j++) {
+                const merged = combine(current[i], current[j]);
+                if (!merged) continue;
+                next.add(merged);
+                used.add(current[i]);
+                used.add(current[j]);
+            }
+        }
+        current.filter(t => !used.has(t)).forEach(t => primes.add(t));
+        if (next.size > 0) records.push(record('qm-round', { round, implicants: [...next] }));
+        current = [...next];
+    }
+    return [...primes];
+}
+
+// Menor conjunto de implicantes que cobre todos os mintermos (essenciais + busca exata ou gulosa)
+function selectCover(primes, minterms, records, show) {
+    const chosen = new Set();
+    minterms.forEach(m => {
+        const coverers = primes.filter(p => covers(p, m));
+        if (coverers.length === 1) chosen.add(coverers[0]);
+    });
+    if (chosen.size > 0) records.push(record('qm-essential', { implicants: [...chosen].map(show) }));
+
+    const uncovered = () => minterms.filter(m => ![...chosen].some(p => covers(p, m)));
+    let rest = uncovered();
+    const candidates = primes.filter(p => !chosen.has(p));
+    if (rest.length === 0) return [...chosen];
+
+    if (candidates.length <= 16) {
+        // Busca exata pela menor combinação dos implicantes restantes
+        let best = null;
+        for (let mask = 1; mask < 2 ** candidates.length; mask++) {
+            const pick = candidates.filter((_, i) => (mask >> i) & 1);
+            if (best && pick.length >= best.length) continue;
+            if (rest.every(m => pick.some(p => covers(p, m)))) best = pick;
+        }
+        best.forEach(p => chosen.add(p));
+        records.push(record('qm-cover', { implicants: best.map(show) }));
+    } else {
+        while (rest.length > 0) {
+            const p = candidates.reduce((a, b) => rest.filter(m => covers(b, m)).length > rest.filter(m => covers(a, m)).length ? b : a);
+            chosen.add(p);
+            rest = uncovered();
+        }
+        records.push(record('qm-greedy'));
+    }
+    return [...chosen];
+}
+
+/**
+ * Minimização exata de Quine–McCluskey: FND mínima (soma de implicantes primos) e FNC mínima
+ * (obtida minimizando a negação e aplicando De Morgan).
+ * @returns {{ dnf: Formula, cnf: Formula, records: object[], steps: string[] }|null} null se houver átomos demais
+ */
+export function quineMcCluskey(formula) {
+    const atoms = [...formula.predicateSymbols()].sort();
+    if (atoms.length > QM_MAX_ATOMS) return null;
+    const records = [];
+    const rows = [];
+    for (let row = 0; row < 2 ** atoms.length; row++) {
+        const bits = row.toString(2).padStart(atoms.length, '0');
+        const valuation = new Map(atoms.map((a, i) => [a, bits[i] === '1']));
+        rows.push({ bits, value: evaluatePropositional(formula, valuation) });
+    }
+
+    const term = (implicant, positive) => {
+        const literals = [...implicant].map((c, i) => c === '-' ? null : new Formula('atom', atoms[i]))
+            .map((atom, i) => atom && ((implicant[i] === '1') === positive ? atom : neg(atom)))
+            .filter(Boolean);
+        return positive ? build(literals, 'and', 'true') : build(literals, 'or', 'false');
+    };
+
+    const minimize = (minterms, form) => {
+        const positive = form === 'dnf';
+        const show = p => [term(p, positive).toString(), p];
+        records.push(record('qm-terms', { form, atoms, terms: minterms }));
+        if (minterms.length === 0) return new Formula(positive ? 'false' : 'true');
+        if (minterms.length === rows.length) return new Formula(positive ? 'true' : 'false');
+        const primes = primeImplicants(minterms, records);
+        records.push(record('qm-primes', { implicants: primes.map(show) }));
+        const cover = selectCover(primes, minterms, records, show);
+        return build(cover.map(p => term(p, positive)), positive ? 'or' : 'and', positive ? 'false' : 'true');
+    };
+
+    const dnf = minimize(rows.filter(r => r.value).map(r => r.bits), 'dnf');
+    records.push(record('qm-result', { form: 'dnf', after: dnf }));
+    const cnf = minimize(rows.filter(r => !r.value).map(r => r.bits), 'cnf');
+    records.push(record('qm-result', { form: 'cnf', after: cnf }));
+    return { dnf, cnf, records, steps: records.map(r => describeRecord(r)) };
+}
@@ -0,0 +1,218 @@
+// Tableaux semânticos (analíticos) sobre a fórmula lida, sem passar pela FNC.
+// Regras α (não ramificam), β (ramificam), δ (∃: constante nova) e γ (∀: instancia com os termos
+// do ramo, no máximo gammaLimit vezes por fórmula).
+import { describeRecord, record } from './derivation.js';
+import { Formula, Term } from './formula.js';
+
+export const TABLEAU_LIMITS = { gammaLimit: 3, maxNodes: 400 };
+
+const neg = f => new Formula('neg', null, f);
+const hasEquality = f => f.isEquality() || [f.left, f.right].some(g => g && hasEquality(g));
+
+// Classifica uma fórmula: tipo de regra e as fórmulas produzidas
+function classify(f) {
+    if (f.type === 'and') return { rule: 'α', parts: [f.left, f.right] };
+    if (f.type === 'or') return { rule: 'β', parts: [f.left, f.right] };
+    if (f.type === 'imp') return { rule: 'β', parts: [neg(f.left), f.right] };
+    if (f.type === 'iff') return { rule: 'β', parts: [new Formula('and', null, f.left, f.right), new Formula('and', null, neg(f.left), neg(f.right))] };
+    if (f.type === 'xor') return { rule: 'β', parts: [new Formula('and', null, f.left, neg(f.right)), new Formula('and', null, neg(f.left), f.right)] };
+    if (f.type === 'nand') return { rule: 'β', parts: [neg(f.left), neg(f.right)] };
+    if (f.type === 'nor') return { rule: 'α', parts: [neg(f.left), neg(f.right)] };
+    if (f.type === 'exists') return { rule: 'δ', variable: f.content, body: f.left };
+    if (f.type === 'forall') return { rule: 'γ', variable: f.content, body: f.left };
+    if (f.type !== 'neg') return null;
+
+    const g = f.left;
+    switch (g.type) {
+        case 'neg': return { rule: 'α', parts: [g.left] };
+        case 'or': return { rule: 'α', parts: [neg(g.left), neg(g.right)] };
+        case 'imp': return { rule: 'α', parts: [g.left, neg(g.right)] };
+        case 'and': return { rule: 'β', parts: [neg(g.left), neg(g.right)] };
+        case 'iff': return { rule: 'β', parts: [new Formula('and', null, g.left, neg(g.right)), new Formula('and', null, neg(g.left), g.right)] };
+        case 'xor': return { rule: 'β', parts: [new Formula('and', null, g.left, g.right), new Formula('and', null, neg(g.left), neg(g.right))] };
+        case 'nand': return { rule: 'α', parts: [g.left, g.right] };
+        case 'nor': return { rule: 'β', parts: [g.left, g.right] };
+        case 'forall': return { rule: 'δ', variable: g.content, body: neg(g.left) };
+        case 'exists': return { rule: 'γ', variable: g.content, body: neg(g.left) };
+        default: return null;
+    }
+}
+
+// Fórmulas que fecham o ramo sozinhas: ⊥, ¬⊤ e t ≠ t (reflexividade da igualdade)
+function selfContradictory(f) {
+    if (f.type === 'false') return true;
+    if (f.type !== 'neg') return false;
+    return f.left.type === 'true' || (f.left.isEquality() && f.left.args[0].equals(f.left.args[1]));
+}
+
+// Ordem de aplicação: primeiro o que não ramifica nem cria termos
+const PRIORITY = { 'α': 0, 'δ': 1, 'β': 2, 'γ': 3 };
+
+// Termos básicos que ocorrem nos átomos de uma fórmula
+function groundTerms(f, acc = new Map()) {
+    const visit = (t) => {
+        if (t.variables().size === 0) acc.set(t.toString(), t);
+        t.args.forEach(visit);
+    };
+    if (f.type === 'atom') f.args.forEach(visit);
+    if (f.left) groundTerms(f.left, acc);
+    if (f.right) groundTerms(f.right, acc);
+    return acc;
+}
+
+/**
+ * Constrói um tableau fechado para o conjunto {formula}, se houver.
+ * Cada nó da árvore tem `id`, `formula`, `origin` ({ rule, from } e a constante ou o termo usado,
+ * ou null na raiz) e `children`; as folhas têm
+ * `closed` (par de nós contraditórios) ou `open` ('saturated' ou 'limit').
+ * @returns {{ root: object, status: 'closed'|'open'|'unknown', openBranch: object[]|null, nodes: number }}
+ */
+export function buildTableau(formula, options = {}) {
+    const gammaLimit = options.gammaLimit ?? TABLEAU_LIMITS.gammaLimit;
+    const maxNodes = options.maxNodes ?? TABLEAU_LIMITS.maxNodes;
+    const usedNames = formula.functionSymbols();
+    let counter = 0;
+    const newNode = (f, origin) => ({ id: ++counter, formula: f, origin, children: [] });
+    const freshConstant = () => {
+        let i = 1;
+        while (usedNames.has(`a${i}`)) i++;
+        usedNames.add(`a${i}`);
+        return new Term('const', `a${i}`);
+    };
+
+    const root = newNode(formula, null);
+    let openBranch = null;
+
+    // Acrescenta nós abaixo de leaf e verifica se o ramo fecha
+    const extend = (branch, leaf, nodes) => {
+        let last = leaf;
+        for (const node of nodes) {
+            last.children.push(node);
+            branch.push(node);
+            last = node;
+            if (selfContradictory(node.formula)) {
+                node.closed = [node.id];
+                return null;
+            }
+            const text = node.formula.toString();
+            const clash = branch.find(other => other !== node && (
+                (node.formula.type === 'neg' && node.formula.left.toString() === other.formula.toString()) ||
+                (other.formula.type === 'neg' && other.formula.left.toString() === text)));
+            if (clash) {
+                node.closed = [clash.id, node.id];
+                return null;
+            }
+        }
+        return last;
+    };
+
+    // Expande um ramo; devolve true se todos os ramos abaixo fecharem
+    const expand = (branch, leaf, done, gammaUses) => {
+        if (counter >= maxNodes) {
+            leaf.open = 'limit';
+            return false;
+        }
+        const terms = [...branch.reduce((acc, n) => groundTerms(n.formula, acc), new Map()).values()];
+        let best = null;
+        let limited = false;
+        for (const node of branch) {
+            if (done.has(node.id)) continue;
+            const info = classify(node.formula);
+            if (!info) continue;
+            if (info.rule === 'γ') {
+                const uses = gammaUses.get(node.id) || [];
+                const candidates = terms.length > 0 ? terms.filter(t => !uses.includes(t.toString())) : [null];
+                if (candidates.length === 0) continue;
+                if (uses.length >= gammaLimit) {
+                    limited = true;
+                    continue;
+                }
+                info.term = candidates[0];
+            }
+            if (!best || PRIORITY[info.rule] < PRIORITY[best.info.rule]) best = { node, info };
+        }
+
+        if (!best) {
+            leaf.open = limited ? 'limit' : 'saturated';
+            if (!limited) openBranch ??= branch;
+            return false;
+        }
+
+        const { node, info } = best;
+        const origin = { rule: info.rule, from: node.id };
+        if (info.rule === 'α') {
+            const nextLeaf = extend(branch, leaf, info.parts.map(p => newNode(p, origin)));
+            return nextLeaf === null || expand(branch, nextLeaf, new Set([...done, node.id]), gammaUses);
+        }
+        if (info.rule === 'δ') {
+            const c = freshConstant();
+            const nextLeaf = extend(branch, leaf, [newNode(info.body.apply(new Map([[info.variable, c]])), { ...origin, constant: c.toString() })]);
+            return nextLeaf === null || expand(branch, nextLeaf, new Set([...done, node.id]), gammaUses);
+        }
+        if (info.rule === 'γ') {
+            const t = info.term || freshConstant();
+            const uses = new Map(gammaUses).set(node.id, [...(gammaUses.get(node.id) || []), t.toString()]);
+            const nextLeaf = extend(branch, leaf, [newNode(info.body.apply(new Map([[info.variable, t]])), { ...origin, variable: info.variable, term: t.toString() })]);
+            return nextLeaf === null || expand(branch, nextLeaf, done, uses);
+        }
+        // β: um ramo por parte; todos precisam fechar
+        const finished = new Set([...done, node.id]);
+        let allClosed = true;
+        for (const part of info.parts) {
+            const child = [...branch];
+            const nextLeaf = extend(child, leaf, [newNode(part, origin)]);
+            if (nextLeaf !== null && !expand(child, nextLeaf, finished, gammaUses)) allClosed = false;
+        }
+        return allClosed;
+    };
+
+    const rootBranch = [root];
+    const closed = extend([], { children: [] }, [root]) === null || expand(rootBranch, root, new Set(), new Map());
+    const status = closed ? 'closed' : openBranch ? 'open' : 'unknown';
+    return { root, status, openBranch: closed ? null : openBranch, nodes: counter };
+}
+
+// Árvore serializável, com as fórmulas em LaTeX
+function tableauToJSON(node) {
+    const json = { id: node.id, formula: node.formula.toString(), origin: node.origin, children: node.children.map(tableauToJSON) };
+    if (node.closed) json.closed = node.closed;
+    if (node.open) json.open = node.open;
+    return json;
+}
+
+// Árvore em HTML (só matemática inline, para o MathJax)
+export function tableauToHtml(root, language = 'pt') {
+    return describeRecord(record('tableau-tree', { tree: tableauToJSON(root) }), { language });
+}
+
+/**
+ * Prova de validade por tableau: F é válida se o tableau de ¬F fecha.
+ * Variáveis livres são lidas como universais.
+ * @returns {{ formula: Formula, records: object[], steps: string[], status: string }}
+ */
+export function tableauProof(formula, options = {}) {
+    const closedFormula = [...formula.freeVariables()].reverse().reduce((acc, v) => new Formula('forall', v, acc), formula);
+    const negated = neg(closedFormula);
+    const { root, status: built, openBranch, nodes } = buildTableau(negated, options);
+    // Só a reflexividade fecha ramos: sem substituir iguais por iguais, um ramo aberto pode não ter modelo
+    const status = built === 'open' && hasEquality(closedFormula) ? 'unknown' : built;
+    const gammaLimit = options.gammaLimit ?? TABLEAU_LIMITS.gammaLimit;
+    const records = [
+        record('tableau-start', { gammaLimit }),
+        record('tableau-tree', { tree: tableauToJSON(root) })
+    ];
+
+    if (status === 'closed') {
+        records.push(record('tableau-closed', { nodes }));
+    } else if (built === 'open' && status === 'unknown') {
+        records.push(record('tableau-equality'));
+    } else if (status === 'open') {
+        const literals = openBranch.filter(n => n.formula.type === 'atom' || (n.formula.type === 'neg' && n.formula.left.type === 'atom'));
+        const trueAtoms = literals.filter(n => n.formula.type === 'atom').map(n => n.formula.toString());
+        const falseAtoms = literals.filter(n => n.formula.type === 'neg').map(n => n.formula.left.toString());
+        records.push(record('tableau-open'), record('tableau-countermodel', { trueAtoms, falseAtoms }));
+    } else {
+        records.push(record('tableau-limit', { maxNodes: options.maxNodes ?? TABLEAU_LIMITS.maxNodes }));
+    }
+    return { formula: negated, records, steps: records.map(r => describeRecord(r)), status };
+}
@@ -0,0 +1,725 @@
+import { Clause, extractClauses, getMatrix } from './clauses.js';
+import { appendRecord, record, stagedStep } from './derivation.js';
+import { Formula, Term, freshVariableName } from './formula.js';
+import { herbrandAnalysis } from './herbrand.js';
+import { analyzeHornClauses, sldProof } from './horn.js';
+import { TRUTH_TABLE_MAX_ATOMS, satisfiabilityCheck, truthTable } from './propositional.js';
+import { resolutionRefutation } from './resolution.js';
+import { QM_MAX_ATOMS, quineMcCluskey, simplifyNormalForm } from './simplify.js';
+import { tableauProof } from './tableaux.js';
+import { verifyStep } from './verification.js';
+
+// Ordens possíveis para retirar quantificadores na forma prenex
+export const PRENEX_STRATEGIES = ['left-to-right', 'exists-first', 'forall-first'];
+
+// Como tratar variáveis livres: fecho universal, fecho existencial ou constantes
+export const FREE_VARIABLE_POLICIES = ['universal', 'existential', 'constant'];
+
+// Conversões para FNC: distributiva (equivalente) ou por definições de Tseitin (equissatisfatível)
+export const CNF_MODES = ['distributive', 'tseitin'];
+
+const isConstant = f => f.type === 'true' || f.type === 'false';
+
+// Propagação de constantes num nó cujos filhos já foram reescritos: ⊤ e ⊥ absorvem ou somem nas
+// conjunções e disjunções, ¬⊤ e ¬⊥ se invertem e t = t vira ⊤. Sem regra aplicável, devolve o nó.
+function foldConstants(f, path, records) {
+    let result = f;
+    let rule = null;
+    const params = {};
+    if (f.isEquality() && f.args[0].equals(f.args[1])) {
+        result = new Formula('true');
+        rule = 'eq-reflexive';
+    } else if (f.type === 'neg' && isConstant(f.left)) {
+        result = new Formula(f.left.type === 'true' ? 'false' : 'true');
+        rule = 'constant-neg';
+    } else if ((f.type === 'and' || f.type === 'or') && (isConstant(f.left) || isConstant(f.right))) {
+        const constant = isConstant(f.left) ? f.left : f.right;
+        const absorbs = constant.type === (f.type === 'and' ? 'false' : 'true');
+        result = absorbs ? constant : (constant === f.left ? f.right : f.left);
+        rule = absorbs ? 'constant-absorb' : 'constant-neutral';
+        Object.assign(params, { connective: f.type, constant: constant.toString() });
+    } else if (f.isQuantifier() && isConstant(f.left)) {
+        result = f.left;
+        rule = 'constant-quantifier';
+    }
+    if (rule) records.push(record(rule, { path, before: f, after: result, ...params }));
+    return result;
+}
+
+// Propaga as constantes na fórmula inteira, de baixo para cima
+function propagateConstants(f, path, records) {
+    const rebuilt = f.left
+        ? new Formula(f.type, f.content, propagateConstants(f.left, [...path, 0], records), f.right && propagateConstants(f.right, [...path, 1], records), f.args)
+        : f;
+    return foldConstants(rebuilt, path, records);
+}
+
+// Transformador de fórmulas
+export class FormulaTransformer {
+    constructor(formula, options = {}) {
+        this.formula = formula;
+        this.options = options;
+        this.steps = [];
+    }
+
+    // Quantificadores limitados viram quantificadores comuns: ∀x ∈ A φ ≡ ∀x (A(x) → φ) e
+    // ∃x ∈ A φ ≡ ∃x (A(x) ∧ φ). Depois desta etapa nenhuma outra precisa conhecer as restrições.
+    relativizeQuantifiers(formula) {
+        const records = [];
+        const transform = (f, path) => {
+            if (f.isQuantifier() && f.right) {
+                const body = transform(f.left, [...path, 0, 1]);
+                const result = new Formula(f.type, f.content, new Formula(f.type === 'forall' ? 'imp' : 'and', null, f.right, body));
+                records.push(record('relativize', { path, before: f, after: result, quantifier: f.type }));
+                return result;
+            }
+            if (!f.left) return f;
+            return new Formula(f.type, f.content, transform(f.left, [...path, 0]), f.right && transform(f.right, [...path, 1]), f.args);
+        };
+        return { formula: transform(formula, []), records };
+    }
+
+    // Detecta as variáveis livres e fecha a fórmula segundo a política escolhida.
+    // A forma clausal sempre lê variáveis como universais, então as outras políticas mudam o significado.
+    closeFreeVariables(formula) {
+        const records = [];
+        const warnings = [];
+        const policy = this.options.freeVariables || 'universal';
+        const free = [...formula.freeVariables()];
+        if (free.length === 0) {
+            records.push(record('free-none'));
+            return { formula, records, free, warnings };
+        }
+
+        records.push(record('free-detected', { variables: free }));
+        let result;
+        if (policy === 'constant') {
+            const used = formula.functionSymbols();
+            const subst = new Map();
+            free.forEach(v => {
+                let name = `c_${v}`;
+                for (let i = 1; used.has(name); i++) name = `c_${v}${i}`;
+                used.add(name);
+                subst.set(v, new Term('const', name));
+            });
+            result = formula.apply(subst);
+            records.push(record('free-constants', { before: formula, after: result, mapping: free.map(v => [v, subst.get(v).toString()]) }));
+            warnings.push(record('free-warning', { policy, variables: free, constants: free.map(v => subst.get(v).toString()) }));
+        } else {
+            result = [...free].reverse().reduce((acc, v) => new Formula(policy === 'existential' ? 'exists' : 'forall', v, acc), formula);
+            records.push(record('free-closure', { before: formula, after: result, policy }));
+            if (policy === 'existential') warnings.push(record('free-warning', { policy, variables: free }));
+        }
+        records.push(...warnings);
+        return { formula: result, records, free, warnings };
+    }
+
+    eliminateImplications(formula) {
+        const records = [];
+        const transform = (f, path) => {
+            switch(f.type) {
+                case 'imp':
+                    const impResult = new Formula('or', null, 
+                        new Formula('neg', null, transform(f.left, [...path, 0, 0])), 
+                        transform(f.right, [...path, 1])
+                    );
+                    records.push(record('imp-elim', { path, before: f, after: impResult }));
+                    return impResult;
+                case 'iff': {
+                    // Cada lado aparece duas vezes no resultado, mas é transformado uma vez só
+                    const left = transform(f.left, [...path, 0, 0, 0]);
+                    const right = transform(f.right, [...path, 0, 1]);
+                    const iffResult = new Formula('and', null,
+                        new Formula('or', null, new Formula('neg', null, left), right),
+                        new Formula('or', null, new Formula('neg', null, right), left)
+                    );
+                    records.push(record('iff-elim', { path, before: f, after: iffResult }));
+                    return iffResult;
+                }
+                case 'xor': {
+                    const left = transform(f.left, [...path, 0, 0]);
+                    const right = transform(f.right, [...path, 0, 1]);
+                    const xorResult = new Formula('and', null,
+                        new Formula('or', null, left, right),
+                        new Formula('or', null, new Formula('neg', null, left), new Formula('neg', null, right))
+                    );
+                    records.push(record('xor-elim', { path, before: f, after: xorResult }));
+                    return xorResult;
+                }
+                case 'nand':
+                case 'nor':
+                    const dualResult = new Formula('neg', null,
+                        new Formula(f.type === 'nand' ? 'and' : 'or', null, transform(f.left, [...path, 0, 0]), transform(f.right, [...path, 0, 1]))
+                    );
+                    records.push(record(`${f.type}-elim`, { path, before: f, after: dualResult }));
+                    return dualResult;
+                case 'and':
+                case 'or':
+                    return new Formula(f.type, f.content, transform(f.left, [...path, 0]), transform(f.right, [...path, 1]));
+                case 'neg':
+                    return new Formula('neg', f.content, transform(f.left, [...path, 0]));
+                case 'forall':
+                case 'exists':
+                    return new Formula(f.type, f.content, transform(f.left, [...path, 0]));
+                default:
+                    return f;
+            }
+        };
+        const result = transform(formula, []);
+        return { formula: result, records };
+    }
+
+    // Empurra as negações até os átomos, propagando ⊤ e ⊥ pelo caminho
+    pushNegations(formula) {
+        const records = [];
+        const fold = (f, path) => foldConstants(f, path, records);
+        const transform = (f, path) => {
+            switch(f.type) {
+                case 'neg':
+                    if (f.left.type === 'neg') {
+                        const result = transform(f.left.left, path);
+                        records.push(record('double-negation', { path, before: f, after: result }));
+                        return result;
+                    } else if (f.left.type === 'and' || f.left.type === 'or') {
+                        const result = new Formula(f.left.type === 'and' ? 'or' : 'and', null,
+                            transform(new Formula('neg', null, f.left.left), [...path, 0]),
+                            transform(new Formula('neg', null, f.left.right), [...path, 1])
+                        );
+                        records.push(record('de-morgan', { path, before: f, after: result }));
+                        return fold(result, path);
+                    } else if (f.left.isQuantifier()) {
+                        const dual = f.left.type === 'forall' ? 'exists' : 'forall';
+                        const result = new Formula(dual, f.left.content, transform(new Formula('neg', null, f.left.left), [...path, 0]));
+                        records.push(record('neg-quantifier', { path, before: f, after: result, quantifier: f.left.type }));
+                        return fold(result, path);
+                    }
+                    return fold(new Formula('neg', f.content, transform(f.left, [...path, 0])), path);
+                case 'and':
+                case 'or':
+                    return fold(new Formula(f.type, f.content, transform(f.left, [...path, 0]), transform(f.right, [...path, 1])), path);
+                case 'forall':
+                case 'exists':
+                    return fold(new Formula(f.type, f.content, transform(f.left, [...path, 0])), path);
+                default:
+                    return fold(f, path);
+            }
+        };
+        const result = transform(formula, []);
+        return { formula: result, records };
+    }
+
+    standardizeVariables(formula) {
+        const records = [];
+        // Variáveis livres não podem ser reutilizadas como nomes de variáveis ligadas
+        const used = formula.freeVariables();
+        const allNames = formula.variableNames();
+        const rename = (f, path) => {
+            switch(f.type) {
+                case 'forall':
+                case 'exists': {
+                    let body = f.left;
+                    let newVar = f.content;
+                    if (used.has(newVar)) {
+                        newVar = freshVariableName(f.content, new Set([...used, ...allNames]));
+                        body = body.apply(new Map([[f.content, new Term('var', newVar)]]));
+                        records.push(record('alpha-rename', { path, before: f, after: new Formula(f.type, newVar, body), from: f.content, to: newVar }));
+                    }
+                    used.add(newVar);
+                    allNames.add(newVar);
+                    return new Formula(f.type, newVar, rename(body, [...path, 0]));
+                }
+                case 'neg':
+                    return new Formula('neg', f.content, rename(f.left, [...path, 0]));
+                case 'and':
+                case 'or':
+                case 'imp':
+                case 'iff':
+                case 'xor':
+                case 'nand':
+                case 'nor':
+                    return new Formula(f.type, f.content, rename(f.left, [...path, 0]), rename(f.right, [...path, 1]));
+                default:
+                    return f;
+            }
+        };
+        const result = rename(formula, []);
+        return { formula: result, records };
+    }
+
+    // Forma prenex aplicando uma lei de movimento de quantificador por vez, de dentro para fora.
+    // Quando os dois lados de um ∧/∨ começam com quantificador, a estratégia escolhe qual sai antes:
+    // 'exists-first' reduz a aridade das funções de Skolem, 'forall-first' faz o contrário e
+    // 'left-to-right' segue a ordem de leitura.
+    toPrenexForm(formula) {
+        const records = [];
+        const strategy = this.options.prenexStrategy || 'left-to-right';
+        const dual = { forall: 'exists', exists: 'forall' };
+        const used = new Set([...formula.variableNames(), ...formula.functionSymbols()]);
+
+        // Qual lado de f (ambos já em forma prenex) fornece o próximo quantificador, ou null
+        const pickSide = (f) => {
+            const left = f.left.isQuantifier();
+            const right = f.right.isQuantifier();
+            if (!left || !right) return left ? 'left' : right ? 'right' : null;
+            if (strategy === 'exists-first' && f.left.type !== f.right.type) {
+                return f.left.type === 'exists' ? 'left' : 'right';
+            }
+            if (strategy === 'forall-first' && f.left.type !== f.right.type) {
+                return f.left.type === 'forall' ? 'left' : 'right';
+            }
+            return 'left';
+        };
+
+        const prenex = (f, path) => {
+            switch (f.type) {
+                case 'forall':
+                case 'exists':
+                    return new Formula(f.type, f.content, prenex(f.left, [...path, 0]));
+                case 'neg': {
+                    const inner = prenex(f.left, [...path, 0]);
+                    if (!inner.isQuantifier()) return new Formula('neg', f.content, inner);
+                    const q = inner.type;
+                    const result = new Formula(dual[q], inner.content, new Formula('neg', null, inner.left));
+                    records.push(record('prenex-negation', { path, before: new Formula('neg', null, inner), after: result, quantifier: q, dual: dual[q] }));
+                    return new Formula(result.type, result.content, prenex(result.left, [...path, 0]));
+                }
+                case 'and':
+                case 'or':
+                    return pull(new Formula(f.type, f.content, prenex(f.left, [...path, 0]), prenex(f.right, [...path, 1])), path);
+                default:
+                    return f;
+            }
+        };
+
+        // Retira um quantificador de f = A ∘ B e continua na nova subfórmula interna
+        const pull = (f, path) => {
+            const side = pickSide(f);
+            if (!side) return f;
+            const quantified = f[side];
+            const other = side === 'left' ? f.right : f.left;
+            const q = quantified.type;
+            let variable = quantified.content;
+            let body = quantified.left;
+
+            // Condição lateral: x não pode ocorrer livre no outro lado; se ocorrer, renomeamos x
+            if (other.freeVariables().has(variable)) {
+                const fresh = freshVariableName(variable, used);
+                used.add(fresh);
+                body = body.apply(new Map([[variable, new Term('var', fresh)]]));
+                const renamed = new Formula(q, fresh, body);
+                records.push(record('prenex-rename', { path: [...path, side === 'left' ? 0 : 1], before: quantified, after: renamed, from: variable, to: fresh, other: other.toString() }));
+                variable = fresh;
+                f = side === 'left'
+                    ? new Formula(f.type, f.content, renamed, other)
+                    : new Formula(f.type, f.content, other, renamed);
+            }
+
+            const inner = side === 'left'
+                ? new Formula(f.type, f.content, body, other)
+                : new Formula(f.type, f.content, other, body);
+            const result = new Formula(q, variable, inner);
+            records.push(record('prenex-pull', { path, before: f, after: result, quantifier: q, connective: f.type, side }));
+            return new Formula(q, variable, pull(inner, [...path, 0]));
+        };
+
+        const result = prenex(formula, []);
+        const hasExists = (f) => f.type === 'exists' || [f.left, f.right].some(g => g instanceof Formula && hasExists(g));
+        if (records.length > 0 && hasExists(formula)) records.unshift(record('prenex-strategy', { strategy }));
+        if (records.length > 0) records.push(record('result', { after: result, form: 'prenex' }));
+        return { formula: result, records };
+    }
+
+    // Miniscopagem (anti-prenex): empurra cada quantificador para dentro o quanto possível,
+    // de modo que os ∃ fiquem sob menos ∀ e as funções de Skolem tenham menos argumentos.
+    // Espera uma FNN padronizada.
+    miniscope(formula) {
+        const records = [];
+        const log = (rule, path, before, after, params = {}) => records.push(record(rule, { path, before, after, ...params }));
+
+        // Empurra Qx para dentro de body (já miniscopado)
+        const push = (q, x, body, path) => {
+            const before = new Formula(q, x, body);
+            if (!body.freeVariables().has(x)) {
+                log('miniscope-vacuous', path, before, body, { variable: x });
+                return body;
+            }
+            if (body.type === 'and' || body.type === 'or') {
+                const op = body.type;
+                if ((q === 'forall' && op === 'and') || (q === 'exists' && op === 'or')) {
+                    const split = new Formula(op, null, new Formula(q, x, body.left), new Formula(q, x, body.right));
+                    log('miniscope-distribute', path, before, split, { quantifier: q, connective: op });
+                    return new Formula(op, null, push(q, x, body.left, [...path, 0]), push(q, x, body.right, [...path, 1]));
+                }
+                if (!body.right.freeVariables().has(x)) {
+                    log('miniscope-scope', path, before, new Formula(op, null, new Formula(q, x, body.left), body.right), { variable: x, side: 'right' });
+                    return new Formula(op, null, push(q, x, body.left, [...path, 0]), body.right);
+                }
+                if (!body.left.freeVariables().has(x)) {
+                    log('miniscope-scope', path, before, new Formula(op, null, body.left, new Formula(q, x, body.right)), { variable: x, side: 'left' });
+                    return new Formula(op, null, body.left, push(q, x, body.right, [...path, 1]));
+                }
+            }
+            // Qx Qy C ≡ Qy Qx C: troca a ordem quando isso deixa x descer mais
+            if (body.type === q) {
+                const mark = records.length;
+                const inner = push(q, x, body.left, [...path, 0]);
+                if (!(inner.type === q && inner.content === x)) {
+                    records.splice(mark, 0, record('miniscope-swap', { path, before, after: new Formula(q, body.content, new Formula(q, x, body.left)) }));
+                    return push(q, body.content, inner, path);
+                }
+                records.length = mark;
+            }
+            return before;
+        };
+
+        const rec = (f, path) => {
+            switch (f.type) {
+                case 'forall':
+                case 'exists':
+                    return push(f.type, f.content, rec(f.left, [...path, 0]), path);
+                case 'neg':
+                    return new Formula('neg', f.content, rec(f.left, [...path, 0]));
+                case 'and':
+                case 'or':
+                    return new Formula(f.type, f.content, rec(f.left, [...path, 0]), rec(f.right, [...path, 1]));
+                default:
+                    return f;
+            }
+        };
+
+        const result = rec(formula, []);
+        if (records.length > 0) records.push(record('result', { after: result, form: 'miniscope' }));
+        return { formula: result, records };
+    }
+
+    skolemize(formula) {
+        const records = [];
+        const usedSymbols = formula.functionSymbols();
+        let skolemCounter = 1;
+        const nextSymbol = (prefix) => {
+            while (usedSymbols.has(prefix + skolemCounter)) skolemCounter++;
+            const name = prefix + skolemCounter++;
+            usedSymbols.add(name);
+            return name;
+        };
+    
+        const skolemizeRec = (f, universals, path) => {
+            switch(f.type) {
+                case 'exists':
+                    // Cria função de Skolem dependendo das variáveis universais atuais
+                    const skolemTerm = universals.length > 0 
+                        ? new Term('func', nextSymbol('f'), universals.map(v => new Term('var', v)))
+                        : new Term('const', nextSymbol('c'));
+                    const instance = this.substitute(f.left, f.content, skolemTerm);
+                    records.push(record('skolem', { path, before: f, after: instance, variable: f.content, term: skolemTerm.toString() }));
+                    return skolemizeRec(instance, universals, path);
+                case 'forall':
+                    return new Formula('forall', f.content, skolemizeRec(f.left, [...universals, f.content], [...path, 0]));
+                case 'and':
+                case 'or':
+                    return new Formula(f.type, f.content, skolemizeRec(f.left, universals, [...path, 0]), skolemizeRec(f.right, universals, [...path, 1]));
+                case 'neg':
+                    return new Formula('neg', f.content, skolemizeRec(f.left, universals, [...path, 0]));
+                default:
+                    return f;
+            }
+        };
+    
+        const result = skolemizeRec(formula, [], []);
+        return { formula: result, records };
+    }
+    
+    // Substitui uma variável livre por um termo (função de Skolem ou constante), sem captura
+    substitute(formula, variable, term) {
+        return formula.apply(new Map([[variable, term]]));
+    }
+
+    toCNF(formula) {
+        const records = [];
+        const distribute = (f, path) => {
+            if (f.type === 'or' && (f.left.type === 'and' || f.right.type === 'and')) {
+                if (f.left.type === 'and') {
+                    const result = new Formula('and', null,
+                        distribute(new Formula('or', null, f.left.left, f.right), [...path, 0]),
+                        distribute(new Formula('or', null, f.left.right, f.right), [...path, 1])
+                    );
+                    records.push(record('distribute-or', { path, before: f, after: result }));
+                    return result;
+                } else {
+                    const result = new Formula('and', null,
+                        distribute(new Formula('or', null, f.left, f.right.left), [...path, 0]),
+                        distribute(new Formula('or', null, f.left, f.right.right), [...path, 1])
+                    );
+                    records.push(record('distribute-or', { path, before: f, after: result }));
+                    return result;
+                }
+            }
+            switch(f.type) {
+                case 'and':
+                case 'or': {
+                    const rebuilt = new Formula(f.type, f.content, distribute(f.left, [...path, 0]), distribute(f.right, [...path, 1]));
+                    // Um filho pode ter virado conjunção só depois de distribuído
+                    return rebuilt.type === 'or' && (rebuilt.left.type === 'and' || rebuilt.right.type === 'and') ? distribute(rebuilt, path) : rebuilt;
+                }
+                case 'neg':
+                    return new Formula('neg', f.content, distribute(f.left, [...path, 0]));
+                case 'forall':
+                case 'exists':
+                    return new Formula(f.type, f.content, distribute(f.left, [...path, 0]));
+                default:
+                    return f;
+            }
+        };
+        const result = distribute(propagateConstants(formula, [], records), []);
+        records.push(record('result', { after: result, form: 'cnf' }));
+        return { formula: result, records };
+    }
+
+    // FNC por definições (Tseitin, na variante de Plaisted–Greenbaum): cada subfórmula composta
+    // recebe um átomo novo, evitando a explosão da distributividade. O resultado é apenas equissatisfatível.
+    toTseitinCNF(formula) {
+        const records = [];
+        const prefix = [];
+        let matrix = formula;
+        while (matrix.isQuantifier()) {
+            prefix.push(matrix);
+            matrix = matrix.left;
+        }
+
+        const usedPredicates = formula.predicateSymbols();
+        let counter = 1;
+        const clauses = [];
+        const definitionClauses = [];
+        const isLiteral = f => f.type === 'atom' || isConstant(f) || (f.type === 'neg' && f.left.type === 'atom');
+        const flatten = (f, type) => f.type === type ? [...flatten(f.left, type), ...flatten(f.right, type)] : [f];
+
+        // Literais de uma disjunção; disjuntos que não são literais são substituídos por definições
+        const disjunctionLiterals = (f) => flatten(f, 'or').map(g => isLiteral(g) ? g : define(g));
+
+        // Na NNF toda subfórmula ocorre positivamente, então basta a implicação D → g
+        const define = (g) => {
+            while (usedPredicates.has('D' + counter)) counter++;
+            const name = 'D' + counter++;
+            usedPredicates.add(name);
+            const atom = new Formula('atom', name, null, null, [...g.freeVariables()].map(v => new Term('var', v)));
+            const negated = new Formula('neg', null, atom);
+            records.push(record('tseitin-define', { before: g, after: new Formula('imp', null, atom, g), atom: atom.toString() }));
+            flatten(g, 'and').forEach(c => definitionClauses.push([negated, ...disjunctionLiterals(c)]));
+            return atom;
+        };
+
+        flatten(matrix, 'and').forEach(c => clauses.push(disjunctionLiterals(c)));
+
+        const disjunction = lits => lits.reduce((acc, l) => new Formula('or', null, acc, l));
+        let result = [...clauses, ...definitionClauses].map(disjunction).reduce((acc, c) => new Formula('and', null, acc, c));
+        for (let i = prefix.length - 1; i >= 0; i--) {
+            result = new Formula(prefix[i].type, prefix[i].content, result);
+        }
+
+        records.push(record(records.length === 0 ? 'tseitin-none' : 'tseitin-warning'));
+        records.push(record('result', { after: result, form: 'tseitin' }));
+        return { formula: result, records };
+    }
+
+    toDNF(formula) {
+        const records = [];
+        const distribute = (f, path) => {
+            if (f.type === 'and' && (f.left.type === 'or' || f.right.type === 'or')) {
+                if (f.left.type === 'or') {
+                    const result = new Formula('or', null,
+                        distribute(new Formula('and', null, f.left.left, f.right), [...path, 0]),
+                        distribute(new Formula('and', null, f.left.right, f.right), [...path, 1])
+                    );
+                    records.push(record('distribute-and', { path, before: f, after: result }));
+                    return result;
+                } else {
+                    const result = new Formula('or', null,
+                        distribute(new Formula('and', null, f.left, f.right.left), [...path, 0]),
+                        distribute(new Formula('and', null, f.left, f.right.right), [...path, 1])
+                    );
+                    records.push(record('distribute-and', { path, before: f, after: result }));
+                    return result;
+                }
+            }
+            switch(f.type) {
+                case 'and':
+                case 'or': {
+                    const rebuilt = new Formula(f.type, f.content, distribute(f.left, [...path, 0]), distribute(f.right, [...path, 1]));
+                    // Um filho pode ter virado disjunção só depois de distribuído
+                    return rebuilt.type === 'and' && (rebuilt.left.type === 'or' || rebuilt.right.type === 'or') ? distribute(rebuilt, path) : rebuilt;
+                }
+                case 'neg':
+                    return new Formula('neg', f.content, distribute(f.left, [...path, 0]));
+                case 'forall':
+                case 'exists':
+                    return new Formula(f.type, f.content, distribute(f.left, [...path, 0]));
+                default:
+                    return f;
+            }
+        };
+        const result = distribute(propagateConstants(formula, [], records), []);
+        records.push(record('result', { after: result, form: 'dnf' }));
+        return { formula: result, records };
+    }    
+
+    transform() {
+        let current = this.formula;
+        let allSteps = [];
+        const add = (stage, step, records) => allSteps.push(stagedStep(stage, step, records));
+    
+        // 0 - Fórmula original
+        add('original', { title: "Fórmula original", formula: current }, []);
+
+        // 0a - Quantificadores limitados, só quando a entrada os usa
+        const relativized = this.relativizeQuantifiers(current);
+        if (relativized.records.length > 0) {
+            add('relativize', { title: "Relativização dos Quantificadores Limitados", input: current, relation: 'equivalent', formula: relativized.formula }, relativized.records);
+            current = relativized.formula;
+        }
+        const sentence = current;
+
+        // 0b - Variáveis livres e fecho
+        const closure = this.closeFreeVariables(current);
+        add('free-variables', {
+            title: "Variáveis Livres",
+            input: current, relation: closure.free.length > 0 && closure.warnings.length > 0 ? undefined : 'equivalent',
+            formula: closure.formula
+        }, closure.records);
+        current = closure.formula;
+    
+        // 1 - Eliminar implicações
+        const step1 = this.eliminateImplications(current);
+        add('eliminate', { title: "Eliminação de Implicações e Bicondicionais", input: current, relation: 'equivalent', formula: step1.formula }, step1.records);
+        current = step1.formula;
+    
+        // 2 - Leis de De Morgan / empurrar negações
+        const step2 = this.pushNegations(current);
+        add('nnf', { title: "Forma Negativa Normal", input: current, relation: 'equivalent', formula: step2.formula }, step2.records);
+        current = step2.formula;
+    
+        // 3 - Padronização (α-renomeação) ANTES do prenex
+        const step3a = this.standardizeVariables(current);
+        add('standardize', { title: "Padronização de Variáveis Ligadas (α-renomeação)", input: current, relation: 'equivalent', formula: step3a.formula }, step3a.records);
+        current = step3a.formula;
+        
+        // 4 - Movendo quantificadores para prenex, ou para dentro (miniscopagem)
+        const standardized = current;
+        if (this.options.miniscope) {
+            const mini = this.miniscope(current);
+            add('miniscope', { title: "Miniscopagem (Quantificadores para Dentro)", input: current, relation: 'equivalent', formula: mini.formula }, mini.records);
+            current = mini.formula;
+        } else {
+            const step3 = this.toPrenexForm(current);
+            add('prenex', { title: "Movendo Quantificadores para Forma Prenex", input: current, relation: 'equivalent', formula: step3.formula }, step3.records);
+            current = step3.formula;
+        }
+        // A FND precisa de uma matriz sem quantificadores: parte da forma prenex, antes da Skolemização
+        // (com a miniscopagem, da prenex da forma padronizada, cujos passos entram na etapa da FND)
+        const prenex = this.options.miniscope ? this.toPrenexForm(standardized) : { formula: current, records: [] };
+    
+        // 5 - Skolemização
+        const step3b = this.skolemize(current);
+        add('skolem', { title: "Skolemização", input: current, relation: 'equisatisfiable', formula: step3b.formula }, step3b.records);
+        current = step3b.formula;
+
+        // 5b - Após a miniscopagem, só restam ∀ espalhados: trazê-los para a frente
+        if (this.options.miniscope) {
+            const universal = this.toPrenexForm(current);
+            add('universal-prefix', { title: "Quantificadores Universais para a Frente", input: current, relation: 'equivalent', formula: universal.formula }, universal.records);
+            current = universal.formula;
+        }
+
+        // 6a - FND
+        const step4 = this.toDNF(prenex.formula);
+        add('dnf', {
+            title: "Conversão para Forma Normal Disjuntiva (FND) Prenex",
+            input: this.options.miniscope ? standardized : prenex.formula, relation: 'equivalent', formula: step4.formula
+        }, [...prenex.records, ...step4.records]);
+        const simplify = this.options.simplify !== false;
+        if (simplify) {
+            const simplifiedDNF = simplifyNormalForm(step4.formula, 'dnf');
+            add('dnf-simplify', { title: "Simplificação da FND", input: step4.formula, relation: 'equivalent', formula: simplifiedDNF.formula }, simplifiedDNF.records);
+        }
+    
+        // 6b - CNF
+        const tseitin = this.options.cnfMode === 'tseitin';
+        const step5 = tseitin ? this.toTseitinCNF(current) : this.toCNF(current);
+        add(tseitin ? 'tseitin' : 'cnf', {
+            title: tseitin ? "Conversão para Forma Normal Conjuntiva (FNC) por Definições de Tseitin" : "Conversão para Forma Normal Conjuntiva (FNC)",
+            input: current, relation: tseitin ? 'equisatisfiable' : 'equivalent', formula: step5.formula
+        }, step5.records);
+        current = step5.formula;
+        if (simplify) {
+            const simplifiedCNF = simplifyNormalForm(current, 'cnf');
+            add('cnf-simplify', { title: "Simplificação da FNC", input: current, relation: 'equivalent', formula: simplifiedCNF.formula }, simplifiedCNF.records);
+            current = simplifiedCNF.formula;
+        }
+        this.clausalForm = current;
+    
+        // 7 - Forma cláusal (matriz)
+        const matrix = getMatrix(current);
+        const matrixRecords = [record('clausal-matrix', { before: current, after: matrix })];
+        if (closure.warnings.length > 0) matrixRecords.push(record('clausal-warning'));
+        add('clausal', { title: "Forma Clausal (quantificadores removidos)", input: current, relation: 'equivalent', formula: matrix }, matrixRecords);
+    
+        // 8 - Horn e programa lógico
+        const clauses = extractClauses(matrix).map(c => Clause.fromFormula(c));
+        const horn = analyzeHornClauses(clauses);
+        add('horn', { title: "Cláusulas de Horn e Programa Lógico", formula: matrix }, horn.records);
+
+        // 8a - Resolução SLD, quando o conjunto é Horn; uma consulta informada nunca some em silêncio
+        if (horn.isHorn) {
+            const sld = sldProof(clauses, this.options.query);
+            if (sld) add('sld', { title: "Resolução SLD", formula: sld.formula }, sld.records);
+        } else if (this.options.query) {
+            add('sld', { title: "Resolução SLD", formula: this.options.query }, [
+                record('sld-skipped', { query: this.options.query.toString() })
+            ]);
+        }
+
+        // 8b - Herbrand: instâncias básicas e procedimento de Gilmore (só em primeira ordem)
+        if (!this.formula.isPropositional()) {
+            const herbrand = herbrandAnalysis(clauses, this.options.herbrandDepth ?? 2);
+            add('herbrand', { title: "Universo de Herbrand e Instâncias Básicas (Gilmore)", formula: matrix }, herbrand.records);
+        }
+
+        // 9 - Refutação por resolução
+        const resolution = resolutionRefutation(current, this.options.resolution);
+        add('resolution', { title: "Refutação por Resolução", formula: resolution.formula }, resolution.records);
+
+        // 9b - Tableau semântico direto sobre a fórmula original (já sem quantificadores limitados)
+        const tableau = tableauProof(sentence, this.options.tableau);
+        add('tableau', { title: "Tableau Semântico (Validade)", formula: tableau.formula }, tableau.records);
+
+        // 10 - Semântica, para fórmulas proposicionais
+        if (this.formula.isPropositional()) {
+            if (this.formula.predicateSymbols().size <= TRUTH_TABLE_MAX_ATOMS) {
+                const table = truthTable(this.formula);
+                add('truth-table', { title: "Tabela-Verdade", formula: this.formula }, table.records);
+            }
+            const sat = satisfiabilityCheck(this.formula, current, this);
+            add('dpll', { title: "Satisfatibilidade (DPLL)", formula: this.formula }, sat.records);
+            if (simplify) {
+                const minimal = quineMcCluskey(this.formula);
+                add('minimize', minimal
+                    ? { title: "Minimização (Quine–McCluskey)", input: this.formula, relation: 'equivalent', formula: minimal.dnf }
+                    : { title: "Minimização (Quine–McCluskey)", formula: this.formula },
+                    minimal ? minimal.records : [record('qm-skipped', { limit: QM_MAX_ATOMS })]);
+            }
+        }
+
+        if (this.options.verify) this.verifySteps(allSteps);
+    
+        return allSteps;
+    }
+
+    // Verificação semântica de cada passo contra a sua entrada
+    verifySteps(steps) {
+        steps.filter(step => step.relation).forEach(step => {
+            const check = verifyStep(step.input, step.formula, step.relation);
+            appendRecord(step, check.record);
+            if (check.ok === false) step.failed = true;
+        });
+    }
+    
+}
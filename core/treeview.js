@@ -0,0 +1,106 @@
+// Árvore sintática de uma fórmula em SVG. Cada nó leva a sua posição (`data-path`, no mesmo formato
+// dos registros de derivação) para que a página possa destacar a subárvore reescrita por uma regra.
+import { escapeHtml } from './diagnostics.js';
+import { Formula, TEXT_NOTATION } from './formula.js';
+
+export const TREE_VIEW_LIMITS = { maxNodes: 250 };
+
+const LEVEL_HEIGHT = 56;
+const CHAR_WIDTH = 8;
+const NODE_PADDING = 14;
+const NODE_HEIGHT = 26;
+const MARGIN = 8;
+
+// Rótulo do nó: o conectivo, o quantificador com a sua variável (ou restrição) ou o átomo inteiro
+function nodeLabel(f) {
+    switch (f.type) {
+        case 'atom': return f.toText();
+        case 'forall':
+        case 'exists': return `${TEXT_NOTATION[f.type]}${f.right ? f.formatRestriction(TEXT_NOTATION) : f.content}`;
+        case 'true': return TEXT_NOTATION.top;
+        case 'false': return TEXT_NOTATION.bottom;
+        default: return (TEXT_NOTATION[f.type] || f.type).trim();
+    }
+}
+
+// A restrição de um quantificador limitado já aparece no rótulo dele
+const children = f => (f.isQuantifier() ? [f.left] : [f.left, f.right]).filter(g => g instanceof Formula);
+
+// Posição no formato dos registros de derivação ("" para a raiz, "0.1" para o filho direito do esquerdo)
+export const pathKey = path => path.join('.');
+
+/**
+ * Posiciona os nós: as folhas ocupam faixas lado a lado, com largura conforme o rótulo, e cada nó
+ * interno fica centrado sobre os filhos.
+ * @returns {{ nodes: object[], width: number, height: number }}
+ */
+export function layoutTree(formula) {
+    const nodes = [];
+    let cursor = MARGIN;
+    let depthMax = 0;
+    const place = (f, path, depth, parent) => {
+        const label = nodeLabel(f);
+        const width = label.length * CHAR_WIDTH + NODE_PADDING;
+        const node = { path, label, type: f.type, width, y: MARGIN + depth * LEVEL_HEIGHT + NODE_HEIGHT / 2, parent };
+        nodes.push(node);
+        depthMax = Math.max(depthMax, depth);
+        const kids = children(f).map((g, i) => place(g, [...path, i], depth + 1, node));
+        if (kids.length === 0) {
+            node.x = cursor + width / 2;
+            cursor += width + MARGIN;
+        } else {
+            node.x = (kids[0].x + kids[kids.length - 1].x) / 2;
+            // Um rótulo interno mais largo que os filhos empurra as próximas faixas
+            cursor = Math.max(cursor, node.x + width / 2 + MARGIN);
+        }
+        return node;
+    };
+    place(formula, [], 0, null);
+    return { nodes, width: cursor, height: MARGIN * 2 + depthMax * LEVEL_HEIGHT + NODE_HEIGHT };
+}
+
+/**
+ * SVG da árvore sintática. Nós e arestas têm `data-path`; quem mostra a árvore destaca uma subárvore
+ * aplicando classes a todos os elementos cujo caminho começa pelo da raiz dela.
+ * @param {Formula} formula
+ * @param {{ maxNodes?: number, label?: string }} [options]
+ * @returns {string} SVG, ou um aviso quando a árvore passa do limite de nós
+ */
+export function formulaToSvg(formula, options = {}) {
+    const maxNodes = options.maxNodes ?? TREE_VIEW_LIMITS.maxNodes;
+    const { nodes, width, height } = layoutTree(formula);
+    if (nodes.length > maxNodes) {
+        return `<div class="tree-note">Árvore com ${nodes.length} nós: grande demais para desenhar (limite de ${maxNodes}).</div>`;
+    }
+    const edges = nodes.filter(n => n.parent).map(n =>
+        `<line class="syntax-edge" data-path="${pathKey(n.path)}" x1="${n.parent.x}" y1="${n.parent.y + NODE_HEIGHT / 2}" x2="${n.x}" y2="${n.y - NODE_HEIGHT / 2}"/>`);
+    const shapes = nodes.map(n =>
+        `<g class="syntax-node syntax-${n.type}" data-path="${pathKey(n.path)}">` +
+        `<rect x="${n.x - n.width / 2}" y="${n.y - NODE_HEIGHT / 2}" width="${n.width}" height="${NODE_HEIGHT}" rx="6"/>` +
+        `<text x="${n.x}" y="${n.y}" text-anchor="middle" dominant-baseline="central">${escapeHtml(n.label)}</text></g>`);
+    const title = options.label ? `<title>${escapeHtml(options.label)}</title>` : '';
+    return `<svg class="syntax-tree" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${title}${edges.join('')}${shapes.join('')}</svg>`;
+}
+
+/**
+ * Posição de `target` dentro de `formula`: a sugerida, se a subfórmula ali for igual ao alvo, senão a
+ * primeira ocorrência numa busca em profundidade.
+ * @param {Formula} formula
+ * @param {Formula} target
+ * @param {number[]} [hint] posição registrada pela regra
+ * @returns {number[]|null}
+ */
+export function locateSubformula(formula, target, hint = []) {
+    const wanted = target.toString();
+    const hinted = formula.at(hint);
+    if (hinted && hinted.toString() === wanted) return hint;
+    const search = (f, path) => {
+        if (f.toString() === wanted) return path;
+        for (const [i, g] of children(f).entries()) {
+            const found = search(g, [...path, i]);
+            if (found) return found;
+        }
+        return null;
+    };
+    return search(formula, []);
+}
@@ -0,0 +1,56 @@
+import { record } from './derivation.js';
+import { Term } from './formula.js';
+
+// Unificação de Martelli–Montanari: reescreve um conjunto de equações até a forma resolvida.
+// Se trace for um array, cada regra aplicada é acrescentada a ele como registro da derivação.
+export function unify(pairs, trace = null) {
+    let equations = [...pairs];
+    const solved = new Map();
+    const log = (rule, params) => {
+        if (trace) trace.push(record(rule, params));
+    };
+    const show = (s, t) => `${s.toString()} \\doteq ${t.toString()}`;
+    const pending = () => equations.map(([s, t]) => show(s, t));
+
+    while (equations.length > 0) {
+        const [s, t] = equations.shift();
+        if (s.equals(t)) {
+            log('unify-delete', { equation: show(s, t), pending: pending() });
+            continue;
+        }
+        if (s.type !== 'var' && t.type === 'var') {
+            equations.unshift([t, s]);
+            log('unify-swap', { equation: show(s, t), swapped: show(t, s) });
+            continue;
+        }
+        if (s.type === 'var') {
+            if (t.variables().has(s.name)) {
+                log('unify-occurs', { equation: show(s, t), variable: s.name, term: t.toString() });
+                return null;
+            }
+            const binding = new Map([[s.name, t]]);
+            equations = equations.map(([l, r]) => [l.apply(binding), r.apply(binding)]);
+            solved.forEach((value, key) => solved.set(key, value.apply(binding)));
+            solved.set(s.name, t);
+            log('unify-eliminate', { equation: show(s, t), variable: s.name, term: t.toString(), pending: pending() });
+            continue;
+        }
+        if (s.name !== t.name || s.args.length !== t.args.length) {
+            log('unify-clash', { equation: show(s, t), symbols: [`${s.name}/${s.args.length}`, `${t.name}/${t.args.length}`] });
+            return null;
+        }
+        equations.unshift(...s.args.map((arg, i) => [arg, t.args[i]]));
+        log('unify-decompose', { equation: show(s, t), pending: pending() });
+    }
+    return solved;
+}
+
+// Unifica dois átomos (mesmo predicado e aridade)
+export function unifyAtoms(a, b, trace = null) {
+    return unify([[new Term('func', a.content, a.args), new Term('func', b.content, b.args)]], trace);
+}
+
+export function substitutionToString(subst) {
+    const parts = [...subst].map(([v, t]) => `${v} \\mapsto ${t.toString()}`);
+    return `\\{${parts.join(', ')}\\}`;
+}
@@ -0,0 +1,119 @@
+// Verificação semântica dos passos: tabela-verdade exata para fórmulas proposicionais e
+// busca exaustiva de contra-modelos em domínios finitos pequenos para primeira ordem
+import { describeRecord, record } from './derivation.js';
+import { Formula } from './formula.js';
+import { evaluatePropositional } from './propositional.js';
+import { evaluate, signature, countStructures, enumerateStructures } from './semantics.js';
+
+export const VERIFICATION_LIMITS = {
+    maxDomainSize: 3,
+    maxStructures: 50000,
+    maxPropositionalAtoms: 16
+};
+
+// Variáveis livres são lidas como universalmente quantificadas (como na forma clausal)
+function universalClosure(f) {
+    return [...f.freeVariables()].reverse().reduce((acc, v) => new Formula('forall', v, acc), f);
+}
+
+// Resultado da verificação, com o registro que o descreve
+function check(ok, rule, params = {}) {
+    const rec = record(rule, { ok, ...params });
+    return { ok, message: describeRecord(rec), record: rec };
+}
+
+function* valuations(atoms) {
+    for (let row = 0; row < 2 ** atoms.length; row++) {
+        yield new Map(atoms.map((a, i) => [a, Boolean((row >> i) & 1)]));
+    }
+}
+
+function verifyPropositional(input, output, relation, limits) {
+    const atoms = [...new Set([...input.predicateSymbols(), ...output.predicateSymbols()])].sort();
+    if (atoms.length > limits.maxPropositionalAtoms) {
+        return check(null, 'verify-skipped', { atoms: atoms.length, limit: limits.maxPropositionalAtoms });
+    }
+
+    if (relation === 'equivalent') {
+        for (const valuation of valuations(atoms)) {
+            const a = evaluatePropositional(input, valuation);
+            const b = evaluatePropositional(output, valuation);
+            if (a !== b) {
+                return check(false, 'verify-valuation', { valuation: [...valuation], input: a, output: b });
+            }
+        }
+        return check(true, 'verify-truth-table', { rows: 2 ** atoms.length });
+    }
+
+    const model = f => {
+        const own = [...f.predicateSymbols()];
+        for (const valuation of valuations(own)) if (evaluatePropositional(f, valuation)) return valuation;
+        return null;
+    };
+    const a = model(input);
+    const b = model(output);
+    if (Boolean(a) !== Boolean(b)) {
+        return check(false, 'verify-satisfiable-side', { side: a ? 'input' : 'output', valuation: [...(a || b)] });
+    }
+    return check(true, 'verify-equisatisfiable', { satisfiable: Boolean(a) });
+}
+
+function verifyFirstOrder(input, output, relation, limits) {
+    const closedInput = universalClosure(input);
+    const closedOutput = universalClosure(output);
+    let checked = 0;
+    let size = 1;
+
+    for (; size <= limits.maxDomainSize; size++) {
+        if (relation === 'equivalent') {
+            const sig = signature([closedInput, closedOutput]);
+            if (checked + countStructures(sig, size) > limits.maxStructures) break;
+            for (const structure of enumerateStructures(sig, size)) {
+                checked++;
+                const a = evaluate(closedInput, structure);
+                const b = evaluate(closedOutput, structure);
+                if (a !== b) {
+                    return check(false, 'verify-countermodel', { structure: structure.toJSON(), input: a, output: b });
+                }
+            }
+        } else {
+            const sigInput = signature([closedInput]);
+            const sigOutput = signature([closedOutput]);
+            if (checked + countStructures(sigInput, size) + countStructures(sigOutput, size) > limits.maxStructures) break;
+            const findModel = (f, sig) => {
+                for (const structure of enumerateStructures(sig, size)) {
+                    checked++;
+                    if (evaluate(f, structure)) return structure;
+                }
+                return null;
+            };
+            const a = findModel(closedInput, sigInput);
+            const b = findModel(closedOutput, sigOutput);
+            if (Boolean(a) !== Boolean(b)) {
+                return check(false, 'verify-model-size', { side: a ? 'input' : 'output', size, structure: (a || b).toJSON() });
+            }
+        }
+    }
+
+    const largest = size - 1;
+    if (largest === 0) {
+        return check(null, 'verify-signature-too-large');
+    }
+    const limit = largest < limits.maxDomainSize ? limits.maxStructures : null;
+    return check(true, 'verify-domains', { largest, relation, checked, limit });
+}
+
+/**
+ * Confere um passo do pipeline contra a sua entrada.
+ * @param {Formula} input fórmula antes do passo
+ * @param {Formula} output fórmula depois do passo
+ * @param {'equivalent'|'equisatisfiable'} relation o que o passo deve preservar
+ * @returns {{ ok: boolean|null, message: string, record: object }} ok é null quando a verificação é
+ *   inconclusiva; `record` é o registro de derivação do resultado e `message`, o texto dele
+ */
+export function verifyStep(input, output, relation, limits = VERIFICATION_LIMITS) {
+    if (input.isPropositional() && output.isPropositional()) {
+        return verifyPropositional(input, output, relation, limits);
+    }
+    return verifyFirstOrder(input, output, relation, limits);
+}
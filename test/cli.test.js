@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/formulas.js', import.meta.url));
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+
+test('imprime as formas pedidas e sai com 0', () => {
+    const result = run(['--form', 'nnf,cnf', 'forall x. (P(x) -> Q(x))']);
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, 'FNN: ∀x (¬P(x) ∨ Q(x))\nFNC: ∀x (¬P(x) ∨ Q(x))\n');
+});
+
+test('lê uma fórmula por linha da entrada padrão e gera JSON', () => {
+    const result = run(['--form', 'nnf', '--format', 'json'], 'P -> Q\n\n~(P & Q)\n');
+    assert.equal(result.status, 0);
+    assert.deepEqual(JSON.parse(result.stdout).map(r => r.input), ['P -> Q', '~(P & Q)']);
+});
+
+test('erro de sintaxe: diagnóstico na saída de erro e código 1', () => {
+    const result = run(['P & (Q']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /\^/);
+});
+
+test('opções inválidas: uso na saída de erro e código 2', () => {
+    for (const args of [['--form', 'xyz'], ['--dialect', 'foo'], ['--scope', 'x'], ['--cnf-mode', 'y'], ['--free', 'z'], ['--prenex', 'w'], ['--bogus'], ['--format']]) {
+        const result = run([...args, 'P']);
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, /^erro: .*\n\nUso:/, args.join(' '));
+    }
+});
+
+test('--help sai com 0', () => {
+    assert.equal(run(['--help']).status, 0);
+});
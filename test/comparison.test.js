@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processComparison } from '../core/index.js';
+
+const verdict = (a, b, mode) => processComparison(a, b, mode).at(-1).steps[0];
+
+test('equivalência proposicional', () => {
+    assert.match(verdict('P \\rightarrow Q', '\\neg Q \\rightarrow \\neg P'), /^<b>Sim:<\/b>/);
+    assert.match(verdict('P \\rightarrow Q', 'Q \\rightarrow P'), /^<b>Não:<\/b>.*contra-exemplo/);
+});
+
+test('consequência lógica proposicional', () => {
+    assert.match(verdict('P \\land Q', 'P', 'entailment'), /^<b>Sim:<\/b> \$A \\models B\$/);
+    assert.match(verdict('P', 'P \\land Q', 'entailment'), /^<b>Não:<\/b> \$A \\not\\models B\$/);
+});
+
+test('primeira ordem: prova por resolução ou contra-modelo finito', () => {
+    assert.match(verdict('\\neg \\exists x P(x)', '\\forall x \\neg P(x)'), /^<b>Sim:<\/b>.*cláusula vazia/);
+    assert.match(verdict('\\forall x \\exists y R(x,y)', '\\exists y \\forall x R(x,y)', 'entailment'), /^<b>Não:<\/b>.*contra-modelo/);
+    assert.match(verdict('\\exists y \\forall x R(x,y)', '\\forall x \\exists y R(x,y)', 'entailment'), /^<b>Sim:<\/b>/);
+});
+
+test('erro de leitura indica qual fórmula falhou', () => {
+    assert.equal(processComparison('P', 'Q \\land')[0].title, 'Erro na fórmula B');
+});
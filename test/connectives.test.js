@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, toNNF, toCNF, clauses, processFormula, verifyStep, FormulaTransformer } from '../core/index.js';
+
+const nnf = input => toNNF(input).toText();
+
+test('constantes, igualdade e conectivos novos são lidos e reescritos em LaTeX', () => {
+    assert.equal(parse('P \\land \\top').toString(), '(P \\land \\top)');
+    assert.equal(parse('x \\neq y').toString(), 'x \\neq y');
+    assert.equal(parse('P \\oplus Q').toString(), '(P \\oplus Q)');
+    assert.equal(parse('P \\uparrow Q').toString(), '(P \\uparrow Q)');
+    assert.equal(parse('\\bigwedge(P, Q, R)').toString(), '((P \\land Q) \\land R)');
+    assert.equal(parse('\\bigvee\\{\\}').toString(), '\\bot');
+    assert.equal(parse('\\bigwedge()').toString(), '\\top');
+});
+
+test('⊕, ↑ e ↓ são eliminados com ¬, ∧ e ∨', () => {
+    assert.equal(nnf('P \\oplus Q'), '((P ∨ Q) ∧ (¬P ∨ ¬Q))');
+    assert.equal(nnf('P \\uparrow Q'), '(¬P ∨ ¬Q)');
+    assert.equal(nnf('P \\downarrow Q'), '(¬P ∧ ¬Q)');
+    for (const input of ['P \\oplus Q', 'P \\uparrow Q', 'P \\downarrow Q', '(P \\to Q) \\leftrightarrow (R \\oplus S)']) {
+        assert.equal(verifyStep(parse(input), toCNF(input), 'equivalent').ok, true, input);
+    }
+});
+
+test('⊤ e ⊥ são propagados na FNN e na FNC', () => {
+    assert.equal(nnf('P \\land \\top'), 'P');
+    assert.equal(nnf('\\bot \\lor P'), 'P');
+    assert.equal(nnf('\\neg \\top \\rightarrow Q'), '⊤');
+    assert.equal(nnf('P \\oplus \\top'), '¬P');
+    assert.equal(toCNF('P \\lor \\top').toText(), '⊤');
+});
+
+test('↔ e ⊕ transformam cada lado uma vez e o reaproveitam', () => {
+    const transformer = new FormulaTransformer(parse('P'));
+    const { formula, records } = transformer.eliminateImplications(parse('(P \\rightarrow Q) \\leftrightarrow (R \\oplus S)'));
+    assert.deepEqual(records.map(r => r.rule), ['imp-elim', 'xor-elim', 'iff-elim']);
+    assert.equal(formula.left.left.left, formula.right.right);
+    assert.equal(formula.left.right, formula.right.left.left);
+    records.forEach(r => assert.equal(formula.at(r.path).toString(), r.after.toString(), r.rule));
+
+    const xor = transformer.eliminateImplications(parse('(P \\rightarrow Q) \\oplus R'));
+    assert.equal(xor.records.filter(r => r.rule === 'imp-elim').length, 1);
+    assert.equal(xor.formula.left.left, xor.formula.right.left.left);
+});
+
+test('igualdades viram literais da forma clausal e são tratadas na análise de Horn', () => {
+    assert.deepEqual(clauses('\\forall x (x = a \\rightarrow P(x))').map(c => c.toString()), ['x \\neq a \\lor P(x)']);
+    const horn = processFormula('P(a) \\land a = b').steps.find(s => s.stage === 'horn');
+    assert.ok(horn.steps.some(line => line.includes('<code>=/2</code> é predefinido')));
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processFormula, processUnification, processComparison, renderDerivation, describeRecord, record, importDerivation, diffDerivations, diffToStep, tableauToHtml, buildTableau, parse } from '../core/index.js';
+
+// Palavras que só aparecem no texto em português
+const PORTUGUESE = /\b(cláusulas?|fórmula|passos?|verdadeiros?|falsos?|entrada|saída|Resultado|Classificação|Dialeto|termos|átomos|nenhum|Profundidade|Estratégia|Rodada|Implicantes|mintermos|hipótese|fecha|aberto|sucesso|falha|Verificado|contra-modelo|valoração|domínio|omitida|Restam|Pergunta|Conclusão|Estrutura|Erro|Esperado|testemunha|depende|Sim|Não)\b/;
+
+const english = (input, options) => renderDerivation(processFormula(input, options).steps, { language: 'en' });
+
+function assertEnglish(steps) {
+    for (const step of renderDerivation(steps, { language: 'en' })) {
+        assert.doesNotMatch(step.title, PORTUGUESE, step.title);
+        for (const line of step.steps) assert.doesNotMatch(line, PORTUGUESE, `${step.stage}: ${line}`);
+    }
+}
+
+test('em inglês, as análises, a verificação e o dialeto não deixam texto em português', () => {
+    const runs = [
+        ['(P \\rightarrow Q) \\land (Q \\leftrightarrow R)', { simplify: true, verify: true, showParse: true }],
+        ['\\forall x (P(x) \\rightarrow Q(f(x))) \\land P(a)', { verify: true, query: 'Q(f(a))' }],
+        ['\\forall x (P(x) \\lor Q(x)) \\land \\neg P(a) \\land \\exists y (y = a)', { verify: true, query: 'P(a)' }],
+        ['(\\exists x P(x)) \\rightarrow \\forall x P(x)', { verify: true }]
+    ];
+    const stages = new Set();
+    for (const [input, options] of runs) {
+        for (const step of english(input, options)) {
+            stages.add(step.stage);
+            for (const line of step.steps) assert.doesNotMatch(line, PORTUGUESE, `${step.stage}: ${line}`);
+        }
+    }
+    for (const stage of ['horn', 'sld', 'herbrand', 'resolution', 'tableau', 'truth-table', 'dpll', 'minimize']) assert.ok(stages.has(stage), stage);
+});
+
+test('o mesmo registro sai em cada idioma', () => {
+    const rec = record('dpll-sat', { valuation: [['P', true], ['Q', false]] });
+    assert.equal(describeRecord(rec), '<b>SAT:</b> valoração que satisfaz a fórmula: $P = V, Q = F$');
+    assert.equal(describeRecord(rec, { language: 'en' }), '<b>SAT:</b> valuation satisfying the formula: $P = T, Q = F$');
+    const [first] = english('P \\lor Q', { dialect: 'latex' });
+    assert.ok(first.steps.includes('Input dialect: LaTeX'), first.steps.join('\n'));
+});
+
+test('a árvore do tableau é renderizada no idioma pedido', () => {
+    const { root } = buildTableau(parse('\\neg (P \\lor \\neg P)'));
+    assert.match(tableauToHtml(root), /hipótese.*fecha/s);
+    assert.match(tableauToHtml(root, 'en'), /hypothesis.*closed/s);
+});
+
+test('a derivação exportada volta em JSON e é renderizada em inglês', () => {
+    const { derivation } = processFormula('\\forall x (P(x) \\rightarrow Q(x)) \\land P(a)', { verify: true, query: 'Q(a)' });
+    const imported = importDerivation(JSON.stringify(derivation));
+    const sld = renderDerivation(imported.steps, { language: 'en' }).find(s => s.stage === 'sld');
+    assert.equal(sld.title, 'SLD Resolution');
+    assert.ok(sld.steps.some(line => /success/.test(line)), sld.steps.join('\n'));
+    assert.deepEqual(diffDerivations(imported, derivation), []);
+});
+
+test('as análises não contam como regras divergentes na comparação', () => {
+    const a = processFormula('P \\rightarrow Q', { resolution: { strategy: 'saturation' } }).derivation;
+    const b = processFormula('P \\rightarrow Q', { resolution: { strategy: 'unit-preference' } }).derivation;
+    assert.deepEqual(diffDerivations(a, b), []);
+});
+
+test('em inglês, unificação, comparação, avaliação na estrutura e pipeline interrompido não deixam texto em português', () => {
+    assertEnglish(processUnification('f(x, g(y))', 'f(g(a), x)'));
+    assertEnglish(processUnification('f(x)', 'x'));
+    assertEnglish(processComparison('P \\rightarrow Q', 'Q \\rightarrow P'));
+    assertEnglish(processComparison('\\neg \\exists x P(x)', '\\forall x \\neg P(x)'));
+    assertEnglish(processComparison('\\forall x \\exists y R(x,y)', '\\exists y \\forall x R(x,y)', 'entailment'));
+
+    const structure = JSON.stringify({ dominio: [0, 1], predicados: { R: [[0, 1], [1, 0]] }, variaveis: { z: 0 } });
+    const checked = processFormula('\\forall x \\exists y R(x,y) \\land R(z, z)', { structure }).steps;
+    assertEnglish(checked);
+    const summary = renderDerivation(checked, { language: 'en' }).at(-1);
+    assert.equal(summary.title, 'Evaluation in the Finite Structure');
+    assert.ok(summary.steps.includes('Negation Normal Form: <b>F</b>'), summary.steps.join('\n'));
+
+    for (const pipeline of [['nnf'], ['eliminate', 'foo'], ['eliminate', 'eliminate']]) {
+        const [stopped] = renderDerivation(processFormula('P \\rightarrow Q', { pipeline }).steps, { language: 'en' }).slice(-1);
+        assert.equal(stopped.title, 'Pipeline Stopped');
+        assert.match(stopped.steps[0], /^<b>(Unmet precondition|Invalid pipeline):<\/b>/);
+        assert.doesNotMatch(stopped.steps[0], PORTUGUESE);
+    }
+
+    assertEnglish([diffToStep([]), diffToStep(diffDerivations(processFormula('P \\lor Q').derivation, processFormula('P \\land Q').derivation))]);
+});
+
+test('os passos de erro têm título e diagnóstico no idioma pedido', () => {
+    const [parse] = renderDerivation(processFormula('P \\land').steps, { language: 'en' });
+    assert.equal(parse.title, 'Error');
+    assert.match(parse.steps[0], /<div>Expected: /);
+    const [term] = renderDerivation(processUnification('a', 'f(x'), { language: 'en' });
+    assert.equal(term.title, 'Error in the second term');
+    assert.equal(renderDerivation(processComparison('P', 'Q \\land'), { language: 'en' })[0].title, 'Error in formula B');
+    const failed = processFormula('P', { structure: '{', query: 'Q(' }).steps;
+    assert.deepEqual(renderDerivation(failed, { language: 'en' }).slice(-2).map(s => s.title), ['Error in the SLD Query', 'Error in the Structure']);
+});
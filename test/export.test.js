@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, toCNF, toDIMACS, toTPTP, toSMTLIB, Formula, Term, processFormula } from '../core/index.js';
+
+test('DIMACS numera os átomos e recusa cláusulas com variáveis', () => {
+    const dimacs = toDIMACS(toCNF(parse('(P \\lor \\neg Q) \\land Q')));
+    assert.match(dimacs, /^p cnf 2 2$/m);
+    assert.match(dimacs, /^1 -2 0$/m);
+    assert.equal(toDIMACS(toCNF(parse('\\forall x P(x)'))), null);
+});
+
+test('TPTP: fórmula original como fof e cláusulas como cnf', () => {
+    const f = parse('\\forall x (P(x) \\rightarrow Q(x))');
+    const tptp = toTPTP(f, toCNF(f));
+    assert.match(tptp, /fof\(formula, axiom, \(! \[X\] : \(p\(X\) => q\(X\)\)\)\)\./);
+    assert.match(tptp, /cnf\(c1, axiom, ~ p\(X\) \| q\(X\)\)\./);
+});
+
+test('TPTP: o fof segue a política de variáveis livres, como as cláusulas', () => {
+    const tptp = policy => processFormula('P(x)', { freeVariables: policy }).exports.tptp;
+    assert.match(tptp('existential'), /fof\(formula, axiom, \(\? \[X\] : p\(X\)\)\)\./);
+    assert.match(tptp('existential'), /cnf\(c1, axiom, p\(c1\)\)\./);
+    assert.match(tptp('constant'), /fof\(formula, axiom, p\(c_x\)\)\./);
+    assert.match(tptp('constant'), /cnf\(c1, axiom, p\(c_x\)\)\./);
+    assert.match(tptp('universal'), /fof\(formula, axiom, \(! \[X\] : p\(X\)\)\)\./);
+});
+
+test('SMT-LIB declara sort, símbolos e um assert por cláusula', () => {
+    const smt = toSMTLIB(toCNF(parse('\\forall x (P(x) \\rightarrow Q(f(x)))')));
+    assert.match(smt, /\(declare-sort U 0\)/);
+    assert.match(smt, /\(declare-fun f \(U\) U\)/);
+    assert.match(smt, /\(assert \(forall \(\(x U\)\) \(or \(not \(P x\)\) \(Q \(f x\)\)\)\)\)/);
+});
+
+test('SMT-LIB põe entre |…| ou renomeia símbolos inválidos ou reservados', () => {
+    const atom = (name, ...args) => new Formula('atom', name, null, null, args);
+    const f = new Formula('or', null, atom('\\overline{P}', new Term('const', '0')), atom('U', new Term('const', 'and')));
+    const smt = toSMTLIB(f);
+    assert.match(smt, /\(declare-fun \|0\| \(\) U\)/);
+    assert.match(smt, /\(declare-fun \|_overline\{P\}\| \(U\) Bool\)/);
+    assert.match(smt, /\(declare-fun U_1 \(U\) Bool\)/);
+    assert.match(smt, /\(declare-fun and_1 \(\) U\)/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, close, FormulaTransformer, processFormula } from '../core/index.js';
+
+const INPUT = 'P(x) \\land \\exists y Q(y,z)';
+
+test('variáveis livres: ocorrências ligadas não contam', () => {
+    assert.deepEqual([...parse('P(x) \\land \\forall x Q(x,y)').freeVariables()], ['x', 'y']);
+    assert.deepEqual([...parse('\\forall x \\exists y R(x,y)').freeVariables()], []);
+});
+
+test('fecho universal, existencial ou por constantes novas', () => {
+    assert.equal(close(INPUT).toText(), '∀x ∀z (P(x) ∧ ∃y Q(y,z))');
+    assert.equal(close(INPUT, { freeVariables: 'existential' }).toText(), '∃x ∃z (P(x) ∧ ∃y Q(y,z))');
+    assert.equal(close(INPUT, { freeVariables: 'constant' }).toText(), '(P(c_x) ∧ ∃y Q(y,c_z))');
+});
+
+test('só as políticas que mudam a leitura da forma clausal geram aviso', () => {
+    const closeWith = (input, freeVariables) => {
+        const transformer = new FormulaTransformer(parse(input), { freeVariables });
+        return transformer.closeFreeVariables(transformer.formula);
+    };
+    assert.deepEqual(closeWith('\\forall x P(x)').records.map(r => r.rule), ['free-none']);
+    assert.equal(closeWith('P(x)', 'universal').warnings.length, 0);
+    const existential = closeWith('P(x)', 'existential');
+    assert.deepEqual(existential.free, ['x']);
+    assert.deepEqual(existential.records.map(r => r.rule), ['free-detected', 'free-closure', 'free-warning']);
+});
+
+test('o aviso chega à forma clausal', () => {
+    const { steps } = processFormula('P(x)', { freeVariables: 'constant' });
+    assert.equal(steps.find(s => s.stage === 'free-variables').relation, undefined);
+    assert.ok(steps.find(s => s.stage === 'clausal').records.some(r => r.rule === 'clausal-warning'));
+});
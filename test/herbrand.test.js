@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, clauses, signature, herbrandUniverse, herbrandBase, groundInstances, herbrandAnalysis } from '../core/index.js';
+
+const sigOf = cs => signature(cs.flatMap(c => c.literals.map(l => l.atom)));
+const strings = items => items.map(String);
+
+test('universo de Herbrand nível a nível', () => {
+    const cs = clauses('\\forall x (P(x) \\rightarrow P(f(x))) \\land P(a)');
+    const universe = herbrandUniverse(sigOf(cs), 2);
+    assert.deepEqual(universe.levels.map(strings), [['a'], ['f(a)'], ['f(f(a))']]);
+    assert.equal(universe.finite, false);
+    // Sem constantes, acrescenta-se uma
+    assert.deepEqual(herbrandUniverse(signature([parse('P(x)')]), 2).levels.map(strings), [['a']]);
+});
+
+test('base de Herbrand e instâncias básicas', () => {
+    const cs = clauses('\\forall x (P(x) \\rightarrow P(f(x))) \\land P(a)');
+    const sig = sigOf(cs);
+    const terms = herbrandUniverse(sig, 1).terms;
+    assert.deepEqual(strings(herbrandBase(sig, terms)), ['P(a)', 'P(f(a))']);
+    assert.deepEqual(groundInstances(cs[0], terms).map(strings), [['\\neg P(a)', 'P(f(a))'], ['\\neg P(f(a))', 'P(f(f(a)))']]);
+});
+
+test('Gilmore: insatisfatível, satisfatível ou inconclusivo', () => {
+    assert.equal(herbrandAnalysis(clauses('\\forall x (P(x) \\rightarrow Q(x)) \\land P(a) \\land \\neg Q(a)')).status, 'unsatisfiable');
+    assert.equal(herbrandAnalysis(clauses('P(a) \\land \\forall x (P(x) \\rightarrow Q(x))')).status, 'satisfiable');
+    assert.equal(herbrandAnalysis(clauses('\\forall x (P(x) \\rightarrow P(f(x))) \\land P(a)')).status, 'unknown');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, clauses, classifyClause, prologNames, toProlog, toKowalski, hornRenaming, sldResolution, processFormula } from '../core/index.js';
+
+const PROGRAM = '\\neg Q(b) \\land P(a) \\land \\forall x (P(x) \\rightarrow Q(x))';
+
+test('classificação das cláusulas e notação Prolog', () => {
+    const cs = clauses(PROGRAM);
+    assert.deepEqual(cs.map(classifyClause), ['objetivo', 'fato', 'regra']);
+    assert.deepEqual(cs.map(toProlog), ['?- q(b).', 'p(a).', 'q(X) :- p(X).']);
+    const nonHorn = clauses('P \\lor Q')[0];
+    assert.equal(classifyClause(nonHorn), 'não-Horn');
+    assert.equal(toProlog(nonHorn), null);
+    assert.equal(toKowalski(nonHorn), 'P \\lor Q \\leftarrow \\top');
+});
+
+test('símbolos distintos não caem no mesmo nome Prolog', () => {
+    const program = clauses('P(a) \\land \\neg p(a)');
+    const names = prologNames(program);
+    assert.deepEqual(program.map(c => toProlog(c, names)), ['p_2(a).', '?- p(a).']);
+    assert.deepEqual(clauses('\\forall x \\forall X (P(x, X) \\rightarrow Q(X))').map(c => toProlog(c)), ['q(X) :- p(X_2, X).']);
+    const constants = clauses('R(A, a)');
+    assert.deepEqual(constants.map(c => toProlog(c)), ['r(a_2, a).']);
+    const horn = processFormula('P(a) \\land \\neg p(a)').steps.find(s => s.stage === 'horn').steps.join('\n');
+    assert.match(horn, /<code>p_2\(a\)\.<\/code>/);
+});
+
+test('renomeação que torna o conjunto Horn', () => {
+    assert.deepEqual([...hornRenaming(clauses('(P \\lor Q) \\land (\\neg P \\lor R)'))], ['Q']);
+    assert.equal(hornRenaming(clauses('(P \\lor Q) \\land (\\neg P \\lor \\neg Q) \\land (P \\lor \\neg Q) \\land (\\neg P \\lor Q)')), null);
+});
+
+test('as arestas SLD usam a numeração da lista completa de cláusulas', () => {
+    const { root } = sldResolution(clauses(PROGRAM), [parse('Q(a)')]);
+    assert.equal(root.children[0].clause, 3);
+    assert.equal(root.children[0].node.children[0].clause, 2);
+
+    const { steps } = processFormula(PROGRAM, { query: 'Q(a)' });
+    const horn = steps.find(s => s.stage === 'horn').steps.join('\n');
+    const sld = steps.find(s => s.stage === 'sld').steps.join('\n');
+    assert.match(horn, /Cláusula 3: \$\\neg P\(x\) \\lor Q\(x\)\$/);
+    assert.match(sld, /cláusula 3, \$\\\{x \\mapsto a\\\}\$/);
+    assert.match(sld, /\(cláusula 2\)/);
+});
+
+test('sem consulta, a primeira cláusula objetivo vira a consulta', () => {
+    const { steps } = processFormula(PROGRAM);
+    const sld = steps.find(s => s.stage === 'sld');
+    assert.match(sld.steps[0], /cláusula objetivo \$\\neg Q\(b\)\$/);
+    assert.equal(sld.formula.toString(), '\\text{falha}');
+});
+
+test('consulta informada com conjunto não Horn gera aviso em vez de sumir', () => {
+    const { steps } = processFormula('P \\lor Q', { query: 'P' });
+    const sld = steps.find(s => s.stage === 'sld');
+    assert.ok(sld);
+    assert.match(sld.steps.join('\n'), /omitida.*não é Horn/);
+    assert.equal(processFormula('P \\lor Q').steps.find(s => s.stage === 'sld'), undefined);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, miniscope, skolemize, toDNF, verifyStep, processFormula } from '../core/index.js';
+
+const INPUT = '\\forall x \\exists y (P(x) \\land Q(y))';
+
+test('a miniscopagem empurra os quantificadores para dentro', () => {
+    assert.equal(miniscope(INPUT).toText(), '((∀x P(x)) ∧ ∃y Q(y))');
+    assert.equal(miniscope('\\exists x (P(x) \\lor Q(x))').toText(), '((∃x P(x)) ∨ ∃x Q(x))');
+    // ∀ não distribui sobre ∨
+    assert.equal(miniscope('\\forall x (P(x) \\lor Q(x))').toText(), '∀x (P(x) ∨ Q(x))');
+    assert.equal(verifyStep(parse(INPUT), miniscope(INPUT), 'equivalent').ok, true);
+});
+
+test('Skolemizar a forma miniscopada dá funções com menos argumentos', () => {
+    assert.equal(skolemize(INPUT).toText(), '∀x (P(x) ∧ Q(f1(x)))');
+    assert.equal(skolemize(INPUT, { miniscope: true }).toText(), '∀x (P(x) ∧ Q(c1))');
+});
+
+test('no modo miniscopado só a miniscopagem é calculada, mas a FND parte da forma prenex', () => {
+    const input = '\\forall x (P(x) \\lor (Q \\land R))';
+    const { steps } = processFormula(input, { miniscope: true, simplify: true, verify: true });
+    const stages = steps.map(s => s.stage);
+    assert.ok(stages.includes('miniscope'));
+    assert.ok(!stages.includes('prenex'));
+    const dnf = steps.find(s => s.stage === 'dnf');
+    assert.equal(dnf.formula.toText(), '∀x (P(x) ∨ (Q ∧ R))');
+    assert.ok(steps.filter(s => s.stage.startsWith('dnf')).every(s => !s.failed));
+    assert.equal(toDNF(input, { miniscope: true }).toText(), dnf.formula.toText());
+    assert.equal(toDNF('(\\forall x P(x) \\lor \\exists y Q(y)) \\land R', { miniscope: true }).toText(), '∀x ∃y ((P(x) ∧ R) ∨ (Q(y) ∧ R))');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, Structure, StructureError, evaluate, evaluateInStructure, processFormula } from '../core/index.js';
+
+const STRUCTURE = {
+    dominio: [0, 1],
+    constantes: { a: 0 },
+    funcoes: { f: [[0, 1], [1, 0]] },
+    predicados: { P: [[0]], R: [[0, 1], [1, 0]] }
+};
+
+test('avaliação de fórmulas numa estrutura finita', () => {
+    const structure = Structure.fromJSON(STRUCTURE);
+    assert.equal(evaluate(parse('P(a)'), structure), true);
+    assert.equal(evaluate(parse('\\forall x P(x)'), structure), false);
+    assert.equal(evaluate(parse('\\forall x \\exists y R(x,y)'), structure), true);
+    assert.equal(evaluate(parse('\\forall x R(x,f(x))'), structure), true);
+});
+
+test('testemunhas e contra-exemplos dos quantificadores', () => {
+    const structure = Structure.fromJSON(STRUCTURE);
+    const { value, lines } = evaluateInStructure(parse('\\forall x \\exists y R(x,y)'), structure);
+    assert.equal(value, true);
+    assert.ok(lines.some(line => /testemunha \$y = 1\$/.test(line)));
+    assert.equal(evaluateInStructure(parse('\\forall x P(x)'), structure).value, false);
+});
+
+test('símbolos novos (como os de Skolem) são tratados por busca de expansões', () => {
+    const { value } = evaluateInStructure(parse('\\forall x R(x,g(x))'), Structure.fromJSON(STRUCTURE));
+    assert.equal(value, null);
+});
+
+test('estruturas mal formadas levantam StructureError', () => {
+    for (const bad of ['{', { dominio: [] }, { dominio: [0], constantes: { a: 5 } }, { dominio: [0, 1], funcoes: { f: [[0, 1]] } }]) {
+        assert.throws(() => Structure.fromJSON(bad), StructureError);
+    }
+});
+
+test('o pipeline avalia cada forma intermediária na estrutura', () => {
+    const structure = JSON.stringify({ dominio: [0, 1], predicados: { R: [[0, 1], [1, 0]] } });
+    const { steps } = processFormula('\\forall x \\exists y R(x,y)', { structure });
+    const summary = steps.at(-1).steps;
+    assert.ok(summary.includes('Forma Negativa Normal: <b>V</b>'));
+    assert.ok(summary.includes('Skolemização: depende da interpretação dos símbolos novos'));
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, ParseError, detectDialect } from '../core/index.js';
+
+const text = (input, options) => parse(input, options).toText();
+
+test('os quatro dialetos leem a mesma fórmula', () => {
+    const expected = '∀x (P(x) → (Q(x) ∨ ¬R(x)))';
+    assert.equal(text('\\forall x (P(x) \\rightarrow Q(x) \\lor \\neg R(x))'), expected);
+    assert.equal(text('∀x (P(x) → Q(x) ∨ ¬R(x))'), expected);
+    assert.equal(text('forall x. (P(x) -> Q(x) | ~R(x))'), expected);
+    assert.equal(text('![X]: (p(X) => (q(X) | ~r(X)))'), '∀X (p(X) → (q(X) ∨ ¬r(X)))');
+});
+
+test('detecta o dialeto pelo aspecto da entrada', () => {
+    assert.equal(detectDialect('\\neg P'), 'latex');
+    assert.equal(detectDialect('¬P'), 'unicode');
+    assert.equal(detectDialect('![X]: p(X)'), 'tptp');
+    assert.equal(detectDialect('~P | Q'), 'ascii');
+});
+
+test('precedência: ¬ antes de ∧, ∧ antes de ∨, ∨ antes de →, → antes de ↔', () => {
+    assert.equal(text('~P & Q | R -> S <-> T'), '((((¬P ∧ Q) ∨ R) → S) ↔ T)');
+});
+
+test('implicação e bicondicional associam à direita; ∧ e ∨ à esquerda', () => {
+    assert.equal(text('P -> Q -> R'), '(P → (Q → R))');
+    assert.equal(text('P <-> Q <-> R'), '(P ↔ (Q ↔ R))');
+    assert.equal(text('P & Q & R'), '((P ∧ Q) ∧ R)');
+});
+
+test('escopo dos quantificadores: amplo por padrão, estreito como opção', () => {
+    assert.equal(text('forall x. P(x) -> Q(x)'), '∀x (P(x) → Q(x))');
+    assert.equal(text('forall x. P(x) -> Q(x)', { quantifierScope: 'narrow' }), '((∀x P(x)) → Q(x))');
+});
+
+test('termos: variáveis ligadas, funções e constantes', () => {
+    const f = parse('\\forall x P(f(x), a)');
+    const [fx, a] = f.left.args;
+    assert.equal(fx.type, 'func');
+    assert.equal(fx.args[0].type, 'var');
+    assert.equal(a.type, 'const');
+});
+
+test('impressão em LaTeX relida dá a mesma fórmula', () => {
+    for (const input of ['\\forall x \\exists y (P(x) \\leftrightarrow \\neg Q(y))', '(P \\lor Q) \\land R', '\\neg \\neg P(a)']) {
+        const f = parse(input);
+        assert.equal(parse(f.toString()).toString(), f.toString());
+    }
+});
+
+test('erros de sintaxe trazem posição, tokens esperados e dica', () => {
+    assert.throws(() => parse('P \\land'), e => e instanceof ParseError && e.pos === 7 && e.expected.length > 0);
+    assert.throws(() => parse('(P \\land Q'), e => e instanceof ParseError && e.pos === 0 && /Feche/.test(e.hint));
+    assert.throws(() => parse('\\forll x P(x)'), e => e instanceof ParseError && /\\forall/.test(e.hint));
+    assert.throws(() => parse('P => Q', { dialect: 'latex' }), ParseError);
+});
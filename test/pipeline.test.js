@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, pipeline, runPipeline, validatePipeline, unmetPreconditions, PipelineError, PIPELINE_STAGES, PIPELINE_PRESETS, processFormula } from '../core/index.js';
+
+test('as etapas rodam na ordem dada, cada uma com o seu passo', () => {
+    const { formula, steps } = runPipeline(parse('\\exists y \\forall x (P(x) \\rightarrow Q(y))'), PIPELINE_PRESETS['skolem-dnf'], { verify: true });
+    assert.deepEqual(steps.map(s => s.stage), ['original', ...PIPELINE_PRESETS['skolem-dnf']]);
+    assert.equal(formula.toText(), '∀x (¬P(x) ∨ Q(c1))');
+    assert.equal(steps.find(s => s.stage === 'skolem').relation, 'equisatisfiable');
+    assert.ok(steps.every(s => !s.failed));
+});
+
+test('as pré-condições são conferidas na fórmula, não na lista de etapas', () => {
+    assert.equal(pipeline('(\\neg P \\land Q) \\lor R', ['cnf']).toText(), '((¬P ∨ R) ∧ (Q ∨ R))');
+    assert.equal(pipeline('\\forall x P(x) \\rightarrow \\exists y Q(y)', ['eliminate', 'nnf', 'standardize', 'prenex']).toText(), '∀x ∃y (¬P(x) ∨ Q(y))');
+    assert.deepEqual(unmetPreconditions(parse('\\neg (P \\land Q)'), PIPELINE_STAGES.cnf.requires), ['nnf']);
+});
+
+test('pré-condição não satisfeita interrompe com os passos já feitos', () => {
+    assert.throws(() => runPipeline(parse('P \\rightarrow Q'), ['nnf']), e => {
+        assert.ok(e instanceof PipelineError);
+        assert.equal(e.stage, 'nnf');
+        assert.deepEqual(e.unmet, ['implication-free']);
+        assert.deepEqual(e.steps.map(s => s.stage), ['original']);
+        assert.match(e.message, /inclua antes "eliminate"/);
+        return true;
+    });
+});
+
+test('listas vazias, etapas desconhecidas ou repetidas são recusadas antes de rodar', () => {
+    assert.throws(() => validatePipeline([]), /pelo menos uma etapa/);
+    assert.throws(() => validatePipeline(['eliminate', 'foo']), e => e instanceof PipelineError && e.stage === 'foo');
+    assert.throws(() => validatePipeline(['eliminate', 'eliminate']), /mais de uma vez/);
+    Object.values(PIPELINE_PRESETS).forEach(preset => validatePipeline(preset));
+});
+
+test('quantificadores limitados são relativizados antes da primeira etapa', () => {
+    const { steps, formula } = runPipeline(parse('\\forall x > 0 P(x)'), ['eliminate']);
+    assert.deepEqual(steps.map(s => s.stage), ['original', 'relativize', 'eliminate']);
+    assert.equal(formula.toText(), '∀x (¬x > 0 ∨ P(x))');
+});
+
+test('processFormula com pipeline: passo de erro e exportações só na forma clausal', () => {
+    const failed = processFormula('P \\rightarrow Q', { pipeline: ['nnf'] });
+    assert.equal(failed.steps.at(-1).failed, true);
+    assert.match(failed.steps.at(-1).steps[0], /Pré-condição não satisfeita/);
+    assert.equal(failed.exports, null);
+
+    const clausal = processFormula('\\forall x (P(x) \\rightarrow Q(x))', { pipeline: PIPELINE_PRESETS.clausal });
+    assert.deepEqual(clausal.steps.map(s => s.stage), ['original', ...PIPELINE_PRESETS.clausal]);
+    assert.match(clausal.exports.tptp, /cnf\(c1, axiom, ~ p\(X\) \| q\(X\)\)/);
+    assert.ok(clausal.steps[0].steps.some(line => line.startsWith('Pipeline: <code>free-variables</code>')));
+    assert.equal(processFormula('P \\rightarrow (Q \\land R)', { pipeline: PIPELINE_PRESETS.nnf }).exports, null);
+});
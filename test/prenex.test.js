@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, toPrenex, skolemize, verifyStep, FormulaTransformer, PRENEX_STRATEGIES } from '../core/index.js';
+
+const MIXED = '(\\forall x P(x)) \\land (\\exists y Q(y))';
+
+test('as estratégias escolhem o quantificador que sai primeiro', () => {
+    assert.equal(toPrenex(MIXED, { prenexStrategy: 'left-to-right' }).toText(), '∀x ∃y (P(x) ∧ Q(y))');
+    assert.equal(toPrenex(MIXED, { prenexStrategy: 'exists-first' }).toText(), '∃y ∀x (P(x) ∧ Q(y))');
+    assert.equal(toPrenex('(\\exists y Q(y)) \\lor (\\forall x P(x))', { prenexStrategy: 'forall-first' }).toText(), '∀x ∃y (Q(y) ∨ P(x))');
+});
+
+test('∃ primeiro reduz a aridade das funções de Skolem', () => {
+    const input = '(\\forall x P(x)) \\land (\\exists y Q(z,y))';
+    assert.equal(skolemize(input, { prenexStrategy: 'left-to-right' }).toText(), '∀z ∀x (P(x) ∧ Q(z,f1(z,x)))');
+    assert.equal(skolemize(input, { prenexStrategy: 'exists-first' }).toText(), '∀z ∀x (P(x) ∧ Q(z,f1(z)))');
+});
+
+test('toda estratégia produz uma forma equivalente', () => {
+    const input = '(\\neg \\forall x P(x)) \\lor ((\\forall x Q(x)) \\land (\\exists x R(x)))';
+    for (const prenexStrategy of PRENEX_STRATEGIES) {
+        assert.equal(verifyStep(parse(input), toPrenex(input, { prenexStrategy }), 'equivalent').ok, true, prenexStrategy);
+    }
+});
+
+test('cada lei aplicada vira um registro, com renomeação quando há captura', () => {
+    const transformer = new FormulaTransformer(parse('P'), {});
+    const { records } = transformer.toPrenexForm(parse('(\\forall x P(x)) \\lor Q(x)'));
+    assert.deepEqual(records.map(r => r.rule), ['prenex-rename', 'prenex-pull', 'result']);
+    assert.equal(records[0].params.to, 'x1');
+});
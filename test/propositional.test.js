@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, truthTable, dpll, evaluatePropositional } from '../core/index.js';
+
+test('avaliação proposicional numa valoração', () => {
+    const f = parse('(P \\rightarrow Q) \\land \\neg R');
+    assert.equal(evaluatePropositional(f, new Map([['P', true], ['Q', true], ['R', false]])), true);
+    assert.equal(evaluatePropositional(f, new Map([['P', true], ['Q', false], ['R', false]])), false);
+});
+
+test('a tabela-verdade classifica tautologias, contradições e contingências', () => {
+    assert.match(truthTable(parse('P \\lor \\neg P')).steps.at(-1), /tautologia/);
+    assert.match(truthTable(parse('P \\land \\neg P')).steps.at(-1), /contradição/);
+    assert.match(truthTable(parse('P \\rightarrow Q')).steps.at(-1), /3 de 4/);
+});
+
+test('DPLL encontra um modelo ou prova a insatisfatibilidade', () => {
+    const lit = (name, positive = true) => ({ name, positive });
+    const { assignment } = dpll([[lit('P'), lit('Q')], [lit('P', false)]]);
+    assert.equal(assignment.get('P'), false);
+    assert.equal(assignment.get('Q'), true);
+    assert.equal(dpll([[lit('P')], [lit('P', false)]]).assignment, null);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, relativize, processFormula } from '../core/index.js';
+
+const text = input => parse(input).toText();
+const relativized = input => relativize(input).toText();
+
+test('um quantificador liga várias variáveis', () => {
+    assert.equal(text('\\forall x, y\\, P(x,y)'), '∀x ∀y P(x,y)');
+    assert.equal(text('forall x, y. P(x,y)'), '∀x ∀y P(x,y)');
+    assert.equal(relativized('\\forall x, y \\in A\\, R(x,y)'), '∀x (A(x) → ∀y (A(y) → R(x,y)))');
+});
+
+test('restrição com número seguida de escopo entre parênteses', () => {
+    const f = parse('\\exists x > 0 (P(x))');
+    assert.equal(f.toText(), '∃x > 0: P(x)');
+    assert.deepEqual(f.right.args.map(t => t.type), ['var', 'const']);
+    assert.equal(relativized('\\exists x > 0 (P(x))'), '∃x (x > 0 ∧ P(x))');
+});
+
+test('restrição com constante seguida de escopo entre parênteses', () => {
+    assert.equal(text('\\forall x > a (P(x) \\to Q(x))'), '∀x > a: (P(x) → Q(x))');
+    assert.equal(relativized('\\forall x > a (P(x) \\to Q(x))'), '∀x (x > a → (P(x) → Q(x)))');
+});
+
+test('restrição com variável seguida de escopo entre parênteses', () => {
+    const f = parse('\\exists y \\geq x (P(y) \\land Q(y))');
+    assert.equal(f.toText(), '∃y ≥ x: (P(y) ∧ Q(y))');
+    assert.deepEqual(f.right.args.map(t => t.type), ['var', 'var']);
+    assert.equal(text('\\forall x \\exists y > x (R(x,y))'), '∀x ∃y > x: R(x,y)');
+});
+
+test('restrição com termo composto, seguida ou não de escopo entre parênteses', () => {
+    assert.equal(text('\\exists x > s(0) P(x)'), '∃x > s(0): P(x)');
+    assert.equal(text('\\exists x > s(0) (P(x))'), '∃x > s(0): P(x)');
+    assert.equal(relativized('\\exists x > s(0) (P(x) \\land Q(x))'), '∃x (x > s(0) ∧ (P(x) ∧ Q(x)))');
+    assert.deepEqual(parse('\\exists x > s(0). P(x)').right.args.map(t => t.type), ['var', 'func']);
+});
+
+test('pertinência a um termo composto fica como relação ∈', () => {
+    assert.equal(text('\\forall x \\in f(a) P(x)'), '∀x ∈ f(a): P(x)');
+    assert.equal(relativized('\\forall x \\in f(a) (P(x))'), '∀x (x ∈ f(a) → P(x))');
+    assert.equal(relativized('\\forall x \\in A (P(x))'), '∀x (A(x) → P(x))');
+    assert.equal(text('x \\in f(a)'), 'x ∈ f(a)');
+});
+
+test('fora das restrições, nome seguido de "(" continua sendo função', () => {
+    assert.equal(text('f(x) > 0'), 'f(x) > 0');
+    assert.equal(text('\\exists x > 0 P(f(x))'), '∃x > 0: P(f(x))');
+});
+
+test('a relativização é a primeira etapa visível', () => {
+    const { steps } = processFormula('\\exists x > 0 (P(x))');
+    assert.deepEqual(steps.slice(0, 2).map(s => s.stage), ['original', 'relativize']);
+    assert.equal(steps[1].formula.toText(), '∃x (x > 0 ∧ P(x))');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, toCNF, clauses, resolutionRefutation, unify, unifyAtoms, substitutionToString, sldResolution, Term, FormulaParser, processUnification, describeRecord } from '../core/index.js';
+
+const refute = (input, options) => resolutionRefutation(toCNF(parse(input)), options).outcome;
+const term = input => new FormulaParser(input).parseTermInput();
+
+test('resolução refuta um conjunto insatisfatível', () => {
+    const outcome = refute('\\forall x (P(x) \\rightarrow Q(x)) \\land P(a) \\land \\neg Q(a)');
+    assert.equal(outcome.status, 'refuted');
+    assert.ok(outcome.proof.at(-1).isEmpty());
+});
+
+test('a refutação devolve ⊥, sem inventar um predicado', () => {
+    const { formula } = resolutionRefutation(toCNF(parse('P(a) \\land \\neg P(a)')));
+    assert.equal(formula.type, 'false');
+    assert.deepEqual([...formula.predicateSymbols()], []);
+});
+
+test('resolução satura um conjunto satisfatível', () => {
+    assert.equal(refute('(P \\lor Q) \\land \\neg P').status, 'saturated');
+});
+
+test('as estratégias concordam e respeitam o limite de passos', () => {
+    for (const strategy of ['saturation', 'set-of-support', 'unit-preference']) {
+        assert.equal(refute('(P \\lor Q) \\land (\\neg P \\lor Q) \\land \\neg Q', { strategy }).status, 'refuted', strategy);
+    }
+    assert.equal(refute('\\forall x (P(x) \\rightarrow P(f(x))) \\land P(a) \\land \\neg P(b)', { maxSteps: 20 }).status, 'gave-up');
+});
+
+test('unificação devolve o unificador mais geral', () => {
+    const mgu = unify([[term('f(x, g(y))'), term('f(g(a), x)')]]);
+    assert.equal(substitutionToString(mgu), '\\{x \\mapsto g(a), y \\mapsto a\\}');
+    assert.ok(term('f(x, g(y))').apply(mgu).equals(term('f(g(a), x)').apply(mgu)));
+});
+
+test('unificação falha em conflito de símbolos e na verificação de ocorrência', () => {
+    assert.equal(unify([[term('f(x)'), term('g(x)')]]), null);
+    assert.equal(unify([[new Term('var', 'x'), term('f(x)')]]), null);
+});
+
+test('unifyAtoms compara predicado e argumentos', () => {
+    assert.ok(unifyAtoms(parse('P(x, b)'), parse('P(a, y)')));
+    assert.equal(unifyAtoms(parse('P(x)'), parse('Q(x)')), null);
+});
+
+test('o trace registra as regras de Martelli–Montanari', () => {
+    const trace = [];
+    unify([[term('f(x)'), term('f(a)')]], trace);
+    assert.deepEqual(trace.map(r => r.rule), ['unify-decompose', 'unify-eliminate']);
+    assert.match(describeRecord(trace[0]), /Decomposição/);
+    assert.match(describeRecord(trace[1], { language: 'en' }), /Eliminate/);
+});
+
+test('erro de sintaxe num dos termos sai como diagnóstico posicionado e escapado', () => {
+    const [step] = processUnification('f(x', 'y');
+    assert.equal(step.title, 'Erro no primeiro termo');
+    assert.match(step.steps[0], /<pre class="diagnostic">f\(x\n \^<\/pre>/);
+    const [other] = processUnification('a', 'g(<b>)');
+    assert.equal(other.title, 'Erro no segundo termo');
+    assert.doesNotMatch(other.steps[0], /<b>\)/);
+});
+
+test('SLD enumera as respostas de uma consulta', () => {
+    const program = clauses(parse('P(a) \\land P(b) \\land \\forall x (P(x) \\rightarrow Q(x))'));
+    const { answers, exhausted } = sldResolution(program, [parse('Q(y)')]);
+    assert.ok(exhausted);
+    assert.deepEqual(answers.map(a => a.get('y').toString()), ['a', 'b']);
+    assert.equal(sldResolution(program, [parse('Q(c)')]).answers.length, 0);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, simplifyNormalForm, minimize, toCNF, verifyStep } from '../core/index.js';
+
+const simplify = (input, kind) => simplifyNormalForm(parse(input), kind);
+
+test('idempotência, absorção e complemento na FNC e na FND', () => {
+    const cases = [
+        ['(P \\lor Q) \\land (P \\lor Q) \\land P', 'cnf', 'P', 'simplify-duplicate'],
+        ['(P \\lor \\neg P) \\land Q', 'cnf', 'Q', 'simplify-complement'],
+        ['(P \\lor Q \\lor R) \\land (P \\lor Q)', 'cnf', '(P ∨ Q)', 'simplify-absorption'],
+        ['(P \\land Q) \\lor P', 'dnf', 'P', 'simplify-absorption']
+    ];
+    for (const [input, kind, expected, rule] of cases) {
+        const { formula, records } = simplify(input, kind);
+        assert.equal(formula.toText(), expected, input);
+        assert.ok(records.some(r => r.rule === rule), input);
+        assert.equal(verifyStep(parse(input), formula, 'equivalent').ok, true, input);
+    }
+});
+
+test('literais unitários complementares reduzem a FNC a ⊥', () => {
+    const { formula, records } = simplify('P \\land \\neg P', 'cnf');
+    assert.equal(formula.toText(), '⊥');
+    assert.ok(records.some(r => r.rule === 'simplify-unit-complement'));
+});
+
+test('toCNF com simplify', () => {
+    assert.equal(toCNF('(P \\lor Q) \\land (P \\lor Q \\lor R)', { simplify: true }).toText(), '(P ∨ Q)');
+});
+
+test('Quine–McCluskey encontra as formas mínimas', () => {
+    const input = '(P \\land Q) \\lor (P \\land \\neg Q) \\lor (\\neg P \\land Q)';
+    const { dnf, cnf } = minimize(input);
+    assert.equal(cnf.toText(), '(P ∨ Q)');
+    assert.equal(verifyStep(parse(input), dnf, 'equivalent').ok, true);
+    assert.equal(minimize('P \\lor \\neg P').dnf.toText(), '⊤');
+    assert.equal(minimize('P \\land \\neg P').dnf.toText(), '⊥');
+    assert.throws(() => minimize('\\forall x P(x)'), /proposicionais/);
+});
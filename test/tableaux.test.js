@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, tableauProof, buildTableau, tableauToHtml } from '../core/index.js';
+
+const status = input => tableauProof(parse(input)).status;
+
+test('fórmulas válidas fecham o tableau da negação', () => {
+    assert.equal(status('P \\lor \\neg P'), 'closed');
+    assert.equal(status('(\\forall x P(x)) \\rightarrow P(a)'), 'closed');
+    assert.equal(status('(\\forall x (P(x) \\rightarrow Q(x))) \\rightarrow ((\\forall x P(x)) \\rightarrow \\forall x Q(x))'), 'closed');
+});
+
+test('fórmulas não válidas deixam um ramo aberto com contra-modelo', () => {
+    assert.equal(status('P \\rightarrow Q'), 'open');
+    assert.equal(status('(\\exists x P(x)) \\rightarrow \\forall x P(x)'), 'open');
+    const { status: built, openBranch } = buildTableau(parse('\\neg (P \\rightarrow Q)'));
+    assert.equal(built, 'open');
+    assert.deepEqual(openBranch.map(n => n.formula.toText()), ['¬(P → Q)', 'P', '¬Q']);
+});
+
+test('a prova parte da negação do fecho universal', () => {
+    assert.equal(tableauProof(parse('P(x) \\lor \\neg P(x)')).formula.toText(), '¬∀x (P(x) ∨ ¬P(x))');
+});
+
+test('a árvore é renderizada com ramos fechados marcados', () => {
+    const html = tableauToHtml(buildTableau(parse('\\neg (P \\lor \\neg P)')).root);
+    assert.match(html, /^<div class="tree">/);
+    assert.match(html, /tree-closed/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, toNNF, toPrenex, skolemize, toCNF, toDNF, clauses, verifyStep } from '../core/index.js';
+
+const FORMULAS = [
+    '\\forall x (P(x) \\rightarrow \\exists y Q(x, y))',
+    '\\neg (\\exists x P(x) \\leftrightarrow \\forall y R(y))',
+    '(\\forall x P(x)) \\lor (\\exists x \\neg P(x) \\land S)',
+    '\\neg (P \\rightarrow (Q \\land \\neg R))'
+];
+
+const assertVerified = (input, output, relation) => {
+    const check = verifyStep(input, output, relation);
+    assert.notEqual(check.ok, false, `${input.toText()} ⇒ ${output.toText()}: ${check.message}`);
+};
+
+const isNNF = f => {
+    if (['imp', 'iff'].includes(f.type)) return false;
+    if (f.type === 'neg') return f.left.type === 'atom';
+    return [f.left, f.right].every(g => !g || isNNF(g));
+};
+const isPrenex = f => {
+    while (f.isQuantifier()) f = f.left;
+    const quantifierFree = g => !g.isQuantifier() && [g.left, g.right].every(h => !h || quantifierFree(h));
+    return quantifierFree(f);
+};
+
+test('FNN: sem → nem ↔ e negações só em átomos, equivalente à entrada', () => {
+    for (const input of FORMULAS) {
+        const f = parse(input);
+        const nnf = toNNF(f);
+        assert.ok(isNNF(nnf), nnf.toText());
+        assertVerified(f, nnf, 'equivalent');
+    }
+    assert.equal(toNNF(parse('\\neg \\neg P')).toText(), 'P');
+});
+
+test('prenex: quantificadores na frente, equivalente à entrada', () => {
+    for (const input of FORMULAS) {
+        const f = parse(input);
+        const prenex = toPrenex(f);
+        assert.ok(isPrenex(prenex), prenex.toText());
+        assertVerified(f, prenex, 'equivalent');
+    }
+});
+
+test('Skolemização: sem ∃ e equissatisfatível', () => {
+    for (const input of FORMULAS) {
+        const f = parse(input);
+        const skolem = skolemize(f);
+        const hasExists = g => g.type === 'exists' || [g.left, g.right].some(h => h && hasExists(h));
+        assert.ok(!hasExists(skolem), skolem.toText());
+        assertVerified(f, skolem, 'equisatisfiable');
+    }
+    assert.equal(skolemize(parse('\\forall x \\exists y P(x, y)')).toText(), '∀x P(x,f1(x))');
+});
+
+test('FNC e FND proposicionais são equivalentes à entrada', () => {
+    const f = parse('\\neg (P \\rightarrow (Q \\land \\neg R))');
+    assert.equal(toCNF(f).toText(), '(P ∧ (¬Q ∨ R))');
+    assertVerified(f, toCNF(f), 'equivalent');
+    assertVerified(f, toDNF(f), 'equivalent');
+});
+
+test('FNC por Tseitin é equissatisfatível', () => {
+    const f = parse('(P \\land Q) \\lor (R \\land S)');
+    const tseitin = toCNF(f, { cnfMode: 'tseitin' });
+    assertVerified(f, tseitin, 'equisatisfiable');
+});
+
+test('forma clausal: uma cláusula por conjunção da matriz', () => {
+    const result = clauses(parse('\\forall x (P(x) \\rightarrow Q(x)) \\land P(a)'));
+    assert.deepEqual(result.map(c => c.toText()).sort(), ['P(a)', '¬P(x) ∨ Q(x)']);
+});
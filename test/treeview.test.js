@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, layoutTree, formulaToSvg, locateSubformula, pathKey } from '../core/index.js';
+
+test('cada nó leva a sua posição no formato dos registros', () => {
+    const { nodes } = layoutTree(parse('(P \\rightarrow Q) \\land \\neg R'));
+    assert.deepEqual(nodes.map(n => [pathKey(n.path), n.label]), [
+        ['', '∧'], ['0', '→'], ['0.0', 'P'], ['0.1', 'Q'], ['1', '¬'], ['1.0', 'R']
+    ]);
+    assert.equal(pathKey([]), '');
+    assert.equal(pathKey([1, 0]), '1.0');
+});
+
+test('folhas lado a lado e nós internos centrados sobre os filhos', () => {
+    const { nodes, width } = layoutTree(parse('(P \\rightarrow Q) \\land \\neg R'));
+    const at = key => nodes.find(n => pathKey(n.path) === key);
+    const leaves = ['0.0', '0.1', '1.0'].map(at);
+    leaves.slice(1).forEach((leaf, i) => assert.ok(leaf.x - leaf.width / 2 > leaves[i].x + leaves[i].width / 2));
+    assert.equal(at('0').x, (at('0.0').x + at('0.1').x) / 2);
+    assert.equal(at('1').x, at('1.0').x);
+    assert.ok(nodes.every(n => n.x + n.width / 2 <= width));
+    assert.ok(at('0.0').y > at('0').y && at('0').y > at('').y);
+});
+
+test('a restrição de um quantificador limitado fica no rótulo, não vira filho', () => {
+    const { nodes } = layoutTree(parse('\\forall x > 0 P(x)'));
+    assert.deepEqual(nodes.map(n => [pathKey(n.path), n.label]), [['', '∀x > 0'], ['0', 'P(x)']]);
+});
+
+test('o SVG marca nós e arestas com data-path e escapa os rótulos', () => {
+    const svg = formulaToSvg(parse('\\forall x > 0 P(x)'), { label: 'A & B' });
+    assert.match(svg, /^<svg class="syntax-tree"/);
+    assert.match(svg, /<title>A &amp; B<\/title>/);
+    assert.match(svg, /<g class="syntax-node syntax-forall" data-path="">/);
+    assert.match(svg, /<line class="syntax-edge" data-path="0"/);
+    assert.match(svg, />∀x &gt; 0</);
+});
+
+test('árvores grandes demais viram um aviso', () => {
+    const html = formulaToSvg(parse('P \\land Q \\land R'), { maxNodes: 3 });
+    assert.doesNotMatch(html, /<svg/);
+    assert.match(html, /5 nós.*limite de 3/);
+});
+
+test('localiza a subfórmula reescrita, preferindo a posição registrada', () => {
+    const f = parse('(P \\land Q) \\lor (P \\land Q)');
+    assert.deepEqual(locateSubformula(f, parse('P \\land Q'), [1]), [1]);
+    assert.deepEqual(locateSubformula(f, parse('P \\land Q'), [0, 0]), [0]);
+    assert.deepEqual(locateSubformula(f, parse('P \\land Q')), [0]);
+    assert.equal(locateSubformula(f, parse('R')), null);
+});
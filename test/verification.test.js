@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, verifyStep, processFormula } from '../core/index.js';
+
+test('passos proposicionais: equivalência pela tabela-verdade completa', () => {
+    assert.equal(verifyStep(parse('P \\rightarrow Q'), parse('\\neg P \\lor Q'), 'equivalent').ok, true);
+    const wrong = verifyStep(parse('P \\rightarrow Q'), parse('P \\lor \\neg Q'), 'equivalent');
+    assert.equal(wrong.ok, false);
+    assert.match(wrong.message, /valoração/);
+});
+
+test('passos proposicionais: equissatisfatibilidade', () => {
+    assert.equal(verifyStep(parse('P \\lor Q'), parse('D'), 'equisatisfiable').ok, true);
+    assert.equal(verifyStep(parse('P \\lor Q'), parse('D \\land \\neg D'), 'equisatisfiable').ok, false);
+});
+
+test('primeira ordem: contra-modelo em domínio finito', () => {
+    assert.equal(verifyStep(parse('\\neg \\forall x P(x)'), parse('\\exists x \\neg P(x)'), 'equivalent').ok, true);
+    const wrong = verifyStep(parse('\\forall x \\exists y R(x,y)'), parse('\\exists y \\forall x R(x,y)'), 'equivalent');
+    assert.equal(wrong.ok, false);
+    assert.match(wrong.message, /contra-modelo/);
+    assert.equal(verifyStep(parse('\\forall x \\exists y R(x,y)'), parse('\\forall x R(x,f(x))'), 'equisatisfiable').ok, true);
+});
+
+test('com verify, cada passo do pipeline recebe a sua verificação e nenhum falha', () => {
+    const { steps } = processFormula('\\forall x (P(x) \\rightarrow \\exists y Q(x,y))', { verify: true });
+    const checked = steps.filter(s => s.relation);
+    assert.ok(checked.length > 0);
+    for (const step of checked) {
+        assert.ok(step.records.some(r => r.rule.startsWith('verify-')), step.stage);
+        assert.ok(!step.failed, step.stage);
+    }
+});